@@ -25,6 +25,7 @@ class CLI extends EventListener {
 	 * @prop {string | null} [cacheHint]
 	 * @prop {string | null} [cacheAutocomplete]
 	 * @prop {boolean} [isActive] 
+	 * @prop {boolean} [masked] 
 	 */
 
 	/** @type {NodeJS.ReadStream} */
@@ -103,7 +104,7 @@ class CLI extends EventListener {
 		 * @type {
 				EventListener["on"] &
 				((event: 'command', listener: (event: JLEvent & CommandResult) => void) => JLListener) &
-				((event: 'input', listener: (event: JLEvent & {input: string}) => void) => JLListener) &
+				((event: 'input', listener: (event: JLEvent & {input: string, masked: boolean}) => void) => JLListener) &
 				((event: 'stdout', listener: (event: JLEvent & {data: string, string: string}) => void) => JLListener) &
 				((event: 'stderr', listener: (event: JLEvent & {data: string, string: string}) => void) => JLListener) &
 				((event: 'stderr', listener: (event: JLEvent & {data: string, string: string}) => void) => JLListener) &
@@ -112,6 +113,7 @@ class CLI extends EventListener {
 				((event: 'keypress', listener: (event: JLEvent & {sequence: string, buffer: string[], stream: NodeJS.WritableStream}) => void) => JLListener) &
 				((event: 'keyinput', listener: (event: JLEvent & {key: string, buffer: string[], stream: NodeJS.WritableStream}) => void) => JLListener) &
 				((event: 'SIGINT', listener: (event: JLEvent) => void) => JLListener) &
+				((event: 'commandRegister', listener: (event: JLEvent & {command: Command}) => void) => JLListener) &
 				((event: 'load', listener: (event: JLEvent) => void) => JLListener)
 			}
 		*/
@@ -506,7 +508,8 @@ class CLI extends EventListener {
 	 * @memberof CLI
 	 */
 	sendInput(input, cli = this, targetStream = this.stdout) {
-		const inputLine = cli.prompt + input;
+		const masked = this._isInputMasked();
+		const inputLine = cli.prompt + (masked ? "*".repeat(input.length) : input);
 
 		// Output
 		if(this.printCommand) this.dispatchEvent("stdout", {
@@ -517,7 +520,7 @@ class CLI extends EventListener {
 		// Input
 		targetStream["__write"].apply(targetStream, [`\r\x1b[K${this.printCommand ? inputLine + "\r\n" : ""}${cli.prompt}`]);
 
-		this.dispatchEvent("input", {input}, e => {
+		this.dispatchEvent("input", {input, masked}, e => {
 			// Events
 			if(this.awaitingInputsQueue.length === 0) {
 				// Try to handle the command from input
@@ -573,14 +576,16 @@ class CLI extends EventListener {
 
 	/**
 	 * @param {string} [prompt=this.prompt]
+	 * @param {{masked?: boolean}} [options={}] Set `masked` to hide the input (e.g. passwords); masked input is not stored in the history
 	 * @return {Promise<string>} 
 	 * @memberof CLI
 	 */
-	getInput(prompt = this.prompt) {
+	getInput(prompt = this.prompt, options = {}) {
 		return new Promise((resolve, reject) => {
 			this.awaitingInputsQueue.push({
 				prompt: prompt,
 				resolve: resolve,
+				masked: !!options.masked,
 				// will be set later
 				cacheBuffer: "",
 				cacheCursor: 0,
@@ -594,6 +599,17 @@ class CLI extends EventListener {
 		});
 	}
 
+	/**
+	 * @private
+	 * @return {boolean} `true` if the active prompt hides the input
+	 * @memberof CLI
+	 */
+	_isInputMasked() {
+		const awaitingInput = this.awaitingInputsQueue[0];
+
+		return !!(awaitingInput && awaitingInput.isActive && awaitingInput.masked);
+	}
+
 	/**
 	 * @private
 	 * @memberof CLI
@@ -801,6 +817,20 @@ class CLI extends EventListener {
 	 */
 	registerCommand(command) {
 		this.commands.push(command);
+		this.dispatchEvent("commandRegister", {command});
+	}
+
+	/**
+	 * @param {Command} command
+	 * @returns {boolean} `true` if the command was unregistered, otherwise `false`
+	 * @memberof CLI
+	 */
+	unregisterCommand(command) {
+		const index = this.commands.indexOf(command);
+		if(index === -1) return false;
+
+		this.commands.splice(index, 1);
+		return true;
 	}
 
 	/**
@@ -823,7 +853,9 @@ class CLI extends EventListener {
 
 		const width = this.stdout.columns;
 
-		let inputLine = `${this.prompt}${this.buffer}${autocomplete}`;
+		const buffer = this._isInputMasked() ? "*".repeat(this.buffer.length) : this.buffer;
+
+		let inputLine = `${this.prompt}${buffer}${autocomplete}`;
 		const len = this._unescape(inputLine).length;
 		if(len > width) inputLine = `${inputLine.slice(0, width - 1)}>`;
 
@@ -1013,7 +1045,9 @@ class CLI extends EventListener {
 			shouldUpdate = true;
 		}
 		else if(this._keyCompare(buffer, this.keyMappings.RETURN)) {
-			if(this.buffer && this.buffer != this.history[this.history.length - 1])
+			if(this._isInputMasked())
+				this.pointer = this.history.length;
+			else if(this.buffer && this.buffer != this.history[this.history.length - 1])
 				this.pointer = this.history.push(this.buffer);
 			else
 				this.pointer = this.history.length;
@@ -0,0 +1,123 @@
+//@ts-check
+
+// Compares the matching performance of the radix tree router
+// with the previous linear scan over the cached regexes.
+// Usage: node benchmarks/router.js [routeCount] [iterations]
+
+const {Router} = require("../router.js");
+
+const ROUTE_COUNT = parseInt(process.argv[2]) || 300;
+const ITERATIONS = parseInt(process.argv[3]) || 20000;
+
+/**
+ * Creates regex from the pattern the same way the previous implementation did
+ * @param {string} type
+ * @return {RegExp} 
+ */
+function createRegex(type) {
+	const usedNames = {};
+
+	return new RegExp(
+		"^"
+		+ type
+			.replace(/[-[\]{}()+.,\\^$|#\s]/g, "\\$&")
+			.replace(/\?/g, "(.)")
+			.replace(/\*/g, "(.*)")
+			.replace(/:(\w*)/g, (match, name) => {
+				if(name in usedNames) usedNames[name]++;
+				else usedNames[name] = 0;
+
+				return `(?<${name}${usedNames[name] > 0 ? usedNames[name] : ""}>[^/]+?)`;
+			})
+		+ "\/?"
+		+ "$"
+		,
+		"i");
+}
+
+// Generate the routes similar to the ones used across modules
+const patterns = [];
+for(let i = 0; i < ROUTE_COUNT; i++) {
+	const kind = i % 5;
+
+	if(kind === 0) patterns.push(`/api/v${i % 3}/resource${i}/:id`);
+	else if(kind === 1) patterns.push(`/api/v${i % 3}/resource${i}/:id/items/:item`);
+	else if(kind === 2) patterns.push(`/module${i}/:user/settings`);
+	else if(kind === 3) patterns.push(`/static${i}/*`);
+	else patterns.push(`/file${i}/?.txt`);
+}
+
+// Generate the paths (hits and misses)
+const paths = [];
+for(let i = 0; i < 100; i++) {
+	const n = (i * 37) % ROUTE_COUNT;
+	const kind = n % 5;
+
+	if(kind === 0) paths.push(`/api/v${n % 3}/resource${n}/42`);
+	else if(kind === 1) paths.push(`/api/v${n % 3}/resource${n}/42/items/abc/`);
+	else if(kind === 2) paths.push(`/module${n}/john/settings`);
+	else if(kind === 3) paths.push(`/static${n}/assets/js/main.js`);
+	else paths.push(`/file${n}/a.txt`);
+
+	paths.push(`/unknown/path/${i}`);
+}
+
+// Previous implementation
+const regexCache = patterns.map(type => ({type, regex: createRegex(type)}));
+
+/**
+ * @param {string} path
+ * @return {string[]} 
+ */
+function matchLinear(path) {
+	const matched = [];
+
+	for(const {type, regex} of regexCache) {
+		if(regex.test(path)) matched.push(type);
+	}
+
+	return matched;
+}
+
+// New implementation
+/** @type {Router<string>} */
+const router = new Router();
+for(const pattern of patterns) router.add(pattern, pattern);
+
+/**
+ * @param {string} path
+ * @return {string[]} 
+ */
+function matchTree(path) {
+	return router.match(path).map(e => e.route.pattern);
+}
+
+// Verify both implementations match the same routes
+for(const path of paths) {
+	const expected = matchLinear(path).sort().join(",");
+	const actual = matchTree(path).sort().join(",");
+
+	if(expected !== actual) throw new Error(`Mismatch for '${path}': expected [${expected}], got [${actual}]`);
+}
+
+/**
+ * @param {string} label
+ * @param {(path: string) => string[]} fn
+ */
+function run(label, fn) {
+	// Warm up
+	for(let i = 0; i < 1000; i++) fn(paths[i % paths.length]);
+
+	const start = process.hrtime.bigint();
+	for(let i = 0; i < ITERATIONS; i++) fn(paths[i % paths.length]);
+	const duration = Number(process.hrtime.bigint() - start) / 1e6;
+
+	console.log(`${label.padEnd(12)} ${duration.toFixed(1).padStart(9)}ms  ${Math.round(ITERATIONS / duration * 1000).toLocaleString("en-US").padStart(12)} ops/s`);
+
+	return duration;
+}
+
+console.log(`Routes: ${ROUTE_COUNT}, iterations: ${ITERATIONS}`);
+const linear = run("Linear scan", matchLinear);
+const tree = run("Radix tree", matchTree);
+console.log(`Speedup: ${(linear / tree).toFixed(2)}x`);
@@ -0,0 +1,226 @@
+//@ts-check
+
+const net = require("net");
+
+/**
+ * IPv4 or IPv6 address. IPv4-mapped IPv6 addresses (`::ffff:1.2.3.4`) are represented as IPv4 addresses.
+ * @class IPAddress
+ */
+class IPAddress {
+	/**
+	 * Creates an instance of IPAddress.
+	 * @param {4 | 6} version
+	 * @param {Buffer} bytes 4 bytes for IPv4, 16 bytes for IPv6
+	 * @memberof IPAddress
+	 */
+	constructor(version, bytes) {
+		/** @type {4 | 6} */
+		this.version = version;
+
+		/** @type {Buffer} */
+		this.bytes = bytes;
+	}
+
+	/**
+	 * @returns {boolean} `true` if the address is a loopback address (`127.0.0.0/8` or `::1`)
+	 * @memberof IPAddress
+	 */
+	isLoopback() {
+		return this.version === 4 ? this.bytes[0] === 127 : this.bytes.equals(LOOPBACK_IPV6);
+	}
+
+	/**
+	 * @returns {string} Canonical representation of the address (compressed lowercase form for IPv6, RFC 5952)
+	 * @memberof IPAddress
+	 */
+	toString() {
+		if(this.version === 4) return [...this.bytes].join(".");
+
+		const groups = [];
+		for(let i = 0; i < 16; i += 2) groups.push(this.bytes.readUInt16BE(i));
+
+		// Find the longest run of zero groups (at least two) to compress
+		let start = -1;
+		let length = 0;
+		for(let i = 0; i < 8; i++) {
+			let j = i;
+			while(j < 8 && groups[j] === 0) j++;
+
+			if(j - i > length && j - i > 1) {
+				start = i;
+				length = j - i;
+			}
+
+			i = j;
+		}
+
+		const hex = groups.map(e => e.toString(16));
+		if(start === -1) return hex.join(":");
+
+		return `${hex.slice(0, start).join(":")}::${hex.slice(start + length).join(":")}`;
+	}
+
+	/**
+	 * Parses the IP address, accepts IPv6 addresses in brackets and with zone index (e.g. `[fe80::1%eth0]`)
+	 * @static
+	 * @param {string} input
+	 * @returns {IPAddress | null} Parsed address, `null` if the input is not a valid IP address
+	 * @memberof IPAddress
+	 */
+	static parse(input) {
+		const address = `${input}`.trim().replace(/^\[(.*)\]$/, "$1").replace(/%.*$/, "");
+
+		if(net.isIPv4(address)) return new IPAddress(4, Buffer.from(address.split(".").map(Number)));
+		if(!net.isIPv6(address)) return null;
+
+		// Convert the embedded IPv4 address to two hex groups
+		const embedded = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+		const normalized = embedded ? `${embedded[1]}${embedded[2].split(".").map(Number).reduce((hex, e, i) => hex + (i === 2 ? ":" : "") + e.toString(16).padStart(2, "0"), "")}` : address;
+
+		const [head, tail] = normalized.split("::");
+		const headGroups = head ? head.split(":") : [];
+		const tailGroups = tail ? tail.split(":") : [];
+		const groups = tail === undefined ? headGroups : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups];
+
+		const bytes = Buffer.alloc(16);
+		groups.forEach((e, i) => bytes.writeUInt16BE(parseInt(e, 16), i * 2));
+
+		// IPv4-mapped IPv6 address
+		if(bytes.subarray(0, 12).equals(IPV4_MAPPED_PREFIX)) return new IPAddress(4, bytes.subarray(12));
+
+		return new IPAddress(6, bytes);
+	}
+}
+
+/**
+ * Block of IP addresses in CIDR notation (e.g. `10.0.0.0/8` or `2001:db8::/32`), a single address is a block with the full prefix length
+ * @class IPRange
+ */
+class IPRange {
+	/**
+	 * Creates an instance of IPRange.
+	 * @param {IPAddress} address Any address of the block (host bits are cleared)
+	 * @param {number} prefix Prefix length in bits
+	 * @memberof IPRange
+	 */
+	constructor(address, prefix) {
+		const bytes = Buffer.from(address.bytes);
+		for(let i = 0; i < bytes.length; i++) {
+			const bits = Math.min(8, Math.max(0, prefix - i * 8));
+			bytes[i] &= (0xff << (8 - bits)) & 0xff;
+		}
+
+		/** @type {IPAddress} */
+		this.address = new IPAddress(address.version, bytes);
+
+		/** @type {number} */
+		this.prefix = prefix;
+	}
+
+	/**
+	 * @param {IPAddress | string} ip
+	 * @returns {boolean} `true` if the address belongs to the block
+	 * @memberof IPRange
+	 */
+	contains(ip) {
+		const address = typeof ip === "string" ? IPAddress.parse(ip) : ip;
+		if(!address || address.version !== this.address.version) return false;
+
+		return new IPRange(address, this.prefix).address.bytes.equals(this.address.bytes);
+	}
+
+	/**
+	 * @returns {string} CIDR notation of the block, single addresses are represented without the prefix length
+	 * @memberof IPRange
+	 */
+	toString() {
+		return this.prefix === this.address.bytes.length * 8 ? this.address.toString() : `${this.address}/${this.prefix}`;
+	}
+
+	/**
+	 * @static
+	 * @param {string} input IP address or block in CIDR notation
+	 * @returns {IPRange | null} Parsed block, `null` if the input is not valid
+	 * @memberof IPRange
+	 */
+	static parse(input) {
+		const [ip, prefixLength, ...rest] = `${input}`.trim().split("/");
+		if(rest.length) return null;
+
+		const address = IPAddress.parse(ip);
+		if(!address) return null;
+
+		const bits = address.bytes.length * 8;
+		if(prefixLength === undefined) return new IPRange(address, bits);
+		if(!/^\d{1,3}$/.test(prefixLength)) return null;
+
+		// Prefix of the IPv4-mapped IPv6 block is relative to the IPv6 address
+		let prefix = +prefixLength;
+		if(address.version === 4 && ip.includes(":")) prefix -= 96;
+
+		return prefix >= 0 && prefix <= bits ? new IPRange(address, prefix) : null;
+	}
+}
+
+/**
+ * Matches IP addresses against lists of IP addresses and CIDR blocks (e.g. trusted IPs and blacklist).
+ * Lists can also contain `localhost`, matching all loopback addresses.
+ * @class IPMatcher
+ */
+class IPMatcher {
+	/**
+	 * @static
+	 * @param {string} entry IP address, block in CIDR notation or `localhost`
+	 * @returns {string | null} Canonical form of the entry, `null` if the entry is not valid
+	 * @memberof IPMatcher
+	 */
+	static normalize(entry) {
+		if(`${entry}`.trim().toLowerCase() === "localhost") return "localhost";
+
+		return IPRange.parse(entry)?.toString() ?? null;
+	}
+
+	/**
+	 * @static
+	 * @param {string | IPAddress} ip
+	 * @param {string[]} entries IP addresses, blocks in CIDR notation or `localhost` (invalid entries never match)
+	 * @returns {string | null} First entry matching the address, `null` if there is no match
+	 * @memberof IPMatcher
+	 */
+	static match(ip, entries) {
+		const address = typeof ip === "string" ? IPAddress.parse(ip) : ip;
+		if(!address) return null;
+
+		for(const entry of entries) {
+			if(entry === "localhost" ? address.isLoopback() : this._parse(entry)?.contains(address)) return entry;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Parses the entry, parsed entries are cached
+	 * @private
+	 * @static
+	 * @param {string} entry
+	 * @returns {IPRange | null}
+	 * @memberof IPMatcher
+	 */
+	static _parse(entry) {
+		if(!RANGE_CACHE.has(entry)) RANGE_CACHE.set(entry, IPRange.parse(entry));
+
+		return /**@type {IPRange | null}*/(RANGE_CACHE.get(entry));
+	}
+}
+
+const LOOPBACK_IPV6 = Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+const IPV4_MAPPED_PREFIX = Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff]);
+
+/** @type {Map<string, IPRange | null>} */
+const RANGE_CACHE = new Map();
+
+module.exports = {
+	IPAddress,
+	IPRange,
+	IPMatcher
+};
@@ -0,0 +1,285 @@
+//@ts-check
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @prop {boolean} allowed `true` if the request fits into the limit
+ * @prop {number} limit Maximum number of requests
+ * @prop {number} remaining Number of requests allowed before hitting the limit
+ * @prop {number} reset Time in milliseconds until the limit resets (end of the window or refill of the bucket)
+ * @prop {number} retryAfter Time in milliseconds until the next request is allowed, `0` if the request was allowed
+ */
+
+/**
+ * @typedef {Object} RateLimiterOptions
+ * @prop {number} limit Maximum number of requests per window (capacity of the bucket in case of token bucket)
+ * @prop {number} window Length of the window in milliseconds (time to refill the whole bucket in case of token bucket)
+ * @prop {number} [sweepInterval=60000] Interval in milliseconds of removing the state of idle keys
+ */
+
+/**
+ * Tracks requests of the keys (e.g. IP addresses) and decides whether they fit into the limit.
+ * Custom algorithms extend this class and implement `consume()` and `sweep()`.
+ * @class RateLimiter
+ */
+class RateLimiter {
+	/**
+	 * Name of the algorithm
+	 * @type {string}
+	 */
+	algorithm = "";
+
+	/**
+	 * Creates an instance of RateLimiter.
+	 * @param {RateLimiterOptions} options
+	 * @memberof RateLimiter
+	 */
+	constructor({limit, window, sweepInterval = 60000}) {
+		if(!(limit > 0) || !(window > 0)) throw new RangeError(`Rate limit and window must be positive numbers (limit: ${limit}, window: ${window})`);
+
+		/** @type {number} */
+		this.limit = limit;
+
+		/** @type {number} */
+		this.window = window;
+
+		/**
+		 * @protected
+		 * @type {Map<string, any>}
+		 */
+		this.states = new Map();
+
+		/** @private */
+		this._sweepInterval = setInterval(() => this.sweep(), sweepInterval);
+		this._sweepInterval.unref();
+	}
+
+	/**
+	 * Counts the request of the key
+	 * @param {string} key
+	 * @param {number} [now=Date.now()] Timestamp of the request in milliseconds
+	 * @returns {RateLimitResult}
+	 * @memberof RateLimiter
+	 */
+	consume(key, now = Date.now()) {
+		throw new Error(`${this.constructor.name}.consume() is not implemented`);
+	}
+
+	/**
+	 * Checks whether the request of the key would fit into the limit, without counting it
+	 * @param {string} key
+	 * @param {number} [now=Date.now()] Timestamp of the request in milliseconds
+	 * @returns {RateLimitResult}
+	 * @memberof RateLimiter
+	 */
+	peek(key, now = Date.now()) {
+		throw new Error(`${this.constructor.name}.peek() is not implemented`);
+	}
+
+	/**
+	 * Removes the state of the keys, which are back at the full limit
+	 * @param {number} [now=Date.now()]
+	 * @returns {number} Number of removed keys
+	 * @memberof RateLimiter
+	 */
+	sweep(now = Date.now()) {
+		throw new Error(`${this.constructor.name}.sweep() is not implemented`);
+	}
+
+	/**
+	 * Forgets the requests of the key
+	 * @param {string} key
+	 * @returns {boolean} `true` if the key was tracked
+	 * @memberof RateLimiter
+	 */
+	reset(key) {
+		return this.states.delete(key);
+	}
+
+	/**
+	 * Stops the periodic removal of idle keys
+	 * @memberof RateLimiter
+	 */
+	close() {
+		clearInterval(this._sweepInterval);
+	}
+
+	/**
+	 * @static
+	 * @param {"token-bucket" | "sliding-window"} algorithm
+	 * @param {RateLimiterOptions} options
+	 * @returns {RateLimiter}
+	 * @memberof RateLimiter
+	 */
+	static create(algorithm, options) {
+		if(algorithm === "token-bucket") return new TokenBucketLimiter(options);
+		if(algorithm === "sliding-window") return new SlidingWindowLimiter(options);
+
+		throw new Error(`Unknown rate limiting algorithm '${algorithm}'`);
+	}
+}
+
+/**
+ * Token bucket: each key has a bucket of `limit` tokens refilled continuously over `window`, every request takes one token.
+ * Allows bursts up to the capacity of the bucket while keeping the average rate.
+ * @class TokenBucketLimiter
+ * @extends {RateLimiter}
+ */
+class TokenBucketLimiter extends RateLimiter {
+	algorithm = "token-bucket";
+
+	consume(key, now = Date.now()) {
+		return this._take(key, now, true);
+	}
+
+	peek(key, now = Date.now()) {
+		return this._take(key, now, false);
+	}
+
+	sweep(now = Date.now()) {
+		let count = 0;
+
+		for(const key of this.states.keys()) {
+			if(this._refill(key, now).tokens < this.limit) continue;
+
+			this.states.delete(key);
+			count++;
+		}
+
+		return count;
+	}
+
+	/**
+	 * @private
+	 * @param {string} key
+	 * @param {number} now
+	 * @param {boolean} take Take the token if the request is allowed
+	 * @returns {RateLimitResult}
+	 * @memberof TokenBucketLimiter
+	 */
+	_take(key, now, take) {
+		/** @type {{tokens: number, updatedAt: number}} */
+		const state = this._refill(key, now);
+		const rate = this.limit / this.window;
+
+		const allowed = state.tokens >= 1;
+		if(allowed && take) state.tokens--;
+
+		return {
+			allowed,
+			limit: this.limit,
+			remaining: Math.floor(state.tokens),
+			reset: Math.ceil((this.limit - state.tokens) / rate),
+			retryAfter: allowed ? 0 : Math.ceil((1 - state.tokens) / rate)
+		};
+	}
+
+	/**
+	 * @private
+	 * @param {string} key
+	 * @param {number} now
+	 * @memberof TokenBucketLimiter
+	 */
+	_refill(key, now) {
+		const state = this.states.get(key) || {tokens: this.limit, updatedAt: now};
+
+		state.tokens = Math.min(this.limit, state.tokens + (now - state.updatedAt) * this.limit / this.window);
+		state.updatedAt = now;
+		this.states.set(key, state);
+
+		return state;
+	}
+}
+
+/**
+ * Sliding window counter: requests are counted in fixed windows and the count of the previous window
+ * is weighted by its overlap with the sliding window ending now. Needs constant memory per key.
+ * @class SlidingWindowLimiter
+ * @extends {RateLimiter}
+ */
+class SlidingWindowLimiter extends RateLimiter {
+	algorithm = "sliding-window";
+
+	consume(key, now = Date.now()) {
+		return this._take(key, now, true);
+	}
+
+	peek(key, now = Date.now()) {
+		return this._take(key, now, false);
+	}
+
+	sweep(now = Date.now()) {
+		let count = 0;
+
+		for(const [key, state] of this.states) {
+			if(state.start + 2 * this.window > now) continue;
+
+			this.states.delete(key);
+			count++;
+		}
+
+		return count;
+	}
+
+	/**
+	 * @private
+	 * @param {string} key
+	 * @param {number} now
+	 * @param {boolean} take Count the request if it's allowed
+	 * @returns {RateLimitResult}
+	 * @memberof SlidingWindowLimiter
+	 */
+	_take(key, now, take) {
+		/** @type {{start: number, current: number, previous: number}} */
+		const state = this._advance(key, now);
+		const elapsed = now - state.start;
+		const count = state.previous * (this.window - elapsed) / this.window + state.current;
+
+		const allowed = count + 1 <= this.limit;
+		if(allowed && take) state.current++;
+
+		let retryAfter = 0;
+		if(!allowed) {
+			retryAfter = state.current + 1 > this.limit ?
+				// Wait for the next window, until the weight of the current requests drops enough
+				this.window - elapsed + this.window * (1 - (this.limit - 1) / state.current) :
+				// Wait until the weight of the previous window drops enough
+				this.window - elapsed - this.window * (this.limit - 1 - state.current) / state.previous;
+		}
+
+		return {
+			allowed,
+			limit: this.limit,
+			remaining: Math.max(0, Math.floor(this.limit - count - (allowed && take ? 1 : 0))),
+			reset: this.window - elapsed,
+			retryAfter: Math.max(0, Math.ceil(retryAfter))
+		};
+	}
+
+	/**
+	 * Moves the state of the key to the window containing `now`
+	 * @private
+	 * @param {string} key
+	 * @param {number} now
+	 * @memberof SlidingWindowLimiter
+	 */
+	_advance(key, now) {
+		const start = now - now % this.window;
+		const state = this.states.get(key) || {start, current: 0, previous: 0};
+
+		if(state.start !== start) {
+			state.previous = state.start === start - this.window ? state.current : 0;
+			state.current = 0;
+			state.start = start;
+		}
+
+		this.states.set(key, state);
+
+		return state;
+	}
+}
+
+module.exports = {
+	RateLimiter,
+	TokenBucketLimiter,
+	SlidingWindowLimiter
+};
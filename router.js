@@ -0,0 +1,615 @@
+//@ts-check
+
+/**
+ * @typedef {string | number | boolean | Date | undefined} RouteParamValue
+ */
+
+/**
+ * @typedef {Object} RouteParamType
+ * @prop {RegExp} regex Regex the whole value has to match
+ * @prop {(value: string) => boolean} [validate] Additional check of the value matching the regex (eg. existing calendar date)
+ * @prop {(value: string) => RouteParamValue} parse Converts the matched value
+ */
+
+/**
+ * @typedef {Object} RouteToken
+ * @prop {"static" | "param" | "char" | "wildcard"} type Type of the token
+ * @prop {string} value Static text for `static` tokens, parameter name for `param` tokens, otherwise empty string
+ * @prop {RegExp | null} [constraint] Regex the parameter value has to match (`param` tokens only)
+ * @prop {string} [constraintKey] Unique key of the constraint (`param` tokens only)
+ * @prop {((value: string) => boolean) | null} [validate] Additional check of the parameter value (`param` tokens only)
+ * @prop {((value: string) => RouteParamValue) | null} [parse] Converts the parameter value (`param` tokens only)
+ * @prop {boolean} [optional] Flag indicating if the parameter can be omitted (`param` tokens only)
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Route
+ * @prop {string} pattern Pattern the route was registered with
+ * @prop {RouteToken[]} tokens Compiled pattern
+ * @prop {(string | null)[]} names Names of the captures in order of appearance; `null` for unnamed captures
+ * @prop {(((value: string) => RouteParamValue) | null)[]} parsers Converters of the captures in order of appearance
+ * @prop {T[]} values Values (eg. listeners) registered for the pattern
+ */
+
+/**
+ * Route inserted into the tree. Routes with optional parameters are inserted multiple times, once for each combination of present parameters.
+ * @template T
+ * @typedef {Object} RouteVariant
+ * @prop {Route<T>} route Route of the variant
+ * @prop {number[]} slots Indices of the route captures the captures of this variant belong to
+ */
+
+/**
+ * @template T
+ * @typedef {Object} RouteMatch
+ * @prop {Route<T>} route Matched route
+ * @prop {RouteParamValue[]} captures Captured (and converted) values in order of appearance; `undefined` for omitted optional parameters
+ * @prop {Record<string, RouteParamValue>} params Captured values of named parameters
+ */
+
+/**
+ * @template T
+ */
+class RouterNode {
+	/**
+	 * Creates an instance of RouterNode.
+	 * @param {string} [prefix=""] Static text consumed by this node
+	 */
+	constructor(prefix = "") {
+		/** @type {string} */
+		this.prefix = prefix;
+
+		/**
+		 * Static children indexed by the first character of their prefix
+		 * @type {Map<string, RouterNode<T>>}
+		 */
+		this.staticChildren = new Map();
+
+		/**
+		 * Parameter children indexed by the key of their constraint (empty string for unconstrained parameters)
+		 * @type {Map<string, {constraint: RegExp | null, validate: ((value: string) => boolean) | null, node: RouterNode<T>}>}
+		 */
+		this.paramChildren = new Map();
+
+		/** @type {RouterNode<T> | null} */
+		this.charChild = null;
+
+		/** @type {RouterNode<T> | null} */
+		this.wildcardChild = null;
+
+		/**
+		 * Routes ending at this node
+		 * @type {RouteVariant<T>[]}
+		 */
+		this.routes = [];
+	}
+}
+
+/**
+ * Radix tree router matching paths against dynamic patterns.
+ *
+ * Supported wildcard characters:
+ * - `*` matches 0 or more characters
+ * - `?` matches exactly 1 character
+ * - `:name` matches 1 or more characters, until `/`
+ *
+ * Parameters can be further constrained:
+ * - `:name(regex)` value has to match the regex (eg. `/item/:id(\\d+)`)
+ * - `:name<type>` value has to be of the type and is converted to it (see `Router.PARAM_TYPES`, eg. `/item/:id<int>`)
+ * - `:name?` parameter is optional, including the preceding slash (eg. `/list/:page?` matches both `/list` and `/list/2`)
+ *
+ * Static text is matched case-insensitively and the path may end with an additional trailing slash.
+ * All matching routes are returned in deterministic priority order (static > parameter > wildcard), instead of registration order.
+ * @template T
+ * @class Router
+ */
+class Router {
+	constructor() {
+		/** @type {RouterNode<T>} */
+		this.root = new RouterNode();
+
+		/**
+		 * Registered routes
+		 * Property key is the pattern of the route.
+		 * @type {Map<string, Route<T>>}
+		 */
+		this.routes = new Map();
+	}
+
+	/**
+	 * Adds a value for the pattern
+	 * @param {string} pattern Route pattern
+	 * @param {T} value Value to add
+	 * @returns {Route<T>} Route of the pattern
+	 * @memberof Router
+	 */
+	add(pattern, value) {
+		const existing = this.routes.get(pattern);
+		if(existing) {
+			existing.values.push(value);
+			return existing;
+		}
+
+		const tokens = Router.compile(pattern);
+		const params = tokens.filter(token => token.type !== "static");
+
+		/** @type {Route<T>} */
+		const route = {
+			pattern,
+			tokens,
+			names: Router.getCaptureNames(tokens),
+			parsers: params.map(token => token.parse || null),
+			values: [value]
+		};
+
+		this.routes.set(pattern, route);
+		this._insert(route);
+
+		return route;
+	}
+
+	/**
+	 * Removes a value from the pattern. The route is removed from the tree once it has no values.
+	 * @param {string} pattern Route pattern
+	 * @param {T} value Value to remove
+	 * @returns {boolean} `true` if the value was removed, otherwise `false`
+	 * @memberof Router
+	 */
+	remove(pattern, value) {
+		const route = this.routes.get(pattern);
+		if(!route) return false;
+
+		const index = route.values.indexOf(value);
+		if(index === -1) return false;
+
+		route.values.splice(index, 1);
+
+		if(!route.values.length) {
+			this.routes.delete(pattern);
+			this._rebuild();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Finds all routes matching the path
+	 * @param {string} path Path to match
+	 * @returns {RouteMatch<T>[]} Matched routes in priority order
+	 * @memberof Router
+	 */
+	match(path) {
+		/** @type {RouteMatch<T>[]} */
+		const results = [];
+
+		/** @type {Set<Route<T>>} */
+		const found = new Set();
+
+		this._collect(this.root, path, path.toLowerCase(), 0, [], results, found);
+
+		return results;
+	}
+
+	/**
+	 * Inserts the route into the tree
+	 * @private
+	 * @param {Route<T>} route
+	 * @memberof Router
+	 */
+	_insert(route) {
+		for(const {tokens, slots} of Router.expandOptional(route.tokens)) {
+			let node = this.root;
+
+			for(const token of tokens) {
+				if(token.type === "static") {
+					node = this._insertStatic(node, token.value);
+				} else if(token.type === "param") {
+					const key = token.constraintKey || "";
+					let child = node.paramChildren.get(key);
+
+					if(!child) {
+						child = {constraint: token.constraint || null, validate: token.validate || null, node: new RouterNode()};
+
+						// Keep unconstrained parameter as the last one, so constrained parameters have higher priority
+						const unconstrained = node.paramChildren.get("");
+						node.paramChildren.delete("");
+						node.paramChildren.set(key, child);
+						if(unconstrained && key) node.paramChildren.set("", unconstrained);
+					}
+
+					node = child.node;
+				} else if(token.type === "char") {
+					node = node.charChild || (node.charChild = new RouterNode());
+				} else {
+					node = node.wildcardChild || (node.wildcardChild = new RouterNode());
+				}
+			}
+
+			node.routes.push({route, slots});
+		}
+	}
+
+	/**
+	 * Inserts the static text into the tree, splitting the existing nodes if needed
+	 * @private
+	 * @param {RouterNode<T>} node Parent node
+	 * @param {string} text Static text
+	 * @returns {RouterNode<T>} Node at the end of the text
+	 * @memberof Router
+	 */
+	_insertStatic(node, text) {
+		while(text) {
+			const child = node.staticChildren.get(text[0]);
+
+			// Create a new leaf with the whole remaining text
+			if(!child) {
+				const leaf = new RouterNode(text);
+				node.staticChildren.set(text[0], leaf);
+				return leaf;
+			}
+
+			// Find the length of the common prefix
+			let common = 0;
+			while(common < child.prefix.length && common < text.length && child.prefix[common] === text[common]) common++;
+
+			// Split the child node
+			if(common < child.prefix.length) {
+				const split = new RouterNode(child.prefix.slice(0, common));
+				child.prefix = child.prefix.slice(common);
+				split.staticChildren.set(child.prefix[0], child);
+				node.staticChildren.set(text[0], split);
+				node = split;
+			} else {
+				node = child;
+			}
+
+			text = text.slice(common);
+		}
+
+		return node;
+	}
+
+	/**
+	 * Rebuilds the tree from registered routes
+	 * @private
+	 * @memberof Router
+	 */
+	_rebuild() {
+		this.root = new RouterNode();
+
+		for(const route of this.routes.values()) {
+			this._insert(route);
+		}
+	}
+
+	/**
+	 * Recursively collects all routes matching the rest of the path
+	 * @private
+	 * @param {RouterNode<T>} node Current node (its prefix is already consumed)
+	 * @param {string} path Original path
+	 * @param {string} lower Lowercase path
+	 * @param {number} index Index of the first unconsumed character
+	 * @param {string[]} captures Captured values so far
+	 * @param {RouteMatch<T>[]} results
+	 * @param {Set<Route<T>>} found Routes already matched (only the first match of each route is used)
+	 * @memberof Router
+	 */
+	_collect(node, path, lower, index, captures, results, found) {
+		const length = path.length;
+
+		// Whole path consumed (optionally except trailing slash)
+		if(node.routes.length && (index === length || (index === length - 1 && path[index] === "/"))) {
+			for(const {route, slots} of node.routes) {
+				if(found.has(route)) continue;
+				found.add(route);
+
+				// Place the captures to their slots and convert them
+				/** @type {RouteParamValue[]} */
+				const values = route.names.map(() => undefined);
+				slots.forEach((slot, i) => {
+					const parse = route.parsers[slot];
+					values[slot] = parse ? parse(captures[i]) : captures[i];
+				});
+
+				/** @type {Record<string, RouteParamValue>} */
+				const params = {};
+				route.names.forEach((name, i) => {
+					if(name) params[name] = values[i];
+				});
+
+				results.push({route, captures: values, params});
+			}
+		}
+
+		// Static text
+		if(index < length) {
+			const child = node.staticChildren.get(lower[index]);
+
+			if(child && lower.startsWith(child.prefix, index)) {
+				this._collect(child, path, lower, index + child.prefix.length, captures, results, found);
+			}
+		}
+
+		// Parameter (lazy, 1 or more characters until "/")
+		for(const {constraint, validate, node: child} of node.paramChildren.values()) {
+			for(let end = index + 1; end <= length && path[end - 1] !== "/"; end++) {
+				const value = path.slice(index, end);
+				if(constraint && !constraint.test(value)) continue;
+				if(validate && !validate(value)) continue;
+
+				captures.push(value);
+				this._collect(child, path, lower, end, captures, results, found);
+				captures.pop();
+			}
+		}
+
+		// Single character
+		if(node.charChild && index < length) {
+			captures.push(path[index]);
+			this._collect(node.charChild, path, lower, index + 1, captures, results, found);
+			captures.pop();
+		}
+
+		// Wildcard (greedy, 0 or more characters)
+		if(node.wildcardChild) {
+			for(let end = length; end >= index; end--) {
+				captures.push(path.slice(index, end));
+				this._collect(node.wildcardChild, path, lower, end, captures, results, found);
+				captures.pop();
+			}
+		}
+	}
+
+	/**
+	 * Checks if the pattern contains any wildcard characters
+	 * @static
+	 * @param {string} pattern
+	 * @returns {boolean}
+	 * @memberof Router
+	 */
+	static isDynamic(pattern) {
+		return ["*", "?", ":"].some(e => pattern.includes(e));
+	}
+
+	/**
+	 * Compiles the pattern into tokens
+	 * @static
+	 * @param {string} pattern
+	 * @returns {RouteToken[]}
+	 * @throws {Error} If the pattern is invalid
+	 * @memberof Router
+	 */
+	static compile(pattern) {
+		/** @type {RouteToken[]} */
+		const tokens = [];
+		let text = "";
+
+		const flush = () => {
+			if(text) tokens.push({type: "static", value: text.toLowerCase()});
+			text = "";
+		};
+
+		for(let i = 0; i < pattern.length; i++) {
+			const char = pattern[i];
+
+			if(char === "*") {
+				flush();
+				tokens.push({type: "wildcard", value: ""});
+			} else if(char === "?") {
+				flush();
+				tokens.push({type: "char", value: ""});
+			} else if(char === ":") {
+				const name = pattern.slice(i + 1).match(/^\w*/)?.[0] || "";
+				if(!name) throw new Error(`Failed to register event handler: Missing parameter name (${pattern})`);
+
+				i += name.length;
+
+				/** @type {RouteToken} */
+				const token = {type: "param", value: name, constraint: null, constraintKey: "", validate: null, parse: null, optional: false};
+
+				// Regex constraint
+				if(pattern[i + 1] === "(") {
+					const end = this._findClosingParenthesis(pattern, i + 1);
+					if(end === -1) throw new Error(`Failed to register event handler: Unterminated constraint of parameter '${name}' (${pattern})`);
+
+					const source = pattern.slice(i + 2, end);
+					if(!source) throw new Error(`Failed to register event handler: Empty constraint of parameter '${name}' (${pattern})`);
+
+					try {
+						token.constraint = new RegExp(`^(?:${source})$`);
+					} catch(err) {
+						throw new Error(`Failed to register event handler: Invalid constraint of parameter '${name}': ${err.message} (${pattern})`);
+					}
+
+					token.constraintKey = `(${source})`;
+					i = end;
+				}
+				// Type constraint
+				else if(pattern[i + 1] === "<") {
+					const end = pattern.indexOf(">", i + 1);
+					if(end === -1) throw new Error(`Failed to register event handler: Unterminated type of parameter '${name}' (${pattern})`);
+
+					const typeName = pattern.slice(i + 2, end);
+					const type = this.PARAM_TYPES[typeName];
+					if(!type) throw new Error(`Failed to register event handler: Unknown type '${typeName}' of parameter '${name}', expected one of ${Object.keys(this.PARAM_TYPES).join(", ")} (${pattern})`);
+
+					token.constraint = type.regex;
+					token.constraintKey = `<${typeName}>`;
+					token.validate = type.validate || null;
+					token.parse = type.parse;
+					i = end;
+				}
+
+				// Optional parameter
+				if(pattern[i + 1] === "?") {
+					token.optional = true;
+					i++;
+				}
+
+				flush();
+				tokens.push(token);
+			} else {
+				text += char;
+			}
+		}
+
+		flush();
+
+		return tokens;
+	}
+
+	/**
+	 * Expands the optional parameters into all combinations of the tokens.
+	 * Omitted parameter also removes the preceding slash. Variants omitting the later parameters come first,
+	 * so a value is bound to the earliest optional parameter (e.g. `/a/1` matches `x` of `/a/:x?/:y?`).
+	 * @static
+	 * @param {RouteToken[]} tokens
+	 * @returns {{tokens: RouteToken[], slots: number[]}[]}
+	 * @memberof Router
+	 */
+	static expandOptional(tokens) {
+		/** @type {{tokens: RouteToken[], slots: number[]}[]} */
+		let variants = [{tokens: [], slots: []}];
+		let slot = 0;
+
+		for(const token of tokens) {
+			if(token.type === "static") {
+				for(const variant of variants) variant.tokens.push(token);
+				continue;
+			}
+
+			const current = slot++;
+
+			/** @type {{tokens: RouteToken[], slots: number[]}[]} */
+			const expanded = [];
+
+			for(const variant of variants) {
+				expanded.push({tokens: [...variant.tokens, token], slots: [...variant.slots, current]});
+				if(!token.optional) continue;
+
+				const variantTokens = [...variant.tokens];
+				const last = variantTokens[variantTokens.length - 1];
+
+				// Remove the preceding slash
+				if(last && last.type === "static" && last.value.endsWith("/")) {
+					const value = last.value.slice(0, -1);
+					variantTokens.pop();
+					if(value) variantTokens.push({type: "static", value});
+				}
+
+				expanded.push({tokens: variantTokens, slots: [...variant.slots]});
+			}
+
+			variants = expanded;
+		}
+
+		// Merge adjacent static tokens created by omitting the parameters
+		for(const variant of variants) {
+			variant.tokens = variant.tokens.reduce((merged, token) => {
+				const last = merged[merged.length - 1];
+
+				if(last && last.type === "static" && token.type === "static") merged[merged.length - 1] = {type: "static", value: last.value + token.value};
+				else merged.push(token);
+
+				return merged;
+			}, /**@type {RouteToken[]}*/([]));
+		}
+
+		return variants;
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @param {string} pattern
+	 * @param {number} start Index of the opening parenthesis
+	 * @returns {number} Index of the matching closing parenthesis; `-1` if not found
+	 * @memberof Router
+	 */
+	static _findClosingParenthesis(pattern, start) {
+		let depth = 0;
+
+		for(let i = start; i < pattern.length; i++) {
+			const char = pattern[i];
+
+			if(char === "\\") i++;
+			else if(char === "(") depth++;
+			else if(char === ")" && --depth === 0) return i;
+		}
+
+		return -1;
+	}
+
+	/**
+	 * Resolves the names of the captures. Repeated parameter names are suffixed with the number of the occurrence (eg. `name`, `name1`, `name2`).
+	 * @static
+	 * @param {RouteToken[]} tokens
+	 * @returns {(string | null)[]}
+	 * @memberof Router
+	 */
+	static getCaptureNames(tokens) {
+		/** @type {Record<string, number>} */
+		const usedNames = {};
+
+		return tokens.filter(token => token.type !== "static").map(token => {
+			if(token.type !== "param") return null;
+
+			const name = token.value;
+			usedNames[name] = name in usedNames ? usedNames[name] + 1 : 0;
+
+			return `${name}${usedNames[name] > 0 ? usedNames[name] : ""}`;
+		});
+	}
+}
+
+/**
+ * Supported types of the parameters (`:name<type>`)
+ * @type {Record<string, RouteParamType>}
+ */
+Router.PARAM_TYPES = {
+	"int": {
+		regex: /^-?\d+$/,
+		parse: value => parseInt(value, 10)
+	},
+	"float": {
+		regex: /^-?\d+(?:\.\d+)?$/,
+		parse: value => parseFloat(value)
+	},
+	"number": {
+		regex: /^-?\d+(?:\.\d+)?$/,
+		parse: value => parseFloat(value)
+	},
+	"bool": {
+		regex: /^(?:true|false|1|0)$/i,
+		parse: value => value === "1" || value.toLowerCase() === "true"
+	},
+	"date": {
+		regex: /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i,
+		validate: value => {
+			const date = new Date(value);
+			if(isNaN(date.getTime())) return false;
+
+			// Days overflowing the month are accepted by the Date parser (eg. `2023-02-30` is parsed as March 2)
+			const [year, month, day] = value.slice(0, 10).split("-").map(Number);
+			const calendarDate = new Date(0);
+			calendarDate.setUTCFullYear(year, month - 1, day);
+
+			return calendarDate.getUTCFullYear() === year && calendarDate.getUTCMonth() === month - 1 && calendarDate.getUTCDate() === day;
+		},
+		parse: value => new Date(value)
+	},
+	"uuid": {
+		regex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+		parse: value => value.toLowerCase()
+	},
+	"string": {
+		regex: /^.+$/,
+		parse: value => value
+	}
+};
+
+module.exports = {
+	Router,
+	RouterNode
+};
@@ -2,14 +2,29 @@
 
 const formidable = require("formidable");
 const http = require("http");
+const https = require("https");
+const http2 = require("http2");
 const path = require("path");
 const util = require("util");
 const inspector = require("inspector");
 const vm = require("vm");
 const fs = require("fs");
+const crypto = require("crypto");
+const net = require("net");
+const zlib = require("zlib");
+const {Readable} = require("stream");
+const {AsyncLocalStorage} = require("async_hooks");
 const {EventListenerStatic, EventListener, fixDigits, iterate, getQueryParameters, objectDeepMerge, timeout, JLListener, JLEvent, getFormattedTime} = require("./JustLib.js");
 const {CLI, KEY} = require("./CLI");
 const {Command, Variable, Optional, Keyword} = require("./command.js");
+const {WebSocket} = require("./websocket.js");
+const {Router} = require("./router.js");
+const {Session, SessionStore, MemorySessionStore, JSONSessionStore} = require("./session.js");
+const {RateLimiter, TokenBucketLimiter, SlidingWindowLimiter} = require("./ratelimit.js");
+const {IPAddress, IPRange, IPMatcher} = require("./ipmatcher.js");
+
+const scrypt = /**@type {(password: crypto.BinaryLike, salt: crypto.BinaryLike, keylen: number, options: crypto.ScryptOptions) => Promise<Buffer>}*/(util.promisify(crypto.scrypt));
+const pbkdf2 = util.promisify(crypto.pbkdf2);
 
 const btoa = data => Buffer.from(data, "binary").toString("base64");
 const atob = data => Buffer.from(data, "base64").toString("binary");
@@ -18,6 +33,9 @@ const PATH = {
 	CONFIG: __dirname + "/config.json",
 	TRUSTED_IPS: __dirname + "/trustedips.json",
 	BLACKLIST: __dirname + "/blacklist.json",
+	DISABLED_MODULES: __dirname + "/disabledmodules.json",
+	USERS: __dirname + "/users.json",
+	SESSIONS: __dirname + "/sessions.json",
 	MODULES: __dirname + "/modules/",
 	PUBLIC: __dirname + "/public/",
 	LOGS: __dirname + "/logs/"
@@ -44,7 +62,47 @@ class Server extends EventListenerStatic {
 	 * @prop {string} path Path to the module file
 	 * @prop {boolean} loaded Flag indicating if the module has been loaded
 	 * @prop {boolean} failed Flag indicating if the module failed to load
+	 * @prop {string | null} error Reason of the failure; `null` if the module did not fail
+	 * @prop {ModuleManifest | null} manifest Manifest of the project the module belongs to; `null` if module is not part of any project
+	 * @prop {ConfigSchema | null} configSchema Schema of the configuration exported as `configSchema` by a module, which is not part of any project
+	 * (projects declare the schema in the manifest); available once the module is loaded
 	 * @prop {any} exports The exports of the module
+	 * @prop {JLListener[]} listeners Server event listeners registered by the module
+	 * @prop {{method: string, path: string}[]} routes Routes registered by the module using `Server.route()`
+	 * @prop {Command[]} commands CLI commands registered by the module
+	 */
+
+	/**
+	 * Manifest of a project, loaded from the optional `module.json` file in the project folder
+	 * @typedef {Object} ModuleManifest
+	 * @prop {string} name Name of the project (defaults to the name of the project folder)
+	 * @prop {string | null} version Version of the project
+	 * @prop {Object<string, string>} dependencies Names of the required projects/modules mapped to the required version range (`*` for any version).
+	 * Can be also specified as an array of names in `module.json`.
+	 * @prop {string[]} requiredConfig Config keys (dot separated paths) which must be set in order to load the project
+	 * @prop {number} priority Load priority; projects with higher priority are loaded first (dependencies are always loaded before their dependents)
+	 * @prop {ConfigSchema | null} config Schema of the project configuration stored in the `modules.<name>` namespace of `config.json`
+	 */
+
+	/**
+	 * @typedef {"string" | "number" | "integer" | "boolean" | "array" | "object" | "any"} ConfigValueType
+	 */
+
+	/**
+	 * Schema of a single configuration property
+	 * @typedef {Object} ConfigSchemaProperty
+	 * @prop {ConfigValueType} [type="any"] Type of the value
+	 * @prop {any} [default] Default value, added to `config.json` when missing
+	 * @prop {any[]} [enum] List of allowed values
+	 * @prop {boolean} [required=false] Flag indicating if the value must be set (not `null`)
+	 * @prop {string} [description] Description shown by the `config get` command
+	 * @prop {boolean} [secret=false] Flag indicating if the value is secret (masked by the `config get` and `config set` commands)
+	 * @prop {ConfigSchema} [properties] Schema of the nested properties (`object` type only)
+	 * @prop {ConfigSchemaProperty} [items] Schema of the items (`array` type only)
+	 */
+
+	/**
+	 * @typedef {Object<string, ConfigSchemaProperty>} ConfigSchema
 	 */
 
 	/**
@@ -510,6 +568,43 @@ class Server extends EventListenerStatic {
 	 */
 	static http;
 
+	/**
+	 * HTTPS server instance (HTTP/2 server in case `http2` mode is enabled); `null` if HTTPS is disabled
+	 * @type {https.Server | http2.Http2SecureServer | null}
+	 */
+	static https = null;
+
+	/**
+	 * List of certificate files being watched for changes
+	 * @type {string[]}
+	 */
+	static _watchedCertificates = [];
+
+	/**
+	 * List of configuration files being watched for changes
+	 * @type {string[]}
+	 */
+	static _watchedConfigFiles = [];
+
+	/**
+	 * Configuration loaded from the configuration file, without the overrides from other layers
+	 * @type {ObjectLiteral}
+	 */
+	static _fileConfig = {};
+
+	/**
+	 * Layer each configuration value comes from.
+	 * Property key is the dot separated path of the value.
+	 * @type {Object<string, string>}
+	 */
+	static _configSources = {};
+
+	/**
+	 * Cache of successfully verified passwords (hashes of the password and the stored hash)
+	 * @type {Set<string>}
+	 */
+	static _verifiedPasswords = new Set();
+
 	/**
 	 *
 	 *
@@ -528,17 +623,44 @@ class Server extends EventListenerStatic {
 	static unknownCommandError = true;
 
 	/**
-	 * List of trusted IP addresses
+	 * List of trusted IP addresses and CIDR blocks (`localhost` matches all loopback addresses)
 	 * @type {string[]}
 	 */
 	static TRUSTED_IPS = [];
 
 	/**
-	 * List of blacklisted IP addresses
+	 * List of blacklisted IP addresses and CIDR blocks
 	 * @type {string[]}
 	 */
 	static BLACKLIST = [];
 
+	/**
+	 * Temporarily banned IP addresses and CIDR blocks (e.g. repeated violators of the rate limits) mapped to the expiration timestamp in milliseconds.
+	 * Temporary bans are not persisted and are removed when they expire.
+	 * @type {Map<string, number>}
+	 */
+	static TEMPORARY_BANS = new Map();
+
+	/**
+	 * List of disabled modules (module names or project names)
+	 * @type {string[]}
+	 */
+	static DISABLED_MODULES = [];
+
+	/**
+	 * Store of the users used by `RequestEvent.auth()` (JSON file backed by default).
+	 * Can be replaced by a custom `UserStore` implementation.
+	 * @type {UserStore | null}
+	 */
+	static users = null;
+
+	/**
+	 * Store of the sessions used by `Server.session()` middleware (type set by `session.store` configuration).
+	 * Can be replaced by a custom `SessionStore` implementation.
+	 * @type {SessionStore | null}
+	 */
+	static sessionStore = null;
+
 	/**
 	 * @type {typeof PATH}
 	 */
@@ -550,6 +672,45 @@ class Server extends EventListenerStatic {
 	 */
 	static isStopping = false;
 
+	/**
+	 * Flag indicating if the server has finished loading (the "load" event has been dispatched)
+	 * @type {boolean}
+	 */
+	static isLoaded = false;
+
+	/**
+	 * Watcher of the modules folder; `null` if watching is disabled
+	 * @type {fs.FSWatcher | null}
+	 */
+	static _modulesWatcher = null;
+
+	/**
+	 * Pending (debounced) module reloads triggered by the modules watcher.
+	 * Property key is the name of the module.
+	 * @type {Object<string, NodeJS.Timeout>}
+	 */
+	static _moduleReloadTimers = {};
+
+	/**
+	 * Module in the context of which the current code is executing.
+	 * The context is entered while the module file is executed and while its listeners, routes and "load"/"unload" handlers are called,
+	 * so it follows the asynchronous operations started from there as well.
+	 * @type {AsyncLocalStorage<Module | null>}
+	 */
+	static _moduleContext = new AsyncLocalStorage();
+
+	/**
+	 * Modules owning the listeners registered within their context
+	 * @type {WeakMap<JLListener, Module>}
+	 */
+	static _listenerOwners = new WeakMap();
+
+	/**
+	 * Listeners of the "load" event in the order of the registration, called by the server at startup
+	 * @type {JLListener[]}
+	 */
+	static _loadListeners = [];
+
 	/**
 	 * Date indicating when the server was started
 	 * @type {Date}
@@ -568,8 +729,61 @@ class Server extends EventListenerStatic {
 	/** @type {fs.WriteStream | null} */
 	static loggerStream = null;
 
-	/** @type {{regex: RegExp, listener: JLListener}[]} */
-	static _listenersRegexCache = [];
+	/**
+	 * Router of the listeners using wildcard characters
+	 * @type {Router<JLListener>}
+	 */
+	static _router = new Router();
+
+	/**
+	 * Routes registered using `Server.route()` and its shorthands.
+	 * Property key is the path of the route, nested property key is the HTTP method.
+	 * @type {Record<string, Record<string, {middlewares: Middleware<any>[], callback: RouteHandler<any>, bodyType: POSTBodyType | null, owner: Module | null}>>}
+	 */
+	static _routes = {};
+
+	/**
+	 * Path listeners dispatching the requests to the routes registered using `Server.route()`.
+	 * Property key is the path of the route.
+	 * @type {Record<string, JLListener>}
+	 */
+	static _routeListeners = {};
+
+	/**
+	 * Middlewares created by `Server.cors()`, used to answer the preflight requests of the routes
+	 * @type {WeakSet<Middleware<any>>}
+	 */
+	static _corsMiddlewares = new WeakSet();
+
+	/**
+	 * Limiter of all requests set by the `rate-limit` configuration
+	 * @type {RateLimiter | null}
+	 */
+	static _rateLimiter = null;
+
+	/**
+	 * Counter of the rate limit violations per IP address, used to ban the repeated violators
+	 * @type {RateLimiter | null}
+	 */
+	static _rateLimitViolations = null;
+
+	/**
+	 * Whether the warning about forwarding headers sent by a peer, which is not a trusted proxy, has been logged
+	 * @type {boolean}
+	 */
+	static _warnedUntrustedForwarding = false;
+
+	/**
+	 * Counter of the failed authentication attempts per IP address, set by the `auth-throttle` configuration
+	 * @type {RateLimiter | null}
+	 */
+	static _authFailures = null;
+
+	/**
+	 * Currently open Server-Sent Events streams
+	 * @type {Set<EventStream>}
+	 */
+	static eventStreams = new Set();
 
 	/**
 	 * @type {
@@ -577,9 +791,12 @@ class Server extends EventListenerStatic {
 		((event: string, listener: (event: RequestEvent) => void) => JLListener) &
 		((event: "request", listener: (event: RequestEvent) => void) => JLListener) &
 		((event: "load", listener: (event: JLEvent) => void) => JLListener) &
-		((event: "unload", listener: (event: JLEvent & {forced: boolean}) => void) => JLListener) &
+		((event: "unload", listener: (event: JLEvent & {forced: boolean, module?: Module}) => void) => JLListener) &
+		((event: "configchange", listener: (event: JLEvent & {changes: string[], previous: ObjectLiteral}) => void) => JLListener) &
 		((event: "404", listener: (event: RequestEvent) => void) => JLListener) &
-		((event: "500", listener: (event: RequestEvent) => void) => JLListener)
+		((event: "500", listener: (event: RequestEvent) => void) => JLListener) &
+		((event: "csrf", listener: (event: RequestEvent) => void) => JLListener) &
+		((event: "ratelimit", listener: (event: RequestEvent) => void) => JLListener)
 	   }
 	 */
 	// @ts-ignore
@@ -591,10 +808,7 @@ class Server extends EventListenerStatic {
 	 */
 	static async begin() {
 		// Set up logger
-		const filename = this.getFileNameFromDate(new Date());
-		const filepath = path.join(PATH.LOGS, `${filename}.log`);
-		if(!fs.existsSync(PATH.LOGS)) fs.mkdirSync(PATH.LOGS);
-		this.loggerStream = fs.createWriteStream(filepath, {flags: "a"});
+		this._openLoggerStream();
 
 		// Set up error logging
 		process.on("unhandledRejection", (reason, promise) => {
@@ -615,10 +829,15 @@ class Server extends EventListenerStatic {
 		this._loadConfig();
 		this._loadTrustedIPs();
 		this._loadBlacklist();
+		this._loadDisabledModules();
+		if(!this.users) this.users = new JSONUserStore();
+		this._checkCredentials();
+		await this._generateSecrets();
+		this._initSessionStore();
 		this.log("§7Properties loaded");
 
 		if(!this.config["enable-logging"]) {
-			this.loggerStream.end();
+			this._closeLoggerStream();
 			this.log("§eLogging is disabled!");
 		}
 
@@ -639,6 +858,12 @@ class Server extends EventListenerStatic {
 			// Register the available commands
 			this._registerCommands();
 
+			// Track commands registered by modules
+			this.stdio.cli.on("commandRegister", e => {
+				const owner = this._getCurrentModule();
+				if(owner) owner.commands.push(e.command);
+			});
+
 			// Unknown command handler
 			this.stdio.cli.on("unknownCommand", e => {
 				if(e.defaultPrevented) return;
@@ -649,7 +874,7 @@ class Server extends EventListenerStatic {
 
 			// Log input
 			this.stdio.cli.on("input", e => {
-				this.loggerStream?.write(`${this.stdio.cli?.prompt}${e.input}\n`);
+				this.loggerStream?.write(`${this.stdio.cli?.prompt}${e.masked ? "*".repeat(e.input.length) : e.input}\n`);
 			});
 
 			// SIGINT handler
@@ -664,29 +889,7 @@ class Server extends EventListenerStatic {
 			this.log("§7CLI enabled");
 
 			// SSH Server
-			if(this.config["ssh"]["enabled"]) {
-				// Try to load optional SSH module
-				try {
-					this.log("§7Loading SSH module...");
-					var {SSHServer} = (this.__CommonJS_cache["ssh.js"] = require("./ssh"));
-
-					// If module loaded, create new SSH server
-					this.log("§7Enabling SSH server...");
-					this.ssh = new SSHServer({
-						localCLI: this.stdio.cli,
-						port: this.config["ssh"]["port"]
-					});
-					await this.ssh.begin();
-
-					this.on("unload", () => {
-						this.ssh?.stop();
-					});
-
-					this.log("§7SSH server enabled");
-				} catch(err) {
-					this.error("Failed to load SSH module: " + err.message);
-				}
-			}
+			if(this.config["ssh"]["enabled"]) await this._startSSH();
 		} else this.log(`§7CLI disabled`);
 
 		// Init
@@ -703,17 +906,24 @@ class Server extends EventListenerStatic {
 			// Create HTTP server instance and and add all listeners
 			this.log("§7Creating HTTP server...");
 			this.http = http.createServer();
-			this.http.on("request", this._handleRequest.bind(this));
-			this.http.on("error", err => {
-				this.error("HTTP Server Error:", err.message);
-			});
-			this.http.on("close", e => {
-				this.log(`§7HTTP server closed`);
-			});
-			this.http.on("listening", e => {
-				this.log(`§7HTTP server is listening on port §f${this.config["http-port"]}`);
-			});
+			this._setupServer(this.http, "HTTP", () => this.config["http-port"]);
 			this.log(`§7HTTP server created`);
+
+			// Create HTTPS (or HTTP/2) server instance
+			if(this.config["https"]["enabled"]) {
+				const name = this.config["http2"]["enabled"] ? "HTTP/2" : "HTTPS";
+
+				try {
+					this.log(`§7Creating ${name} server...`);
+					this.https = this._createSecureServer();
+					this._setupServer(this.https, name, () => this.config["https"]["port"]);
+					this._watchCertificates();
+					this.log(`§7${name} server created`);
+				} catch(err) {
+					this.https = null;
+					this.error(`Failed to create ${name} server:`, err.message);
+				}
+			}
 		} else {
 			this.log(`§6HTTP server is disabled!`);
 		}
@@ -726,9 +936,13 @@ class Server extends EventListenerStatic {
 
 		// Load event
 		this.log("§7Loading server...");
-		await this.dispatchEvent("load", {async: true});
+		await this._dispatchLoadEvent();
+		this.isLoaded = true;
 		this.log("§7Server loaded");
 
+		// Watch configuration files for changes
+		this._watchConfig();
+
 		// Make HTTP server listen for incoming requests
 		if(this.config["enable-http-server"]) {
 			await new Promise(resolve => {
@@ -736,6 +950,17 @@ class Server extends EventListenerStatic {
 				this.http.on("error", resolve);
 				this.http.listen(this.config["http-port"]);
 			});
+
+			// Make HTTPS server listen for incoming requests
+			if(this.https) {
+				const server = this.https;
+
+				await new Promise(resolve => {
+					server.on("listening", resolve);
+					server.on("error", resolve);
+					server.listen(this.config["https"]["port"]);
+				});
+			}
 		}
 
 		// Print startup duration
@@ -754,6 +979,17 @@ class Server extends EventListenerStatic {
 
 		this.isStopping = true;
 		if(this.config["enable-http-server"] && this.http && this.http.listening) this.http.close();
+		if(this.https && this.https.listening) this.https.close();
+		this._unwatchCertificates();
+		this._unwatchModules();
+		this._unwatchConfig();
+		this._stopSSH();
+		WebSocket.closeAll(WebSocket.CLOSE_CODE.GOING_AWAY, "Server is stopping");
+		for(const stream of this.eventStreams) stream.close();
+		this.sessionStore?.close();
+		this._rateLimiter?.close();
+		this._rateLimitViolations?.close();
+		this._authFailures?.close();
 		this._saveBlacklist();
 
 		this.dispatchEvent("unload", {forced: force, async: true, defaultPreventable: false}).then(() => {
@@ -775,366 +1011,1519 @@ class Server extends EventListenerStatic {
 	}
 
 	/**
-	 * Internal method for handling incoming requests
+	 * Registers a handler for the specified HTTP method and path.
+	 * Requests to the path using a method without a handler are responded with `405 Method Not Allowed`.
+	 * HEAD requests are handled by GET handler, in case there is no HEAD handler.
+	 * Bodies of POST, PUT, PATCH and DELETE requests are received before the handler is called.
+	 * @example Server.route("PUT", "/user/:id", "json", authMiddleware, e => {
+	 * e.send({id: e.matches.id, user: e.body});
+	 * });
 	 * @static
-	 * @param {http.IncomingMessage} req
-	 * @param {http.ServerResponse} res
-	 * @param {string | undefined} [redirectTo]
-	 * @param {RequestEvent} [prevEvent]
-	 * @return {void} 
+	 * @param {string} method HTTP method
+	 * @param {string} path Path of the route (supports wildcard characters)
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[] | POSTBodyType)} handlers Optional body type, followed by middlewares and the route handler
 	 * @memberof Server
 	 */
-	static _handleRequest(req, res, redirectTo = undefined, prevEvent = undefined) {
-		if(redirectTo && !prevEvent) throw new TypeError("Cannot redirect request if there is no RequestEvent provided");
+	static route(method, path, ...handlers) {
+		if(typeof method !== "string") throw new TypeError("'method' parameter is not type of string");
+		if(typeof path !== "string") throw new TypeError("'path' parameter is not type of string");
 
-		// Handle invalid requests
-		if(!req.url) {
-			res.writeHead(400);
-			res.end("400 Bad Request");
-			return this._connectionLog(400);
-		}
+		const bodyType = typeof handlers[0] === "string" ? /**@type {POSTBodyType}*/(handlers.shift()) : null;
+		const callback = /**@type {RouteHandler<any>}*/(handlers.pop());
+		const middlewares = /**@type {Middleware<any>[]}*/(handlers.flat());
 
-		const _remoteAdd = req.socket.remoteAddress || "";
-		const remoteIp = _remoteAdd.split(":")[3] || _remoteAdd;
-		const proxyIp = req.headers["x-forwarded-for"];
-		const protocol = req.headers["x-forwarded-proto"] || "http";
-		const host = req.headers["host"];
-		const ip = proxyIp || remoteIp;
-		const origin = `${protocol}://${req.headers.host}`;
-		const isTrusted = this.TRUSTED_IPS.some(e => ip.includes(e));
-		const isBlacklisted = this.BLACKLIST.some(e => ip.includes(e));
+		if(typeof callback !== "function") throw new TypeError("'callback' parameter is not type of function");
+		if(middlewares.some(e => typeof e !== "function")) throw new TypeError("'middlewares' parameter must be either type of function[] or function");
 
-		try {
-			var url = new URL(req.url, origin);
-		} catch(err) {
-			res.writeHead(400);
-			res.end("400 Bad Request");
-			this.warn(`§cInvalid URL '${req.url}':`, err);
-			return this._connectionLog(400);
+		const routeMethod = method.toUpperCase();
+
+		// Create a single path listener dispatching the requests to the method handlers
+		if(!this._routes[path]) {
+			this._routes[path] = {};
+			this._routeListeners[path] = this.on(path, e => this._dispatchRoute(path, e));
 		}
 
-		// Request handling
-		let destinationPath = decodeURIComponent(redirectTo || url.pathname);
-		const resolvedPath = this.resolvePublicResource(destinationPath);
+		if(this._routes[path][routeMethod]) this.warn(`Route '${routeMethod} ${path}' is already registered, overriding the previous handler`);
 
-		/** @type {RequestEvent} */
-		const EventObject = prevEvent || new RequestEvent({
-			req,
-			res,
-			method: req.method,
-			remoteIp: remoteIp,
-			proxyIp: proxyIp,
-			ip: ip,
-			host: (host || ""),
-			origin: origin,
-			protocol,
-			path: destinationPath,
-			query: Object.fromEntries(url.searchParams.entries()),
-			url: url,
-			isTrusted: isTrusted,
-			defaultPreventable: true,
-			autoPrevent: true,
-			headers: req.headers,
-			isRedirected: false,
-			redirectChain: [destinationPath],
-			resolvedPath: resolvedPath,
+		// Track the route, so it can be removed when the module gets unloaded
+		const owner = this._getCurrentModule();
+		if(owner) owner.routes.push({method: routeMethod, path});
 
-			RemoteIP: remoteIp, /* Deprecated */
-			ProxyIP: proxyIp, /* Deprecated */
-			IP: ip, /* Deprecated */
-			HOST: (host || ""), /* Deprecated */
-			Path: destinationPath, /* Deprecated */
-			IS_TRUSTED: isTrusted, /* Deprecated */
-			resolvedFile: resolvedPath, /* Deprecated */
-		});
+		this._routes[path][routeMethod] = {middlewares, callback, bodyType, owner};
+	}
 
-		if(!redirectTo) {
-			if(isTrusted) this.log(`§2Incoming request from ${host ? `§2(${host})` : ""}§2${remoteIp}${proxyIp ? `§3(${proxyIp})` : ""}§2: §2${req.method} §2${req.url}`);
-			else this.log(`§2Incoming request from ${host ? `§2(${host})` : ""}§a${remoteIp}${proxyIp ? `§b(${proxyIp})` : ""}§2: §a${req.method} §a${req.url}`);
+	/**
+	 * Removes a handler registered using `Server.route()`
+	 * @static
+	 * @param {string} method HTTP method
+	 * @param {string} path Path of the route
+	 * @returns {boolean} `true` if the route was removed, otherwise `false`
+	 * @memberof Server
+	 */
+	static removeRoute(method, path) {
+		const routeMethod = method.toUpperCase();
+		if(!this._routes[path]?.[routeMethod]) return false;
 
-			if(isBlacklisted) {
-				this.warn(`Received request from blacklisted IP (${ip})`);
-				return EventObject.send("403 Forbidden", 403);
-			}
-		}
+		delete this._routes[path][routeMethod];
 
-		// Updated properties from previous request event
-		if(redirectTo) {
-			EventObject.redirectChain.push(destinationPath);
-			EventObject.isRedirected = true;
-			EventObject.path = destinationPath;
-			EventObject.Path = destinationPath; /* Deprecated */
-			EventObject.resolvedPath = resolvedPath;
-			EventObject.resolvedFile = resolvedPath;
+		// Remove the path listener once there are no methods left
+		if(!Object.keys(this._routes[path]).length) {
+			const listener = this._routeListeners[path];
+			delete this._routes[path];
+			delete this._routeListeners[path];
 
-			// Reset `Event`'s internal properties
-			EventObject.isStopped = false;
-			EventObject.hasListener = false;
-			EventObject.defaultPrevented = false;
+			this.off(listener.type, listener.callback);
 		}
 
-		// Fix destination path ending with "/"
-		if(destinationPath.length > 1 && destinationPath.endsWith("/")) destinationPath = destinationPath.slice(0, -1);
-		// if(destinationPath.length > 1 && destinationPath.endsWith("/")) EventObject.redirectURL(destinationPath.slice(0, -1), this.STATUS.REDIRECT.MOVED_PERMANENTLY);
+		return true;
+	}
 
-		// Dispatch events
-		(async () => {
-			// Dispatch "request" event
-			await this.dispatchEvent("request", EventObject);
-			if(EventObject.defaultPrevented) return;
+	/**
+	 * Registers a GET request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[])} handlers
+	 * @memberof Server
+	 */
+	static get(path, ...handlers) {
+		this.route("GET", path, ...handlers);
+	}
 
-			// Dispatch path event
-			await this.dispatchEvent(destinationPath, EventObject);
-			if(EventObject.defaultPrevented) return;
+	/**
+	 * Registers a HEAD request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[])} handlers
+	 * @memberof Server
+	 */
+	static head(path, ...handlers) {
+		this.route("HEAD", path, ...handlers);
+	}
 
-			// Dynamic destination path search
-			const searchDispatched = new Set();
-			const listenerPromises = [];
+	/**
+	 * Registers a POST request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[] | POSTBodyType)} handlers
+	 * @memberof Server
+	 */
+	static post(path, ...handlers) {
+		this.route("POST", path, ...handlers);
+	}
 
-			// Listener uses dynamic representation of destination path
-			for(const {regex, listener} of this._listenersRegexCache) {
-				const type = listener.type;
+	/**
+	 * Registers a PUT request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[] | POSTBodyType)} handlers
+	 * @memberof Server
+	 */
+	static put(path, ...handlers) {
+		this.route("PUT", path, ...handlers);
+	}
 
-				// Event propagation was stopped
-				if(EventObject.isStopped) break;
+	/**
+	 * Registers a PATCH request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[] | POSTBodyType)} handlers
+	 * @memberof Server
+	 */
+	static patch(path, ...handlers) {
+		this.route("PATCH", path, ...handlers);
+	}
 
-				// Event was already dispatched
-				if(searchDispatched.has(type)) continue;
+	/**
+	 * Registers a DELETE request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[] | POSTBodyType)} handlers
+	 * @memberof Server
+	 */
+	static delete(path, ...handlers) {
+		this.route("DELETE", path, ...handlers);
+	}
 
-				// Try to match the destination path with the regex
-				const match = destinationPath.match(regex);
+	/**
+	 * Registers an OPTIONS request handler. See `Server.route()` for more information.
+	 * @static
+	 * @param {string} path
+	 * @param {...(RouteHandler<any> | Middleware<any> | Middleware<any>[])} handlers
+	 * @memberof Server
+	 */
+	static options(path, ...handlers) {
+		this.route("OPTIONS", path, ...handlers);
+	}
 
-				// Destination path does not match required pattern
-				if(!match) continue;
+	/**
+	 * @typedef {Object} SessionMiddlewareOptions
+	 * @prop {SessionStore} [store=Server.sessionStore] Store of the sessions
+	 * @prop {string} [cookieName] Name of the session cookie (default is `session.cookie-name` configuration)
+	 * @prop {number} [maxAge] Lifetime of the session in seconds, renewed on every request (default is `session.max-age` configuration)
+	 * @prop {"Strict" | "Lax" | "None"} [sameSite] SameSite attribute of the session cookie (default is `session.same-site` configuration)
+	 * @prop {string} [path="/"] Path attribute of the session cookie
+	 */
 
-				// Add found matches to EventObject
-				// @ts-ignore
-				EventObject.matches = match.slice(1);
-				EventObject.matches.matches = EventObject.matches;
-				if(match.groups) {
-					Object.assign(EventObject.matches, match.groups);
-				}
+	/**
+	 * Creates a middleware loading the session of the client into `RequestEvent.session`.
+	 * Session ID is sent in a signed HttpOnly cookie (Secure over HTTPS), session data are saved to the store after the response is sent.
+	 * The data are read and written through `e.session.data`, the session itself only provides the methods managing the session.
+	 * @example Server.post("/login", "json", Server.session(), async e => {
+	 * if(!await Server.users.verifyCredentials(e.body.username, e.body.password)) return e.send("Invalid credentials", 401);
+	 *
+	 * await e.session.regenerate();
+	 * e.session.data.username = e.body.username;
+	 * e.send("Logged in");
+	 * });
+	 * @static
+	 * @param {SessionMiddlewareOptions} [options={}]
+	 * @returns {Middleware<any>}
+	 * @memberof Server
+	 */
+	static session(options = {}) {
+		return (event, next) => {
+			// Session was already loaded by another middleware
+			if(event.session) return next();
+
+			// Resolve the configuration on every request, so the changes are applied without restart
+			const config = this.config["session"];
+			const {
+				store = this.sessionStore,
+				cookieName = config["cookie-name"],
+				maxAge = config["max-age"],
+				sameSite = config["same-site"],
+				path = "/"
+			} = options;
+
+			if(!store) throw new Error("Session store is not initialized");
+
+			const cookie = new CookieJar(event.req).getCookie(cookieName);
+			const id = cookie ? Session.unsign(cookie.value, config["secret"]) : null;
+
+			/** @type {(session: Session) => void} */
+			const sendCookie = session => {
+				const value = session.isDestroyed ? "" : Session.sign(session.id, config["secret"]);
+
+				event.__setResponseCookie(new CookieJar.Cookie(cookieName, value, {
+					"Path": path,
+					"Max-Age": `${session.isDestroyed ? 0 : maxAge}`,
+					"HttpOnly": true,
+					"SameSite": sameSite,
+					"Secure": event.protocol === "https" || sameSite === "None"
+				}));
+			};
+
+			(id ? store.get(id) : Promise.resolve(null)).then(record => {
+				// Unknown (expired or destroyed) sessions get a new ID
+				const session = new Session(record && id ? id : Session.generateId(), record, {store, onChange: sendCookie});
+				event.session = session;
+
+				// Renew the cookie, so the session expires after the inactivity
+				sendCookie(session);
+
+				event.res.once("finish", () => {
+					// Don't store empty new sessions
+					if(session.isDestroyed || (session.isNew && !Object.keys(session.data).length)) return;
+
+					session.save(maxAge * 1000, event.ip).catch(err => this.error("Failed to save the session:", err));
+				});
+
+				next();
+			}).catch(err => this._handleInternalError(event, err));
+		};
+	}
+
+	/**
+	 * @typedef {Object} CORSMiddlewareOptions
+	 * @prop {string | RegExp | (string | RegExp)[] | ((origin: string, event: RequestEvent) => boolean)} [origin="*"] Allowed origins
+	 * @prop {string[]} [methods=["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"]] Methods allowed in preflight requests
+	 * @prop {string[] | null} [allowedHeaders=null] Request headers allowed in preflight requests, `null` allows the requested headers
+	 * @prop {string[]} [exposedHeaders=[]] Response headers readable by the client
+	 * @prop {boolean} [credentials=false] Allow requests with credentials (cookies, authorization headers)
+	 * @prop {number | null} [maxAge=null] Time in seconds the preflight response can be cached for
+	 */
+
+	/**
+	 * Creates a middleware adding the CORS headers to responses to the requests from allowed origins.
+	 * Preflight requests (OPTIONS) are answered by the middleware. Preflight requests of routes registered
+	 * using `Server.route()` (and its shorthands) are answered automatically, before the path listeners run.
+	 * @example Server.post("/api/items", "json", Server.cors({origin: ["https://app.example.com", /\.example\.com$/], credentials: true}), e => {
+	 * e.send({created: true});
+	 * });
+	 * @static
+	 * @param {CORSMiddlewareOptions} [options={}]
+	 * @returns {Middleware<any>}
+	 * @memberof Server
+	 */
+	static cors(options = {}) {
+		const {
+			origin: allowedOrigin = "*",
+			methods = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
+			allowedHeaders = null,
+			exposedHeaders = [],
+			credentials = false,
+			maxAge = null
+		} = options;
+
+		/** @type {Middleware<any>} */
+		const middleware = (event, next) => {
+			const origin = event.headers.origin;
+			const isPreflight = event.method === "OPTIONS" && typeof event.headers["access-control-request-method"] === "string";
+
+			// Not a cross-origin request
+			if(!origin) return next();
 
-				// Dispatch matched event
-				searchDispatched.add(type);
+			const isAllowed = typeof allowedOrigin === "function" ?
+				allowedOrigin(origin, event) :
+				[allowedOrigin].flat().some(e => e === "*" || (e instanceof RegExp ? e.test(origin) : e === origin));
 
-				// Call the listener manually to prevent unnecessary overhead
-				EventObject.type = type;
-				listenerPromises.push(listener.callback(EventObject));
+			if(!isAllowed) {
+				if(!isPreflight) return next();
+
+				return event.send("403 Forbidden: Origin not allowed", Server.STATUS.CLIENT.FORBIDDEN);
 			}
 
-			// Wait for all listeners to finish
-			await Promise.all(listenerPromises);
-		})().then(() => {
-			// All listeners were processed
+			// Wildcard cannot be used with credentials, reflect the origin instead
+			const isWildcard = allowedOrigin === "*" && !credentials;
 
-			// If no listeners responded (prevented default action), try to serve static file
-			if(EventObject.defaultPrevented) return;
+			/** @type {http.OutgoingHttpHeaders} */
+			const headers = {"Access-Control-Allow-Origin": isWildcard ? "*" : origin};
+			if(credentials) headers["Access-Control-Allow-Credentials"] = "true";
 
-			// Prevent from writing to closed socket
-			if(res.writableEnded) return this.warn(`Failed to write response after end. (Default action has not been prevented)`);
+			if(!isWildcard) {
+				const vary = `${event.res.getHeader("Vary") || ""}`.split(",").map(e => e.trim()).filter(Boolean);
+				if(!vary.includes("Origin")) headers["Vary"] = [...vary, "Origin"].join(", ");
+			}
 
-			// The request path might be vulnerable
-			if(!EventObject.resolvedPath) return EventObject.send("404 Not Found", 404);
+			if(!isPreflight) {
+				if(exposedHeaders.length) headers["Access-Control-Expose-Headers"] = exposedHeaders.join(", ");
 
-			// Serve static file. This call will internally respond with 404 if file is not found.
-			EventObject.streamFile(EventObject.resolvedPath);
-		}).catch(err => {
-			// Catch all errors and process them
-			this._handleInternalError(EventObject, err);
-		});
+				for(const [name, value] of Object.entries(headers)) event.res.setHeader(name, /**@type {string}*/(value));
+				return next();
+			}
+
+			headers["Access-Control-Allow-Methods"] = methods.join(", ");
+
+			const requestedHeaders = event.headers["access-control-request-headers"];
+			if(allowedHeaders) headers["Access-Control-Allow-Headers"] = allowedHeaders.join(", ");
+			else if(requestedHeaders) headers["Access-Control-Allow-Headers"] = requestedHeaders;
+
+			if(maxAge !== null) headers["Access-Control-Max-Age"] = `${maxAge}`;
+
+			event.send("", Server.STATUS.SUCCESS.NO_CONTENT, undefined, headers);
+		};
+
+		this._corsMiddlewares.add(middleware);
+
+		return middleware;
 	}
 
 	/**
-	 *
+	 * Answers the CORS preflight request using the `Server.cors()` middleware of the route handling the requested method
+	 * @private
 	 * @static
 	 * @param {RequestEvent} event
+	 * @param {string} path Destination path of the request
+	 * @returns {boolean} `true` if the preflight request was answered
 	 * @memberof Server
 	 */
-	static _handleNotFound(event) {
-		this.dispatchEvent("404", event.clone(), () => {
-			event.send("404 Not Found", 404);
-		});
+	static _handlePreflight(event, path) {
+		const requestedMethod = event.headers["access-control-request-method"];
+		if(event.method !== "OPTIONS" || !event.headers.origin || typeof requestedMethod !== "string") return false;
+
+		const method = requestedMethod.toUpperCase();
+
+		// Static text of the routes is matched case-insensitively, the same way the router matches it
+		const lowerPath = path.toLowerCase();
+		const staticPaths = Object.keys(this._routes).filter(e => !Router.isDynamic(e) && e.toLowerCase() === lowerPath);
+		const routePaths = [...staticPaths, ...this._router.match(path).map(e => e.route.pattern)];
+
+		for(const routePath of routePaths) {
+			const methods = this._routes[routePath];
+
+			// Routes with OPTIONS handler answer the preflight requests themselves
+			if(!methods || methods["OPTIONS"]) continue;
+
+			const route = methods[method] || (method === "HEAD" ? methods["GET"] : undefined);
+			const middleware = route?.middlewares.find(e => this._corsMiddlewares.has(e));
+			if(!middleware) continue;
+
+			middleware(event, () => { });
+			return true;
+		}
+
+		return false;
 	}
 
 	/**
-	 *
+	 * @typedef {Object} CSRFMiddlewareOptions
+	 * @prop {"session" | "double-submit"} [mode] Storage of the token: the session (requires `Server.session()` middleware to be used before)
+	 * or a signed cookie compared with the submitted token (default is "session" if the session is loaded, otherwise "double-submit")
+	 * @prop {string} [cookieName="csrf"] Name of the token cookie (double-submit mode only)
+	 * @prop {string} [headerName="x-csrf-token"] Request header containing the submitted token
+	 * @prop {string} [fieldName="_csrf"] Body field containing the submitted token (form, multipart and JSON bodies)
+	 * @prop {boolean} [checkOrigin=true] Reject requests with `Origin` (or `Referer`) header not matching the origin of the request
+	 */
+
+	/**
+	 * Creates a middleware protecting the route against cross-site request forgery.
+	 * The token is available using `RequestEvent.csrfToken()` and must be submitted with every request using an unsafe method
+	 * (other than GET, HEAD, OPTIONS and TRACE). Rejected requests dispatch the `csrf` event, responded with 403 if the event is not prevented.
+	 * @example Server.on("/comment", e => {
+	 * e.get(Server.csrf(), () => e.send(`<form method="POST"><input type="hidden" name="_csrf" value="${e.csrfToken()}">...</form>`, 200, "text/html"));
+	 * e.post(Server.csrf(), body => e.send("Comment added"), "form");
+	 * });
 	 * @static
-	 * @param {RequestEvent} event
-	 * @param {Error} error
+	 * @param {CSRFMiddlewareOptions} [options={}]
+	 * @returns {Middleware<any>}
 	 * @memberof Server
 	 */
-	static _handleInternalError(event, error) {
-		const clone = event.clone();
-		clone.error = error;
+	static csrf(options = {}) {
+		const {
+			mode,
+			cookieName = "csrf",
+			headerName = "x-csrf-token",
+			fieldName = "_csrf",
+			checkOrigin = true
+		} = options;
 
-		this.dispatchEvent("500", clone, () => {
-			Server.error("Failed to handle the incoming request:", error);
-			event.send("500 Internal Server Error", 500);
-		});
+		return (event, next) => {
+			const session = event.session;
+			const useSession = mode ? mode === "session" : !!session;
+			if(useSession && !session) throw new Error("CSRF protection in session mode requires 'Server.session()' middleware");
+
+			/** @type {string | null} */
+			let token = session && useSession ? session.data.csrfToken || null : new CookieJar(event.req).getSignedCookie(cookieName)?.value || null;
+
+			// Issue the token when it's requested for the first time
+			event._csrfTokenProvider = () => {
+				if(token) return token;
+
+				token = crypto.randomBytes(24).toString("base64url");
+
+				if(session && useSession) {
+					session.data.csrfToken = token;
+				} else {
+					const jar = new CookieJar().setSignedCookie(cookieName, token, {
+						"Path": "/",
+						"HttpOnly": true,
+						"SameSite": "Lax",
+						"Secure": event.protocol === "https"
+					});
+
+					event.__setResponseCookie(/**@type {CookieJar.Cookie}*/(jar.getCookie(cookieName)));
+				}
+
+				return token;
+			};
+
+			if(["GET", "HEAD", "OPTIONS", "TRACE"].includes(event.method)) return next();
+
+			const reject = (/**@type {string}*/reason) => {
+				Server.log(`§eCSRF check of ${event.method} ${event.path} from ${event.ip} failed: ${reason}`);
+
+				const clone = event.clone();
+				clone.error = new Error(reason);
+
+				this.dispatchEvent("csrf", clone, () => {
+					event.send(`403 Forbidden: ${reason}`, 403);
+				});
+			};
+
+			if(checkOrigin) {
+				let origin = event.headers.origin;
+
+				if(!origin && event.headers.referer) {
+					try {
+						origin = new URL(event.headers.referer).origin;
+					} catch(err) {
+						origin = "null";
+					}
+				}
+
+				if(origin && origin !== event.origin) return reject("Origin mismatch");
+			}
+
+			const validate = () => {
+				const header = event.headers[headerName.toLowerCase()];
+				const body = /**@type {any}*/(event.body);
+				const field = body && typeof body === "object" && !Buffer.isBuffer(body) ? body[fieldName] : undefined;
+
+				// Multipart fields are objects holding the values
+				const submitted = header || (field && typeof field === "object" ? field.value : field);
+
+				if(!token) return reject("Missing CSRF token");
+				if(typeof submitted !== "string" || !timingSafeEqualString(submitted, token)) return reject("Invalid CSRF token");
+
+				next();
+			};
+
+			// Token can be submitted in the body, receive it before the validation
+			if(!event.headers[headerName.toLowerCase()] && this.BODY_METHODS.includes(event.method) && !event.isBodyReceived) {
+				return this.POST_BODY_HANDLER(event, validate);
+			}
+
+			validate();
+		};
 	}
 
 	/**
-	 * Resolves the absolute path of a file inside the specified base directory.
+	 * @typedef {Object} RateLimitMiddlewareOptions
+	 * @prop {"token-bucket" | "sliding-window"} [algorithm] Rate limiting algorithm (default is `rate-limit.algorithm` configuration)
+	 * @prop {number} [limit] Maximum number of requests per window, capacity of the bucket in case of token bucket (default is `rate-limit.limit` configuration)
+	 * @prop {number} [window] Length of the window in seconds, time to refill the whole bucket in case of token bucket (default is `rate-limit.window` configuration)
+	 * @prop {"ip" | "route" | "user" | ((event: RequestEvent) => string)} [key="ip"] Requests counted together: requests from the same IP address,
+	 * requests to the same path, requests of the same authenticated user (anonymous requests are counted per IP address) or requests with the same custom key
+	 * @prop {boolean} [exemptTrusted] Don't limit the requests from trusted IPs (default is `rate-limit.exempt-trusted` configuration)
+	 * @prop {boolean} [ban=true] Count the rejected requests towards the temporary ban of the IP address (set by `rate-limit.ban` configuration)
+	 */
+
+	/**
+	 * Creates a middleware limiting the rate of the requests. Responses contain `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` headers.
+	 * Rejected requests dispatch the `ratelimit` event, responded with 429 and `Retry-After` header if the event is not prevented.
+	 * Limit of all requests (applied before the routes) is set by the `rate-limit` configuration.
+	 * @example Server.post("/login", "json", Server.rateLimit({limit: 5, window: 60}), async e => {
+	 * if(!await Server.users.verifyCredentials(e.body.username, e.body.password)) return e.send("Invalid credentials", 401);
+	 * e.send("Logged in");
+	 * });
+	 * @example Server.get("/api/search", (e, next) => {
+	 * if(e.auth({})) next();
+	 * }, Server.rateLimit({algorithm: "token-bucket", key: "user", limit: 20, window: 10}), e => {
+	 * e.send([]);
+	 * });
 	 * @static
-	 * @param {string} baseDirectory Base directory to act as root
-	 * @param {string} filePath File path to resolve from base directory
-	 * @return {string | null} Resolved resource absolute path. Returns `null` if path cannot be resolved (potentially vulnerable).
+	 * @param {RateLimitMiddlewareOptions} [options={}]
+	 * @returns {Middleware<any>}
 	 * @memberof Server
 	 */
-	static resolveResource(baseDirectory, filePath) {
-		// Normalize the input parameters
-		const base = path.normalize(baseDirectory);
-		const resource = path.normalize(filePath);
-
-		// Poision null bytes prevention
-		if(resource.indexOf("\0") !== -1) return null;
+	static rateLimit(options = {}) {
+		/** @type {RateLimiter | null} */
+		let limiter = null;
+
+		return (event, next) => {
+			// Resolve the configuration on every request, so the changes are applied without restart
+			const config = this.config["rate-limit"];
+			const {
+				algorithm = config["algorithm"],
+				limit = config["limit"],
+				window = config["window"],
+				key = "ip",
+				exemptTrusted = config["exempt-trusted"],
+				ban = true
+			} = options;
+
+			if(exemptTrusted && event.isTrusted) return next();
+
+			limiter = this._resolveRateLimiter(limiter, algorithm, limit, window);
+
+			let id = event.ip;
+			if(typeof key === "function") id = key(event);
+			else if(key === "route") id = event.path;
+			else if(key === "user" && event.user) id = `user:${event.user.username}`;
+
+			if(this._consumeRateLimit(event, limiter, id, ban)) next();
+		};
+	}
 
-		// Resolve file path
-		const resolved = path.resolve(path.join(base, resource));
+	/**
+	 * Applies the `rate-limit` configuration to the request
+	 * @private
+	 * @static
+	 * @param {RequestEvent} event
+	 * @returns {boolean} `true` if the request is allowed, otherwise the request was rejected
+	 * @memberof Server
+	 */
+	static _checkRateLimit(event) {
+		const config = this.config["rate-limit"];
+		if(!config["enabled"] || (config["exempt-trusted"] && event.isTrusted)) return true;
 
-		// Directory traversal prevention
-		if(!resolved.startsWith(path.normalize(base))) return null;
+		this._rateLimiter = this._resolveRateLimiter(this._rateLimiter, config["algorithm"], config["limit"], config["window"]);
 
-		return resolved;
+		return this._consumeRateLimit(event, this._rateLimiter, event.ip, true);
 	}
 
 	/**
-	 * Resolves the absolute path of a file inside the public folder.
+	 * Returns the limiter if it matches the options, otherwise replaces it with a new limiter (e.g. after the configuration change)
+	 * @private
 	 * @static
-	 * @param {string} filePath Path to teh file located in public folder
-	 * @return {string | null} Resolved absolute path to the file or `null` if path cannot be resolved (potentially vulnerable).
+	 * @param {RateLimiter | null} limiter
+	 * @param {"token-bucket" | "sliding-window"} algorithm
+	 * @param {number} limit
+	 * @param {number} window Length of the window in seconds
+	 * @returns {RateLimiter}
 	 * @memberof Server
 	 */
-	static resolvePublicResource(filePath) {
-		return this.resolveResource(PATH.PUBLIC, filePath);
+	static _resolveRateLimiter(limiter, algorithm, limit, window) {
+		if(limiter && limiter.algorithm === algorithm && limiter.limit === limit && limiter.window === window * 1000) return limiter;
+
+		limiter?.close();
+
+		return RateLimiter.create(algorithm, {limit, window: window * 1000});
 	}
 
 	/**
-	 * Parses a range header from the request object and returns the range object.
+	 * Counts the request and sets the rate limit headers, rejected requests are responded with 429
+	 * @private
 	 * @static
-	 * @param {http.IncomingMessage} req
-	 * @param {number} totalLength
-	 * @return {{start: number, end: number} | null} 
+	 * @param {RequestEvent} event
+	 * @param {RateLimiter} limiter
+	 * @param {string} key
+	 * @param {boolean} ban Count the rejection towards the temporary ban of the IP address
+	 * @returns {boolean} `true` if the request is allowed
 	 * @memberof Server
 	 */
-	static readRangeHeader(req, totalLength) {
-		const header = req.headers["range"];
-		if(!header) return null;
+	static _consumeRateLimit(event, limiter, key, ban) {
+		const result = limiter.consume(key);
+		const res = event.res;
+
+		if(!res.headersSent) {
+			res.setHeader("RateLimit-Limit", `${result.limit}`);
+			res.setHeader("RateLimit-Remaining", `${result.remaining}`);
+			res.setHeader("RateLimit-Reset", `${Math.ceil(result.reset / 1000)}`);
+		}
 
-		const array = header.split(/bytes=([0-9]*)-([0-9]*)/);
-		const start = parseInt(array[1]);
-		const end = parseInt(array[2]);
+		if(result.allowed) return true;
 
-		const range = {
-			start: isNaN(start) ? 0 : start,
-			end: isNaN(end) ? (totalLength - 1) : end
-		};
+		this.log(`§eRate limit of ${event.method} ${event.path} exceeded by ${event.ip}`);
+		if(ban) this._recordRateLimitViolation(event.ip);
 
-		if(!isNaN(start) && isNaN(end)) {
-			range.start = start;
-			range.end = totalLength - 1;
-		}
+		if(!res.headersSent) res.setHeader("Retry-After", `${Math.max(1, Math.ceil(result.retryAfter / 1000))}`);
 
-		if(isNaN(start) && !isNaN(end)) {
-			range.start = totalLength - end;
-			range.end = totalLength - 1;
-		}
+		this.dispatchEvent("ratelimit", event.clone(), () => {
+			event.send("429 Too Many Requests", this.STATUS.CLIENT.TOO_MANY_REQUESTS);
+		});
 
-		return range;
+		return false;
 	}
 
 	/**
-	 * Logs a connection status to the console
+	 * Counts the rate limit violation of the IP address and bans the IP address temporarily
+	 * if it exceeded the `rate-limit.ban` configuration
+	 * @private
 	 * @static
-	 * @param {number} status
+	 * @param {string} ip
 	 * @memberof Server
 	 */
-	static _connectionLog(status) {
-		this.log(`§8Connection closed (${status})`);
+	static _recordRateLimitViolation(ip) {
+		const config = this.config["rate-limit"]["ban"];
+		if(!config["violations"] || !config["duration"] || !IPAddress.parse(ip)) return;
+
+		this._rateLimitViolations = this._resolveRateLimiter(this._rateLimitViolations, "sliding-window", config["violations"], config["window"]);
+
+		const result = this._rateLimitViolations.consume(ip);
+		if(result.allowed && result.remaining > 0) return;
+
+		this._rateLimitViolations.reset(ip);
+		this.ban(ip, config["duration"]);
 	}
 
 	/**
-	 * Registers all commands for the CLI
+	 * Checks whether the IP address of the request didn't exceed the failed authentication attempts allowed by the `auth-throttle` configuration,
+	 * so the credentials of throttled clients are not verified at all
 	 * @private
 	 * @static
+	 * @param {RequestEvent} event
+	 * @param {boolean} respond Respond to the rejected attempt with 429
+	 * @returns {boolean} `true` if the credentials can be verified
 	 * @memberof Server
 	 */
-	static _registerCommands() {
-		if(!this.stdio.cli) return;
+	static _checkAuthThrottle(event, respond) {
+		const config = this.config["auth-throttle"];
+		if(!config["max-failures"]) return true;
 
-		this.stdio.cli.registerCommand(new Command("stop", [
-			Optional([
-				Variable("force", {type: "flag"})
-			])
-		], e => {
-			const {force} = e.variables;
+		this._authFailures = this._resolveRateLimiter(this._authFailures, "sliding-window", config["max-failures"], config["window"]);
 
-			this.stop(0, force);
-		}));
+		const result = this._authFailures.peek(event.ip);
+		if(result.allowed) return true;
 
-		this.stdio.cli.registerCommand(new Command("kill", [], e => {
-			this.stdio.cli?.getInput("Are you sure you want to kill the server process without proper shutdown (y/N)? > ").then(async input => {
-				if(input.toLowerCase() !== "y") return this.log("Aborted");
-				process.exit(1);
-			});
-		}));
+		this.log(`§eAuthentication attempt from ${event.ip} rejected, too many failed attempts`);
+		if(respond) event.send("429 Too Many Requests", this.STATUS.CLIENT.TOO_MANY_REQUESTS, "text/plain", {
+			"Retry-After": `${Math.max(1, Math.ceil(result.retryAfter / 1000))}`
+		});
 
-		this.stdio.cli.registerCommand(new Command("sleep", [
-			Variable("time", {type: "number", comment: "Time to sleep in milliseconds"})
-		], e => {
-			const {time} = e.variables;
+		return false;
+	}
 
-			this.stdio.cli?.pause();
-			setTimeout(() => this.stdio.cli?.resume(), time);
-		}));
+	/**
+	 * Counts the failed authentication attempt of the IP address of the request
+	 * @private
+	 * @static
+	 * @param {RequestEvent} event
+	 * @memberof Server
+	 */
+	static _recordAuthFailure(event) {
+		const config = this.config["auth-throttle"];
+		if(!config["max-failures"]) return;
 
-		this.stdio.cli.registerCommand(new Command("help", [], e => {
-			for(const command of this.stdio.cli?.commands || []) {
-				this.log(command.toString());
-			}
-		}));
+		this._authFailures = this._resolveRateLimiter(this._authFailures, "sliding-window", config["max-failures"], config["window"]);
+		this._authFailures.consume(event.ip);
+	}
 
-		this.stdio.cli.registerCommand(new Command("clear", [], e => {
-			console.clear();
-		}));
+	/**
+	 * Bans the IP address. Permanent bans are stored in the blacklist, temporary bans expire automatically.
+	 * @static
+	 * @param {string} entry IP address or CIDR block (e.g. `10.0.0.0/8`)
+	 * @param {number} [duration=0] Duration of the ban in seconds, `0` for a permanent ban
+	 * @memberof Server
+	 */
+	static ban(entry, duration = 0) {
+		const ip = IPMatcher.normalize(entry);
+		if(!ip) throw new TypeError(`Invalid IP address or CIDR block '${entry}'`);
 
-		this.stdio.cli.registerCommand(new Command("uptime", [], e => {
-			const duration = getFormattedTime(Date.now() - this.startDateTime.getTime(), {
-				detailed: true,
-				short: true
-			});
-			const date = this.startDateTime.toISOString().replace("T", " ").slice(0, 19);
+		if(duration > 0) {
+			this.TEMPORARY_BANS.set(ip, Date.now() + duration * 1000);
+			return this.log(`IP ${ip} has been banned for ${getFormattedTime(duration * 1000, {detailed: true, short: true})}`);
+		}
 
-			this.log(`Server uptime: ${duration} (${date})`);
-		}));
+		this.TEMPORARY_BANS.delete(ip);
+		if(!this.BLACKLIST.includes(ip)) this.BLACKLIST.push(ip);
 
-		this.stdio.cli.registerCommand(new Command("ban", [
-			Variable("ip", {type: "string", comment: "IP address to ban"})
-		], e => {
-			const {ip} = e.variables;
+		this.log(`IP ${ip} has been banned`);
+		this._saveBlacklist();
+	}
+
+	/**
+	 * Removes the permanent and the temporary ban of the IP address
+	 * @static
+	 * @param {string} entry IP address or CIDR block, as it was banned
+	 * @returns {boolean} `true` if the IP address was banned
+	 * @memberof Server
+	 */
+	static unban(entry) {
+		const ip = IPMatcher.normalize(entry) || entry;
+		const index = this.BLACKLIST.indexOf(ip);
+		const wasBanned = this.TEMPORARY_BANS.delete(ip) || index !== -1;
 
-			this.BLACKLIST.push(ip);
-			this.log(`IP ${ip} has been banned`);
+		if(index !== -1) {
+			this.BLACKLIST.splice(index, 1);
 			this._saveBlacklist();
-		}));
+		}
 
-		this.stdio.cli.registerCommand(new Command("unban", [
-			Variable("ip", {type: "string", comment: "IP address to unban"})
-		], e => {
-			const {ip} = e.variables;
+		if(wasBanned) this.log(`IP ${ip} has been unbanned`);
 
-			const index = this.BLACKLIST.indexOf(ip);
-			if(index === -1) return this.log(`§c[ERROR]: Provided IP address is not banned`);
+		return wasBanned;
+	}
 
-			this.BLACKLIST.splice(index, 1);
-			this.log(`IP ${ip} has been unbanned`);
-			this._saveBlacklist();
-		}));
+	/**
+	 * Adds the IP address to the trusted IPs
+	 * @static
+	 * @param {string} entry IP address, CIDR block or `localhost`
+	 * @returns {boolean} `false` if the IP address was already trusted
+	 * @memberof Server
+	 */
+	static trust(entry) {
+		const ip = IPMatcher.normalize(entry);
+		if(!ip) throw new TypeError(`Invalid IP address or CIDR block '${entry}'`);
+		if(this.TRUSTED_IPS.includes(ip)) return false;
 
-		this.stdio.cli.registerCommand(new Command("banlist", [], e => {
-			this.log(`Blacklisted IPs(${this.BLACKLIST.length}):\n${this.BLACKLIST.join("\n")}`);
-		}));
+		this.TRUSTED_IPS.push(ip);
+		this.log(`IP ${ip} has been added to the trusted IPs`);
+		this._saveTrustedIPs();
+
+		return true;
+	}
+
+	/**
+	 * Removes the IP address from the trusted IPs
+	 * @static
+	 * @param {string} entry IP address, CIDR block or `localhost`, as it was added
+	 * @returns {boolean} `true` if the IP address was trusted
+	 * @memberof Server
+	 */
+	static untrust(entry) {
+		const ip = IPMatcher.normalize(entry) || entry;
+		const index = this.TRUSTED_IPS.indexOf(ip);
+		if(index === -1) return false;
+
+		this.TRUSTED_IPS.splice(index, 1);
+		this.log(`IP ${ip} has been removed from the trusted IPs`);
+		this._saveTrustedIPs();
+
+		return true;
+	}
+
+	/**
+	 * @static
+	 * @param {string} ip
+	 * @returns {boolean} `true` if the IP address matches any of the trusted IPs
+	 * @memberof Server
+	 */
+	static isTrustedIP(ip) {
+		return IPMatcher.match(ip, this.TRUSTED_IPS) !== null;
+	}
+
+	/**
+	 * @static
+	 * @param {string} ip
+	 * @returns {number} Remaining time of the ban in milliseconds, `Infinity` if the IP address is blacklisted, `0` if it isn't banned
+	 * @memberof Server
+	 */
+	static getRemainingBanTime(ip) {
+		const address = IPAddress.parse(ip);
+		if(!address) return 0;
+
+		if(IPMatcher.match(address, this.BLACKLIST)) return Infinity;
+
+		const entry = IPMatcher.match(address, [...this.TEMPORARY_BANS.keys()]);
+		const expiresAt = entry ? this.TEMPORARY_BANS.get(entry) : 0;
+		if(!expiresAt) return 0;
+
+		if(expiresAt <= Date.now()) {
+			this._removeExpiredBans();
+			return 0;
+		}
+
+		return expiresAt - Date.now();
+	}
+
+	/**
+	 * Removes the expired temporary bans
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _removeExpiredBans() {
+		const now = Date.now();
+
+		for(const [ip, expiresAt] of this.TEMPORARY_BANS) {
+			if(expiresAt > now) continue;
+
+			this.TEMPORARY_BANS.delete(ip);
+			this.log(`Temporary ban of IP ${ip} has expired`);
+		}
+	}
+
+	/**
+	 * @typedef {Object} ForwardingInfo
+	 * @prop {string} [ip] IP address of the client
+	 * @prop {"http" | "https"} [protocol] Protocol used by the client
+	 * @prop {string} [host] Host requested by the client
+	 * @prop {boolean} [isUnverified] Request contains forwarding headers, but the peer is not a trusted proxy
+	 */
+
+	/**
+	 * Resolves the client of the request forwarded by the trusted proxies (`trusted-proxies` configuration) using
+	 * the `Forwarded` header (RFC 7239), or `X-Forwarded-For`, `X-Forwarded-Proto` and `X-Forwarded-Host` headers if it's missing.
+	 * The chain of hops is walked from the right, the first hop which is not a trusted proxy is the client.
+	 * Headers of requests from other peers are ignored, so clients cannot spoof their IP address.
+	 * Such requests are marked as unverified, as the peer might be a proxy missing in the configuration.
+	 * @private
+	 * @static
+	 * @param {http.IncomingMessage} req
+	 * @param {string} remoteIp IP address of the peer
+	 * @returns {ForwardingInfo}
+	 * @memberof Server
+	 */
+	static _resolveForwarding(req, remoteIp) {
+		const proxies = this.config["trusted-proxies"];
+		if(!proxies.length || !IPMatcher.match(remoteIp, proxies)) {
+			return req.headers["forwarded"] || req.headers["x-forwarded-for"] ? {isUnverified: true} : {};
+		}
+
+		/** @type {Record<string, string | undefined>[]} */
+		let hops;
+
+		const header = req.headers["forwarded"];
+		if(header) {
+			hops = parseForwardedHeader(header);
+		} else {
+			const list = (/**@type {string | string[] | undefined}*/value) => [value || []].flat().join(",").split(",").map(e => e.trim()).filter(Boolean);
+			const addresses = list(req.headers["x-forwarded-for"]);
+			const protocols = list(req.headers["x-forwarded-proto"]);
+			const hosts = list(req.headers["x-forwarded-host"]);
+			const count = Math.max(addresses.length, protocols.length || hosts.length ? 1 : 0);
+
+			// Values belong to the hops only if every proxy appended one, otherwise use the value set by the closest proxy
+			const pick = (/**@type {string[]}*/values, /**@type {number}*/index) => values.length === count ? values[index] : values[values.length - 1];
+			hops = Array.from({length: count}, (_, i) => ({for: addresses[i], proto: pick(protocols, i), host: pick(hosts, i)}));
+		}
+
+		/** @type {IPAddress | null} */
+		let client = null;
+		let hop = hops[hops.length - 1];
+
+		for(let i = hops.length - 1; i >= 0; i--) {
+			// Unknown and obfuscated identifiers cannot be verified, stop at the last known hop
+			const address = IPAddress.parse(getForwardedNodeAddress(hops[i]["for"] || ""));
+			if(!address) break;
+
+			client = address;
+			hop = hops[i];
+
+			if(!IPMatcher.match(address, proxies)) break;
+		}
+
+		const protocol = (hop?.["proto"] || "").toLowerCase();
+		const host = hop?.["host"];
+
+		return {
+			ip: client?.toString(),
+			protocol: protocol === "http" || protocol === "https" ? protocol : undefined,
+			host: host && /^([\w-]+(\.[\w-]+)*|\[[\da-f:.]+\])(:\d+)?$/i.test(host) ? host : undefined
+		};
+	}
+
+	/**
+	 * Dispatches the request to the handler registered for the request method.
+	 * If the route doesn't handle the method, its methods are collected for the 405 response sent after routing.
+	 * @private
+	 * @static
+	 * @param {string} path Path of the route
+	 * @param {RequestEvent} event
+	 * @memberof Server
+	 */
+	static _dispatchRoute(path, event) {
+		const methods = this._routes[path];
+		if(!methods) return;
+
+		const route = methods[event.method] || (event.method === "HEAD" ? methods["GET"] : undefined);
+
+		if(!route) {
+			if(!event._allowedMethods) event._allowedMethods = new Set();
+			for(const method of Object.keys(methods)) event._allowedMethods.add(method);
+			if(event._allowedMethods.has("GET")) event._allowedMethods.add("HEAD");
+			return;
+		}
+
+		if(event.autoPrevent) event.defaultPrevented = true;
+
+		const middlewares = [...route.middlewares];
+
+		// Receive the body before calling the handler
+		if(this.BODY_METHODS.includes(event.method)) {
+			event.__resolvePostType(route.bodyType);
+			middlewares.push(this.POST_BODY_HANDLER);
+		}
+
+		// Run the handler in the context of the module, which registered the route
+		this._moduleContext.run(route.owner, () => event.__runMiddlewares(middlewares, () => route.callback(event)));
+	}
+
+	/**
+	 * Attaches the request pipeline and logging listeners to the server instance
+	 * @private
+	 * @static
+	 * @param {http.Server | https.Server | http2.Http2SecureServer} server Server instance
+	 * @param {string} name Name of the server used in logs
+	 * @param {() => number} getPort Getter of the port the server is listening on
+	 * @memberof Server
+	 */
+	static _setupServer(server, name, getPort) {
+		server.on("request", this._handleRequest.bind(this));
+		server.on("upgrade", this._handleUpgrade.bind(this));
+		server.on("error", err => {
+			this.error(`${name} Server Error:`, err.message);
+		});
+		server.on("close", e => {
+			this.log(`§7${name} server closed`);
+		});
+		server.on("listening", e => {
+			this.log(`§7${name} server is listening on port §f${getPort()}`);
+		});
+	}
+
+	/**
+	 * Creates a new HTTPS server, or HTTP/2 server (with HTTP/1.1 fallback negotiated using ALPN), based on the configuration
+	 * @private
+	 * @static
+	 * @return {https.Server | http2.Http2SecureServer} 
+	 * @memberof Server
+	 */
+	static _createSecureServer() {
+		const options = this._readCertificates();
+
+		if(this.config["http2"]["enabled"]) {
+			return http2.createSecureServer({
+				...options,
+				allowHTTP1: this.config["http2"]["allow-http1"]
+			});
+		}
+
+		return https.createServer(options);
+	}
+
+	/**
+	 * Reads the certificate and private key files specified in the configuration
+	 * @private
+	 * @static
+	 * @return {{cert: Buffer, key: Buffer}} 
+	 * @memberof Server
+	 */
+	static _readCertificates() {
+		const {cert, key} = this.config["https"];
+
+		if(!cert || !key) throw new Error("Missing 'cert' or 'key' path in 'https' configuration");
+
+		return {
+			cert: fs.readFileSync(path.resolve(__dirname, cert)),
+			key: fs.readFileSync(path.resolve(__dirname, key))
+		};
+	}
+
+	/**
+	 * Reloads the certificate files and applies them to new connections.
+	 * Existing connections keep using the previous certificate.
+	 * @static
+	 * @return {boolean} `true` if the certificates were reloaded, otherwise `false`
+	 * @memberof Server
+	 */
+	static reloadCertificates() {
+		if(!this.https) return false;
+
+		try {
+			this.https.setSecureContext(this._readCertificates());
+			this.log("§7Certificates reloaded");
+			return true;
+		} catch(err) {
+			this.error("Failed to reload certificates:", err.message);
+			return false;
+		}
+	}
+
+	/**
+	 * Starts watching the certificate files for changes
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _watchCertificates() {
+		if(!this.config["https"]["watch-certificates"]) return;
+
+		for(const file of [this.config["https"]["cert"], this.config["https"]["key"]]) {
+			const filePath = path.resolve(__dirname, file);
+
+			// Polling is used to survive atomic file replacements (eg. certificate renewals)
+			fs.watchFile(filePath, {interval: 5000}, (curr, prev) => {
+				if(curr.mtimeMs === prev.mtimeMs) return;
+
+				// Debounce the reload, so updating both cert and key reloads them only once
+				this.TaskManager.scheduleTask({
+					name: "reload-certificates",
+					task: () => this.reloadCertificates(),
+					delay: 1000
+				});
+			});
+
+			this._watchedCertificates.push(filePath);
+		}
+	}
+
+	/**
+	 * Stops watching the certificate files for changes
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _unwatchCertificates() {
+		for(const filePath of this._watchedCertificates) {
+			fs.unwatchFile(filePath);
+		}
+
+		this._watchedCertificates = [];
+	}
+
+	/**
+	 * Internal method for handling incoming requests
+	 * @static
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 * @param {string | undefined} [redirectTo]
+	 * @param {RequestEvent} [prevEvent]
+	 * @return {void} 
+	 * @memberof Server
+	 */
+	static _handleRequest(req, res, redirectTo = undefined, prevEvent = undefined) {
+		if(redirectTo && !prevEvent) throw new TypeError("Cannot redirect request if there is no RequestEvent provided");
+
+		// Handle invalid requests
+		if(!req.url) {
+			res.writeHead(400);
+			res.end("400 Bad Request");
+			return this._connectionLog(400);
+		}
+
+		const _remoteAdd = req.socket.remoteAddress || "";
+		const remoteIp = IPAddress.parse(_remoteAdd)?.toString() || _remoteAdd;
+		const forwarded = this._resolveForwarding(req, remoteIp);
+		const proxyIp = forwarded.ip;
+		const protocol = forwarded.protocol || (req.socket["encrypted"] ? "https" : "http");
+		const host = forwarded.host || req.headers["host"] || req.headers[":authority"];
+		const ip = proxyIp || remoteIp;
+		const origin = `${protocol}://${host}`;
+
+		// Requests forwarded by an unknown proxy come from unknown clients, never trust them (e.g. local proxy would make all clients trusted)
+		const isTrusted = !forwarded.isUnverified && this.isTrustedIP(ip);
+		if(forwarded.isUnverified && !this._warnedUntrustedForwarding) {
+			this._warnedUntrustedForwarding = true;
+			this.warn(`Request from ${remoteIp} contains forwarding headers, but the address is not in 'trusted-proxies' configuration. The headers are ignored and the requests forwarded this way are not trusted.`);
+		}
+
+		const banTime = this.getRemainingBanTime(ip);
+
+		try {
+			var url = new URL(req.url, origin);
+		} catch(err) {
+			res.writeHead(400);
+			res.end("400 Bad Request");
+			this.warn(`§cInvalid URL '${req.url}':`, err);
+			return this._connectionLog(400);
+		}
+
+		// Request handling
+		let destinationPath = decodeURIComponent(redirectTo || url.pathname);
+		const resolvedPath = this.resolvePublicResource(destinationPath);
+
+		/** @type {RequestEvent} */
+		const EventObject = prevEvent || new RequestEvent({
+			req,
+			res,
+			method: req.method,
+			remoteIp: remoteIp,
+			proxyIp: proxyIp,
+			ip: ip,
+			host: (host || ""),
+			origin: origin,
+			protocol,
+			path: destinationPath,
+			query: Object.fromEntries(url.searchParams.entries()),
+			url: url,
+			isTrusted: isTrusted,
+			defaultPreventable: true,
+			autoPrevent: true,
+			headers: req.headers,
+			isRedirected: false,
+			isUpgrade: !!req["upgrade"] && `${req.headers["upgrade"]}`.toLowerCase().split(",").some(e => e.trim() === "websocket"),
+			redirectChain: [destinationPath],
+			resolvedPath: resolvedPath,
+
+			RemoteIP: remoteIp, /* Deprecated */
+			ProxyIP: proxyIp, /* Deprecated */
+			IP: ip, /* Deprecated */
+			HOST: (host || ""), /* Deprecated */
+			Path: destinationPath, /* Deprecated */
+			IS_TRUSTED: isTrusted, /* Deprecated */
+			resolvedFile: resolvedPath, /* Deprecated */
+		});
+
+		if(!redirectTo) {
+			if(isTrusted) this.log(`§2Incoming request from ${host ? `§2(${host})` : ""}§2${remoteIp}${proxyIp ? `§3(${proxyIp})` : ""}§2: §2${req.method} §2${req.url}`);
+			else this.log(`§2Incoming request from ${host ? `§2(${host})` : ""}§a${remoteIp}${proxyIp ? `§b(${proxyIp})` : ""}§2: §a${req.method} §a${req.url}`);
+
+			if(banTime) {
+				this.warn(`Received request from ${banTime === Infinity ? "blacklisted" : "temporarily banned"} IP (${ip})`);
+				return EventObject.send("403 Forbidden", 403, "text/plain", banTime === Infinity ? {} : {"Retry-After": `${Math.ceil(banTime / 1000)}`});
+			}
+
+			if(!this._checkRateLimit(EventObject)) return;
+
+			// Redirect plain HTTP requests to HTTPS server
+			if(protocol === "http" && this.https && this.config["https"]["redirect-to-https"]) {
+				const port = this.config["https"]["port"];
+				const hostname = url.hostname.includes(":") ? `[${url.hostname}]` : url.hostname;
+
+				return EventObject.redirectURL(`https://${hostname}${port == 443 ? "" : `:${port}`}${req.url}`, this.STATUS.REDIRECT.PERMANENT_REDIRECT);
+			}
+		}
+
+		// Updated properties from previous request event
+		if(redirectTo) {
+			EventObject.redirectChain.push(destinationPath);
+			EventObject.isRedirected = true;
+			EventObject.path = destinationPath;
+			EventObject.Path = destinationPath; /* Deprecated */
+			EventObject.resolvedPath = resolvedPath;
+			EventObject.resolvedFile = resolvedPath;
+
+			// Reset `Event`'s internal properties
+			EventObject.isStopped = false;
+			EventObject.hasListener = false;
+			EventObject.defaultPrevented = false;
+			EventObject._allowedMethods = null;
+		}
+
+		// Fix destination path ending with "/"
+		if(destinationPath.length > 1 && destinationPath.endsWith("/")) destinationPath = destinationPath.slice(0, -1);
+
+		// Dispatch events
+		(async () => {
+			// Dispatch "request" event
+			await this.dispatchEvent("request", EventObject);
+			if(EventObject.defaultPrevented) return;
+
+			// Answer CORS preflight requests of the routes using `Server.cors()` middleware
+			if(this._handlePreflight(EventObject, destinationPath)) return;
+
+			// Dispatch path event
+			await this.dispatchEvent(destinationPath, EventObject);
+			if(EventObject.defaultPrevented) return;
+
+			// Dynamic destination path search
+			const listenerPromises = [];
+
+			// Listeners using dynamic representation of destination path (in priority order)
+			for(const {route, captures, params} of this._router.match(destinationPath)) {
+				// Event propagation was stopped
+				if(EventObject.isStopped) break;
+
+				// Add found matches to EventObject
+				// @ts-ignore
+				EventObject.matches = captures;
+				EventObject.matches.matches = EventObject.matches;
+				Object.assign(EventObject.matches, params);
+
+				// Call the listeners manually to prevent unnecessary overhead
+				EventObject.type = route.pattern;
+				for(const listener of [...route.values]) {
+					const owner = this._listenerOwners.get(listener) || null;
+					listenerPromises.push(this._moduleContext.run(owner, () => listener.callback(EventObject)));
+				}
+			}
+
+			// Wait for all listeners to finish
+			await Promise.all(listenerPromises);
+		})().then(() => {
+			// All listeners were processed
+
+			// If no listeners responded (prevented default action), try to serve static file
+			if(EventObject.defaultPrevented) return;
+
+			// Prevent from writing to closed socket
+			if(res.writableEnded) return this.warn(`Failed to write response after end. (Default action has not been prevented)`);
+
+			// Some routes match the path, but none of them handles the request method
+			if(EventObject._allowedMethods) {
+				return EventObject.send("405 Method Not Allowed", this.STATUS.CLIENT.METHOD_NOT_ALLOWED, "text/plain", {
+					"Allow": [...EventObject._allowedMethods].join(", ")
+				});
+			}
+
+			// The request path might be vulnerable
+			if(!EventObject.resolvedPath) return EventObject.send("404 Not Found", 404);
+
+			// Serve static file. This call will internally respond with 404 if file is not found.
+			EventObject.streamFile(EventObject.resolvedPath);
+		}).catch(err => {
+			// Catch all errors and process them
+			this._handleInternalError(EventObject, err);
+		});
+	}
+
+	/**
+	 * Internal method for handling incoming upgrade requests.
+	 * The request is passed through the regular request pipeline, so listeners can accept it using `RequestEvent.upgrade()`.
+	 * @static
+	 * @param {http.IncomingMessage} req
+	 * @param {import("net").Socket} socket
+	 * @param {Buffer} head
+	 * @memberof Server
+	 */
+	static _handleUpgrade(req, socket, head) {
+		// Return already received data back to the socket, so it can be consumed after the upgrade
+		if(head && head.length) socket.unshift(head);
+
+		// Create response object bound directly to the socket to be able to respond with regular HTTP response
+		const res = new http.ServerResponse(req);
+		res.shouldKeepAlive = false;
+		res.assignSocket(socket);
+		res.on("finish", () => socket.end());
+
+		this._handleRequest(req, res);
+	}
+
+	/**
+	 *
+	 * @static
+	 * @param {RequestEvent} event
+	 * @memberof Server
+	 */
+	static _handleNotFound(event) {
+		this.dispatchEvent("404", event.clone(), () => {
+			event.send("404 Not Found", 404);
+		});
+	}
+
+	/**
+	 *
+	 * @static
+	 * @param {RequestEvent} event
+	 * @param {Error} error
+	 * @memberof Server
+	 */
+	static _handleInternalError(event, error) {
+		const clone = event.clone();
+		clone.error = error;
+
+		this.dispatchEvent("500", clone, () => {
+			Server.error("Failed to handle the incoming request:", error);
+			event.send("500 Internal Server Error", 500);
+		});
+	}
+
+	/**
+	 * Resolves the absolute path of a file inside the specified base directory.
+	 * @static
+	 * @param {string} baseDirectory Base directory to act as root
+	 * @param {string} filePath File path to resolve from base directory
+	 * @return {string | null} Resolved resource absolute path. Returns `null` if path cannot be resolved (potentially vulnerable).
+	 * @memberof Server
+	 */
+	static resolveResource(baseDirectory, filePath) {
+		// Normalize the input parameters
+		const base = path.normalize(baseDirectory);
+		const resource = path.normalize(filePath);
+
+		// Poision null bytes prevention
+		if(resource.indexOf("\0") !== -1) return null;
+
+		// Resolve file path
+		const resolved = path.resolve(path.join(base, resource));
+
+		// Directory traversal prevention
+		if(!resolved.startsWith(path.normalize(base))) return null;
+
+		return resolved;
+	}
+
+	/**
+	 * Resolves the absolute path of a file inside the public folder.
+	 * @static
+	 * @param {string} filePath Path to teh file located in public folder
+	 * @return {string | null} Resolved absolute path to the file or `null` if path cannot be resolved (potentially vulnerable).
+	 * @memberof Server
+	 */
+	static resolvePublicResource(filePath) {
+		return this.resolveResource(PATH.PUBLIC, filePath);
+	}
+
+	/**
+	 * @typedef {Object} ByteRange
+	 * @prop {number} start Position of the first byte
+	 * @prop {number} end Position of the last byte (inclusive)
+	 */
+
+	/**
+	 * Parses the `Range` header (RFC 9110). Satisfiable ranges are limited to the size of the representation,
+	 * sorted and overlapping or adjacent ranges are coalesced.
+	 * @example const ranges = Server.parseRange(e.headers["range"], buffer.length);
+	 * if(ranges === null) e.send(buffer);
+	 * else if(!ranges.length) e.send("416 Range Not Satisfiable", 416, "text/plain", {"Content-Range": `bytes *\/${buffer.length}`});
+	 * else e.send(buffer.subarray(ranges[0].start, ranges[0].end + 1), 206, "text/plain", {"Content-Range": `bytes ${ranges[0].start}-${ranges[0].end}/${buffer.length}`});
+	 * @static
+	 * @param {string | undefined} header Value of the `Range` header
+	 * @param {number} size Size of the representation in bytes
+	 * @param {Object} [options={}]
+	 * @param {number} [options.maxRanges=16] Maximum number of ranges in the header, requests with more ranges are rejected
+	 * @return {ByteRange[] | null} `null` if the header is missing or invalid (the whole representation should be sent),
+	 * empty array if none of the ranges is satisfiable or the request was rejected (should be responded with 416)
+	 * @memberof Server
+	 */
+	static parseRange(header, size, {maxRanges = 16} = {}) {
+		if(!header) return null;
+
+		const match = header.match(/^\s*bytes\s*=(.*)$/i);
+		if(!match) return null;
+
+		const specs = match[1].split(",").map(e => e.trim()).filter(Boolean);
+		if(!specs.length) return null;
+		if(specs.length > maxRanges) return [];
+
+		/** @type {ByteRange[]} */
+		const ranges = [];
+
+		for(const spec of specs) {
+			const parts = spec.match(/^(\d*)\s*-\s*(\d*)$/);
+			if(!parts || (!parts[1] && !parts[2])) return null;
+
+			const [, first, last] = parts;
+
+			// Suffix range (last N bytes)
+			if(!first) {
+				const length = +last;
+				if(length > 0 && size > 0) ranges.push({start: Math.max(0, size - length), end: size - 1});
+				continue;
+			}
+
+			if(last && +last < +first) return null;
+			if(+first >= size) continue;
+
+			ranges.push({start: +first, end: last ? Math.min(+last, size - 1) : size - 1});
+		}
+
+		ranges.sort((a, b) => a.start - b.start);
+
+		/** @type {ByteRange[]} */
+		const coalesced = [];
+		for(const range of ranges) {
+			const previous = coalesced[coalesced.length - 1];
+
+			if(previous && range.start <= previous.end + 1) previous.end = Math.max(previous.end, range.end);
+			else coalesced.push({...range});
+		}
+
+		return coalesced;
+	}
+
+	/**
+	 * Parses a range header from the request object and returns the range object.
+	 * @deprecated Use `Server.parseRange()` instead, which supports multiple ranges
+	 * @static
+	 * @param {http.IncomingMessage} req
+	 * @param {number} totalLength
+	 * @return {{start: number, end: number} | null} First range, range starting at `totalLength` if the ranges are not satisfiable
+	 * @memberof Server
+	 */
+	static readRangeHeader(req, totalLength) {
+		const ranges = this.parseRange(req.headers["range"], totalLength);
+		if(!ranges) return null;
+
+		return ranges[0] || {start: totalLength, end: totalLength};
+	}
+
+	/**
+	 * Logs a connection status to the console
+	 * @static
+	 * @param {number} status
+	 * @memberof Server
+	 */
+	static _connectionLog(status) {
+		this.log(`§8Connection closed (${status})`);
+	}
+
+	/**
+	 * Registers all commands for the CLI
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _registerCommands() {
+		if(!this.stdio.cli) return;
+
+		this.stdio.cli.registerCommand(new Command("stop", [
+			Optional([
+				Variable("force", {type: "flag"})
+			])
+		], e => {
+			const {force} = e.variables;
+
+			this.stop(0, force);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("kill", [], e => {
+			this.stdio.cli?.getInput("Are you sure you want to kill the server process without proper shutdown (y/N)? > ").then(async input => {
+				if(input.toLowerCase() !== "y") return this.log("Aborted");
+				process.exit(1);
+			});
+		}));
+
+		this.stdio.cli.registerCommand(new Command("sleep", [
+			Variable("time", {type: "number", comment: "Time to sleep in milliseconds"})
+		], e => {
+			const {time} = e.variables;
+
+			this.stdio.cli?.pause();
+			setTimeout(() => this.stdio.cli?.resume(), time);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("help", [], e => {
+			for(const command of this.stdio.cli?.commands || []) {
+				this.log(command.toString());
+			}
+		}));
+
+		this.stdio.cli.registerCommand(new Command("clear", [], e => {
+			console.clear();
+		}));
+
+		this.stdio.cli.registerCommand(new Command("uptime", [], e => {
+			const duration = getFormattedTime(Date.now() - this.startDateTime.getTime(), {
+				detailed: true,
+				short: true
+			});
+			const date = this.startDateTime.toISOString().replace("T", " ").slice(0, 19);
+
+			this.log(`Server uptime: ${duration} (${date})`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("ban", [
+			Variable("ip", {type: "string", comment: "IP address or CIDR block to ban"}),
+			Optional([
+				Variable("duration", {type: "number", comment: "Duration of the ban in seconds (permanent if not specified)"})
+			])
+		], e => {
+			const {ip, duration} = e.variables;
+
+			const entry = IPMatcher.normalize(ip);
+			if(!entry) return this.log(`§c[ERROR]: Invalid IP address or CIDR block`);
+
+			this.ban(entry, duration || 0);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("unban", [
+			Variable("ip", {type: "string", comment: "IP address or CIDR block to unban"})
+		], e => {
+			const {ip} = e.variables;
+
+			if(!this.unban(ip)) this.log(`§c[ERROR]: Provided IP address is not banned`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("passwd", [], async (e) => {
+			const cli = this.stdio.cli;
+			if(!cli) return;
+
+			const password = await cli.getInput("New password: ", {masked: true});
+			if(!password) return this.log("§c[ERROR]: Password cannot be empty");
+
+			const confirmation = await cli.getInput("Confirm password: ", {masked: true});
+			if(password !== confirmation) return this.log("§c[ERROR]: Passwords do not match");
+
+			// Store the hash in the configuration file
+			const config = JSON.parse(JSON.stringify(this._fileConfig));
+			config["login"] = {...config["login"], password: this.hashPassword(password)};
+			if(!await this._updateConfig(config)) return;
+
+			this._saveConfig();
+			this.log(`Password of '${this.config["login"]["username"]}' has been changed`);
+
+			const source = this._configSources["login.password"];
+			if(source && source !== path.basename(PATH.CONFIG)) this.warn(`Config 'login.password' is overridden by ${source}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("banlist", [], e => {
+			this._removeExpiredBans();
+
+			const now = Date.now();
+			const temporary = [...this.TEMPORARY_BANS].map(([ip, expiresAt]) => `${ip} §7(${getFormattedTime(expiresAt - now, {detailed: true, short: true})} remaining)`);
+
+			this.log(`Blacklisted IPs(${this.BLACKLIST.length}):\n${this.BLACKLIST.join("\n")}`);
+			if(temporary.length) this.log(`Temporarily banned IPs(${temporary.length}):\n${temporary.join("\n")}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("trust", [
+			Keyword("add", {comment: "Add IP address to the trusted IPs"}),
+			Variable("ip", {type: "string", comment: "IP address, CIDR block or 'localhost'"})
+		], e => {
+			const {ip} = e.variables;
+
+			const entry = IPMatcher.normalize(ip);
+			if(!entry) return this.log(`§c[ERROR]: Invalid IP address or CIDR block`);
+
+			if(!this.trust(entry)) this.log(`§c[ERROR]: Provided IP address is already trusted`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("trust", [
+			Keyword("remove", {comment: "Remove IP address from the trusted IPs"}),
+			Variable("ip", {type: "string", comment: "IP address, CIDR block or 'localhost'"})
+		], e => {
+			const {ip} = e.variables;
+
+			if(!this.untrust(ip)) this.log(`§c[ERROR]: Provided IP address is not trusted`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("trust", [
+			Keyword("list", {comment: "List trusted IPs"})
+		], e => {
+			this.log(`Trusted IPs(${this.TRUSTED_IPS.length}):\n${this.TRUSTED_IPS.join("\n")}`);
+		}));
 
 		/** @type {InspectorContext | null} */
 		let evalContext = null;
@@ -1150,372 +2539,2144 @@ class Server extends EventListenerStatic {
 			clearInterval,
 		}).then(context => evalContext = context);
 
-		const evalCmd = new Command("eval", [
-			Variable("code", {type: "string", isRest: true, comment: "Code to evaluate"})
-		], async (e) => {
-			const {code} = e.variables;
+		const evalCmd = new Command("eval", [
+			Variable("code", {type: "string", isRest: true, comment: "Code to evaluate"})
+		], async (e) => {
+			const {code} = e.variables;
+
+			try {
+				this.log(util.formatWithOptions({colors: true}, "< %O", await eval(code.join(" "))));
+			} catch(err) {
+				this.log(`[EVAL ERROR]: ${err?.message || `Unknown error (${err?.message})`}`);
+			}
+		});
+		evalCmd.on("preview", async (e) => {
+			// Early return if the context is not ready yet
+			if(!evalContext) return;
+
+			const {code} = e.variables;
+
+			const source = code.join(" ");
+
+			const result = await this.InspectorService.post("Runtime.evaluate", {
+				expression: source,
+				contextId: evalContext.id,
+				throwOnSideEffect: true,
+				timeout: 300
+			});
+
+			if(result.result.type === "undefined") return;
+
+			if(result.exceptionDetails) {
+				const description = result.exceptionDetails.exception.description;
+
+				const messageEnd = description.indexOf("\n");
+				if(messageEnd === -1) return;
+
+				const message = description.slice(0, messageEnd);
+				if(message.indexOf("Possible side-effect") !== -1) return;
+
+				e.preview = `§4${message}`;
+				return;
+			}
+
+			try {
+				const value = eval(source);
+				e.preview = util.formatWithOptions({
+					colors: true,
+					depth: 1,
+					compact: true,
+					breakLength: Infinity,
+				}, "%O", value).slice(0, Math.min(180, this.stdio.cli?.stdout.columns || 120) * 0.75);
+			} catch(err) { }
+		});
+		this.stdio.cli.registerCommand(evalCmd);
+
+		this.stdio.cli.registerCommand(new Command("exec", [
+			Optional([
+				Variable("filePath", {type: "string", comment: "Path to the file to execute"})
+			])
+		], e => {
+			const {filePath} = e.variables;
+
+			fs.promises.readFile(path.join(__dirname, filePath || "autoexec.cfg")).then(file => {
+				Server.log(`Executing ${filePath}...`);
+				this.stdio.cli?.sendInput(file.toString());
+			}).catch(err => {
+				this.log(`§c[ERROR]: ${err.message}`);
+			});
+		}));
+
+		this.stdio.cli.registerCommand(new Command("task", [
+			Keyword("list", {comment: "List all scheduled tasks"})
+		], e => {
+			const tasks = Object.values(this.TaskManager.tasks);
+
+			if(tasks.length === 0) return this.log("No scheduled tasks");
+
+			const now = Date.now();
+			const header = ["Name", "Scheduled at", "Run at", "Delay", "Status", "Repeating"];
+
+			const rows = tasks.map(task => {
+				const {scheduledAt, runAt, options} = task;
+				const name = options.name;
+				const delay = options.delay || 0;
+				const status = `${task.isRunning ? `§aRunning (${this.formatDuration(now - runAt)})` : `§6Waiting (${this.formatDuration(runAt - now)})`}§r`;
+				const repeating = /*options.repeating*/ false ? "Yes" : "No";
+
+				return [
+					name,
+					new Date(scheduledAt).toISOString().replace("T", " ").slice(0, 19),
+					new Date(runAt).toISOString().replace("T", " ").slice(0, 19),
+					`${delay}ms`,
+					status,
+					repeating
+				];
+			});
+
+			const max = rows.reduce((max, row) => {
+				return row.map((cell, i) => Math.max(max[i], cell.length));
+			}, header.map(() => 0));
+
+			const table = [header, ...rows].map((row, i) => {
+				return row.map((cell, j) => cell.padEnd(max[j] - (i === 0 && j === 4 ? 4 : 0))).join("  ");
+			}).join("\n");
+
+			this.log(`Scheduled tasks(${tasks.length}):\n${table}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("task", [
+			Keyword("cancel", {comment: "Cancel a scheduled task"}),
+			Variable("name", {type: "string", comment: "Name of the task to cancel"})
+		], e => {
+			const {name} = e.variables;
+
+			const task = this.TaskManager.tasks[name];
+
+			if(!task) return this.log(`§c[ERROR]: Task '${name}' does not exist`);
+
+			if(task.isRunning) return this.log(`§c[ERROR]: Task '${name}' is running`);
+
+			if(task.timeout) {
+				clearTimeout(task.timeout);
+				task.timeout = null;
+			}
+
+			delete this.TaskManager.tasks[name];
+
+			this.log(`Task '${name}' has been canceled`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("task", [
+			Keyword("run", {comment: "Run a scheduled task"}),
+			Variable("name", {type: "string", comment: "Name of the task to run"})
+		], e => {
+			const {name} = e.variables;
+
+			const task = this.TaskManager.tasks[name];
+
+			if(!task) return this.log(`§c[ERROR]: Task '${name}' does not exist`);
+
+			if(task.isRunning) return this.log(`§c[ERROR]: Task '${name}' is already running`);
+
+			if(task.timeout) {
+				clearTimeout(task.timeout);
+				task.timeout = null;
+			}
+
+			this.TaskManager._runTask(task);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("module", [
+			Keyword("list", {comment: "List all modules"})
+		], e => {
+			const modules = Object.values(this.modules);
+
+			if(modules.length === 0) return this.log("No modules");
+
+			const list = modules.map(_module => {
+				const version = _module.manifest?.version ? ` §8v${_module.manifest.version}§r` : "";
+				const status = _module.loaded ? "§aLoaded" : this._isModuleDisabled(_module) ? "§8Disabled" : _module.failed ? `§cFailed (${_module.error})` : "§7Unloaded";
+				const stats = _module.loaded ? ` §8(${_module.listeners.length} listeners, ${_module.routes.length} routes, ${_module.commands.length} commands)` : "";
+
+				return `${_module.name}${version} - ${status}${stats}§r`;
+			});
+
+			this.log(`Modules(${modules.length}):\n${list.join("\n")}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("module", [
+			Keyword("load", {comment: "Load a module"}),
+			Variable("name", {provider: () => [
+				...Object.values(this.modules).filter(e => !e.loaded).map(e => e.name),
+				...this._discoverModules().map(e => e.name).filter(e => !this.modules[e])
+			], comment: "Name of the module to load"})
+		], e => {
+			const {name} = e.variables;
+
+			this.loadModule(name).catch(err => this.log(`§c[ERROR]: ${err.message}`));
+		}));
+
+		this.stdio.cli.registerCommand(new Command("module", [
+			Keyword("unload", {comment: "Unload a module"}),
+			Variable("name", {provider: () => Object.values(this.modules).filter(e => e.loaded).map(e => e.name), comment: "Name of the module to unload"})
+		], e => {
+			const {name} = e.variables;
+
+			this.unloadModule(name).catch(err => this.log(`§c[ERROR]: ${err.message}`));
+		}));
+
+		this.stdio.cli.registerCommand(new Command("module", [
+			Keyword("reload", {comment: "Reload a module"}),
+			Variable("name", {provider: () => Object.keys(this.modules), comment: "Name of the module to reload"})
+		], e => {
+			const {name} = e.variables;
+
+			this.reloadModule(name).catch(err => this.log(`§c[ERROR]: ${err.message}`));
+		}));
+
+		this.stdio.cli.registerCommand(new Command("module", [
+			Keyword("enable", {comment: "Enable a disabled module or project"}),
+			Variable("name", {provider: () => this.DISABLED_MODULES, comment: "Name of the module or project to enable"})
+		], e => {
+			const {name} = e.variables;
+
+			this.enableModule(name).catch(err => this.log(`§c[ERROR]: ${err.message}`));
+		}));
+
+		this.stdio.cli.registerCommand(new Command("module", [
+			Keyword("disable", {comment: "Disable a module or project"}),
+			Variable("name", {provider: () => [...new Set(Object.values(this.modules).flatMap(e => [e.name, this._getModuleUnitName(e)]))], comment: "Name of the module or project to disable"})
+		], e => {
+			const {name} = e.variables;
+
+			this.disableModule(name).catch(err => this.log(`§c[ERROR]: ${err.message}`));
+		}));
+
+		this.stdio.cli.registerCommand(new Command("config", [
+			Keyword("get", {comment: "Show configuration values"}),
+			Optional([
+				Variable("key", {type: "string", provider: () => [...new Set(getConfigKeys(this.config).flatMap(key => {
+					return key.split(".").map((_, i, parts) => parts.slice(0, i + 1).join("."));
+				}))], comment: "Key of the value to show (dot separated)"})
+			])
+		], e => {
+			const {key} = e.variables;
+
+			const keys = getConfigKeys(this.config).filter(e => !key || e === key || e.startsWith(`${key}.`));
+
+			const list = keys.map(key => {
+				const value = this._isSecretConfigKey(key) ? "§8***§r" : util.formatWithOptions({colors: true, breakLength: Infinity}, "%O", getConfigValue(this.config, key));
+				const description = this._getConfigSchemaProperty(key)?.description;
+
+				return `${key} = ${value}${description ? ` §8// ${description}§r` : ""}`;
+			});
+
+			this.log(list.join("\n"));
+		}));
+
+		this.stdio.cli.registerCommand(new Command("config", [
+			Keyword("reload", {comment: "Reload the configuration, trusted IPs and blacklist"})
+		], e => {
+			this.reloadConfig();
+		}));
+
+		this.stdio.cli.registerCommand(new Command("config", [
+			Keyword("set", {comment: "Change a configuration value"}),
+			Variable("key", {type: "string", provider: () => getConfigKeys(this.config), comment: "Key of the value to change (dot separated)"}),
+			Variable("value", {type: "string", isRest: true, comment: "New value (JSON for arrays and objects)"})
+		], async (e) => {
+			const {key, value} = e.variables;
+
+			// Change a copy of the file configuration, so it can be validated and compared with the current one
+			const config = JSON.parse(JSON.stringify(this._fileConfig));
+
+			const parts = key.split(".");
+			const name = /**@type {string}*/(parts.pop());
+			const parent = getConfigValue(config, parts.join("."));
+			if(!parent || typeof parent !== "object") return this.log(`§c[ERROR]: Config '${key}' does not exist`);
+
+			// Use type from the schema, otherwise keep the type of the current value
+			const property = this._getConfigSchemaProperty(key);
+			const currentType = getConfigValueType(parent[name]);
+			const type = property?.type || (currentType === "null" ? "any" : currentType === "integer" ? "number" : currentType);
+
+			let parsed;
+			try {
+				parsed = parseConfigValue(value.join(" "), type);
+			} catch(err) {
+				return this.log(`§c[ERROR]: ${err.message}`);
+			}
+
+			const errors = validateConfigValue(parsed, property || {type}, key);
+			if(errors.length) return this.log(`§c[ERROR]: ${errors.join("; ")}`);
+
+			parent[name] = parsed;
+			if(!await this._updateConfig(config)) return;
+
+			this._saveConfig();
+			this.log(`Config '${key}' has been set to ${this._isSecretConfigKey(key) ? "§8***§r" : util.formatWithOptions({colors: true, breakLength: Infinity}, "%O", parsed)}`);
+
+			const source = this._configSources[key];
+			if(source && source !== path.basename(PATH.CONFIG)) this.warn(`Config '${key}' is overridden by ${source}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("config", [
+			Keyword("sources", {comment: "Show the layer each configuration value comes from"}),
+			Optional([
+				Variable("key", {type: "string", provider: () => getConfigKeys(this.config), comment: "Key of the value to show (dot separated)"})
+			])
+		], e => {
+			const {key} = e.variables;
+
+			const keys = getConfigKeys(this.config).filter(e => !key || e === key || e.startsWith(`${key}.`));
+
+			const list = keys.map(key => {
+				const source = this._configSources[key] || "default";
+				const color = source === path.basename(PATH.CONFIG) ? "§7" : "§e";
+
+				return `${key} = ${util.formatWithOptions({colors: true, breakLength: Infinity}, "%O", getConfigValue(this.config, key))} ${color}(${source})§r`;
+			});
+
+			this.log(list.join("\n"));
+		}));
+
+		const getUsernames = () => this.users?.listUsers().map(e => e.username) || [];
+
+		this.stdio.cli.registerCommand(new Command("user", [
+			Keyword("list", {comment: "List all users and their tokens"})
+		], e => {
+			const users = this.users?.listUsers() || [];
+
+			if(users.length === 0) return this.log("No users");
+
+			const now = Date.now();
+			const list = users.map(user => {
+				const roles = user.roles.length ? user.roles.join(", ") : "§8none§r";
+				const tokens = user.tokens.map(token => {
+					const name = token.name ? ` ${token.name}` : "";
+					const scopes = token.scopes.length ? token.scopes.join(", ") : "none";
+					const expiration = token.expiresAt === null ? "never expires" : token.expiresAt <= now ? "§cexpired§8" : `expires at ${new Date(token.expiresAt).toISOString().replace("T", " ").slice(0, 19)}`;
+
+					return `\n  §7${token.id}${name} §8(scopes: ${scopes}; ${expiration})§r`;
+				});
+
+				return `${user.username} - roles: ${roles}${tokens.join("")}`;
+			});
+
+			this.log(`Users(${users.length}):\n${list.join("\n")}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("user", [
+			Keyword("add", {comment: "Add a new user"}),
+			Variable("username", {type: "string", comment: "Name of the user"}),
+			Optional([
+				Variable("roles", {type: "string", isRest: true, comment: "Roles of the user"})
+			])
+		], async (e) => {
+			const {username, roles = []} = e.variables;
+			const cli = this.stdio.cli;
+			if(!cli || !this.users) return;
+
+			if(this.users.getUser(username)) return this.log(`§c[ERROR]: User '${username}' already exists`);
+
+			const password = await cli.getInput("Password: ", {masked: true});
+			if(!password) return this.log("§c[ERROR]: Password cannot be empty");
+
+			const confirmation = await cli.getInput("Confirm password: ", {masked: true});
+			if(password !== confirmation) return this.log("§c[ERROR]: Passwords do not match");
+
+			try {
+				this.users.createUser(username, password, roles);
+			} catch(err) {
+				return this.log(`§c[ERROR]: ${err.message}`);
+			}
+
+			this.log(`User '${username}' has been added`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("user", [
+			Keyword("remove", {comment: "Remove a user"}),
+			Variable("username", {type: "string", provider: getUsernames, comment: "Name of the user"})
+		], e => {
+			const {username} = e.variables;
+
+			if(!this.users?.removeUser(username)) return this.log(`§c[ERROR]: User '${username}' does not exist`);
+
+			this.log(`User '${username}' has been removed`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("user", [
+			Keyword("token"),
+			Keyword("create", {comment: "Create an API token of the user"}),
+			Variable("username", {type: "string", provider: getUsernames, comment: "Name of the user"}),
+			Variable("name", {type: "string", comment: "Name of the token"}),
+			Optional([
+				Variable("days", {type: "number", comment: "Lifetime of the token in days (0 for no expiration)"}),
+				Optional([
+					Variable("scopes", {type: "string", isRest: true, comment: "Scopes granted to the token (* for all scopes)"})
+				])
+			])
+		], e => {
+			const {username, name, days = 0, scopes = []} = e.variables;
+			if(!this.users) return;
+
+			try {
+				const {token, info} = this.users.createToken(username, {name, scopes, expiresIn: days > 0 ? days * 24 * 60 * 60 * 1000 : null});
+
+				this.log(`Token '${info.id}' of '${username}' has been created, it will not be shown again:\n${token}`);
+			} catch(err) {
+				this.log(`§c[ERROR]: ${err.message}`);
+			}
+		}));
+
+		this.stdio.cli.registerCommand(new Command("user", [
+			Keyword("token"),
+			Keyword("revoke", {comment: "Revoke an API token of the user"}),
+			Variable("username", {type: "string", provider: getUsernames, comment: "Name of the user"}),
+			Variable("id", {type: "string", provider: () => this.users?.listUsers().flatMap(e => e.tokens.map(e => e.id)) || [], comment: "ID of the token"})
+		], e => {
+			const {username, id} = e.variables;
+			if(!this.users) return;
+
+			try {
+				if(!this.users.revokeToken(username, id)) return this.log(`§c[ERROR]: Token '${id}' of '${username}' does not exist`);
+			} catch(err) {
+				return this.log(`§c[ERROR]: ${err.message}`);
+			}
+
+			this.log(`Token '${id}' of '${username}' has been revoked`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("session", [
+			Keyword("list", {comment: "List all active sessions"})
+		], async (e) => {
+			if(!this.sessionStore) return;
+
+			const sessions = await this.sessionStore.list();
+			if(sessions.length === 0) return this.log("No active sessions");
+
+			const format = (/**@type {number}*/time) => new Date(time).toISOString().replace("T", " ").slice(0, 19);
+			const list = sessions.map(session => {
+				const keys = Object.keys(session.data);
+				const data = keys.length ? keys.join(", ") : "§8empty§r";
+
+				return `${session.id} - ${session.ip || "unknown"} §8(last used ${format(session.updatedAt)}, expires ${format(session.expiresAt)})§r\n  §7data: ${data}§r`;
+			});
+
+			this.log(`Active sessions(${sessions.length}):\n${list.join("\n")}`);
+		}));
+
+		this.stdio.cli.registerCommand(new Command("session", [
+			Keyword("kill", {comment: "Destroy a session"}),
+			Variable("id", {type: "string", comment: "ID of the session"})
+		], async (e) => {
+			const {id} = e.variables;
+			if(!this.sessionStore) return;
+
+			try {
+				if(!await this.sessionStore.destroy(id)) return this.log(`§c[ERROR]: Session '${id}' does not exist`);
+			} catch(err) {
+				return this.log(`§c[ERROR]: ${err.message}`);
+			}
+
+			this.log(`Session '${id}' has been destroyed`);
+		}));
+	}
+
+	/**
+	 * Registers add/remove event handlers for listeners with wildcard characters
+	 * and tracks the listeners registered by modules
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _registerAddListenerHandler() {
+		this.on(EventListener.LISTENER_ADD_EVENT, e => {
+			const listener = e.listener;
+
+			// Track the listener, so it can be removed when the module gets unloaded
+			const owner = this._getCurrentModule();
+			if(owner) {
+				owner.listeners.push(listener);
+				this._listenerOwners.set(listener, owner);
+			}
+
+			if(listener.type === "load") this._loadListeners.push(listener);
+
+			// Only route event handlers with wildcard characters
+			if(!Router.isDynamic(listener.type)) return;
+
+			this._router.add(listener.type, listener);
+		});
+
+		this.on(EventListener.LISTENER_REMOVE_EVENT, e => {
+			const listener = e.listener;
+
+			for(const _module of Object.values(this.modules)) {
+				const index = _module.listeners.indexOf(listener);
+				if(index !== -1) _module.listeners.splice(index, 1);
+			}
+
+			const index = this._loadListeners.indexOf(listener);
+			if(index !== -1) this._loadListeners.splice(index, 1);
+
+			if(!Router.isDynamic(listener.type)) return;
+
+			this._router.remove(listener.type, listener);
+		});
+	}
+
+	/**
+	 * Loads the configuration file
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _loadConfig() {
+		this.log("§7Loading configuration...");
+
+		// Apply config
+		this._fileConfig = this._readConfig();
+		const {config, sources} = this._resolveConfig(this._fileConfig);
+		this.config = config;
+		this._configSources = sources;
+
+		const overrides = Object.values(sources).filter(e => e !== path.basename(PATH.CONFIG)).length;
+		if(overrides) this.log(`§7Applied §f${overrides} §7configuration overrides`);
+
+		const globErrors = validateConfigGlobs(config);
+		if(globErrors.length) this.error(`Invalid configuration, the rules will be ignored: ${globErrors.join("; ")}`);
+
+		this.log("§7Configuration loaded");
+	}
+
+	/**
+	 * Applies the configuration layers on top of the configuration file, in order:
+	 * `config.<environment>.json`, `JLS_*` environment variables and `--config.<key>=<value>` command-line arguments.
+	 * Environment variable names are mapped to the keys by replacing `__` with `.` and `_` with `-` (e.g. `JLS_SSH__PORT` -> `ssh.port`).
+	 * @private
+	 * @static
+	 * @param {ObjectLiteral} fileConfig Configuration loaded from the configuration file
+	 * @return {{config: ObjectLiteral, sources: Object<string, string>}} Effective configuration and the layer of each value
+	 * @memberof Server
+	 */
+	static _resolveConfig(fileConfig) {
+		const config = JSON.parse(JSON.stringify(fileConfig));
+
+		/** @type {Object<string, string>} */
+		const sources = {};
+		for(const key of getConfigKeys(config)) sources[key] = path.basename(PATH.CONFIG);
+
+		// Environment specific configuration file
+		const environmentFile = this._getEnvironmentConfigPath();
+		const environmentName = path.basename(environmentFile);
+
+		if(fs.existsSync(environmentFile)) {
+			try {
+				const environmentConfig = JSON.parse(fs.readFileSync(environmentFile).toString());
+
+				for(const key of getConfigKeys(environmentConfig)) {
+					setConfigValue(config, key, getConfigValue(environmentConfig, key));
+					sources[key] = environmentName;
+				}
+			} catch(err) {
+				this.error(`Failed to load '${environmentName}':`, err.message);
+			}
+		}
+
+		/** @type {[string, string, string][]} */
+		const overrides = [];
+
+		// Environment variables
+		for(const [name, value] of Object.entries(process.env)) {
+			if(!name.startsWith("JLS_") || name.length <= 4 || value === undefined) continue;
+
+			overrides.push([resolveConfigKey(config, name.slice(4).split("__")), value, `env ${name}`]);
+		}
+
+		// Command-line arguments
+		for(const arg of process.argv.slice(2)) {
+			const match = /^--config\.([^=]+)=([\s\S]*)$/.exec(arg);
+			if(!match) continue;
+
+			overrides.push([match[1], match[2], `argument --config.${match[1]}`]);
+		}
+
+		for(const [key, input, source] of overrides) {
+			// Coerce the value to the type from the schema, otherwise to the type of the current value
+			const currentType = getConfigValueType(getConfigValue(config, key));
+			const type = this._getConfigSchemaProperty(key)?.type || (currentType === "integer" ? "number" : currentType === "null" || currentType === "undefined" ? "any" : currentType);
+
+			try {
+				setConfigValue(config, key, parseConfigValue(input, /**@type {ConfigValueType}*/(type)));
+			} catch(err) {
+				this.error(`Failed to apply config override from ${source}:`, err.message);
+				continue;
+			}
+
+			// Nested values of the overridden value come from the same source
+			for(const e of Object.keys(sources)) {
+				if(e === key || e.startsWith(`${key}.`)) delete sources[e];
+			}
+			for(const e of getConfigKeys({[key]: getConfigValue(config, key)})) sources[e] = source;
+		}
+
+		return {config, sources};
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @return {string} Path to the configuration file of the current environment
+	 * @memberof Server
+	 */
+	static _getEnvironmentConfigPath() {
+		return path.join(path.dirname(PATH.CONFIG), `config.${this.environment}.json`);
+	}
+
+	/**
+	 * Reads the configuration file and adds missing/new properties from the default configuration
+	 * @private
+	 * @static
+	 * @return {ObjectLiteral} Configuration
+	 * @memberof Server
+	 */
+	static _readConfig() {
+		const name = path.basename(PATH.CONFIG);
+
+		// Create default
+		if(!fs.existsSync(PATH.CONFIG)) {
+			this.log(`§7Creating default §f${name} §7file...`);
+			fs.writeFileSync(PATH.CONFIG, JSON.stringify(DEFAULT_CONFIG, null, "\t"));
+		}
+
+		// Get current config
+		const config = JSON.parse(fs.readFileSync(PATH.CONFIG).toString());
+
+		// Add missing/new properties from default configuration
+		const merged = objectDeepMerge(DEFAULT_CONFIG, config, false);
+
+		// Update config
+		if(JSON.stringify(config) !== JSON.stringify(merged)) {
+			fs.writeFileSync(PATH.CONFIG, JSON.stringify(merged, null, "\t"));
+			this.log(`§7Updated §f${name} §7with latest/missing properties`);
+		}
+
+		return merged;
+	}
+
+	/**
+	 * Reloads the configuration file, trusted IPs and blacklist.
+	 * Changed configuration is applied and the "configchange" event is dispatched.
+	 * @static
+	 * @return {Promise<string[] | null>} Key paths of the changed configuration values; `null` if the configuration is invalid
+	 * @memberof Server
+	 */
+	static async reloadConfig() {
+		this._loadTrustedIPs();
+		this._loadBlacklist();
+
+		this.log("§7Reloading configuration...");
+
+		let config;
+		try {
+			config = this._readConfig();
+		} catch(err) {
+			this.error("Failed to reload configuration:", err.message);
+			return null;
+		}
+
+		return await this._updateConfig(config);
+	}
+
+	/**
+	 * Validates and applies the new configuration
+	 * @private
+	 * @static
+	 * @param {ObjectLiteral} fileConfig New configuration of the configuration file (overrides are applied on top of it)
+	 * @return {Promise<string[] | null>} Key paths of the changed configuration values; `null` if the configuration is invalid
+	 * @memberof Server
+	 */
+	static async _updateConfig(fileConfig) {
+		const hasModuleDefaults = this._applyModuleConfigDefaults(Object.values(this.modules), fileConfig);
+		const {config, sources} = this._resolveConfig(fileConfig);
+
+		// Validate core configuration and configuration of the loaded modules
+		const errors = [...validateConfig(config, CONFIG_SCHEMA, ""), ...validateConfigGlobs(config)];
+		for(const _module of Object.values(this.modules)) {
+			const schema = this._getModuleConfigSchema(_module);
+			if(!_module.loaded || !schema) continue;
+
+			const namespace = this._getModuleConfigNamespace(_module);
+			errors.push(...validateConfig(config["modules"]?.[namespace], schema, `modules.${namespace}`));
+		}
+
+		if(errors.length) {
+			this.error(`Invalid configuration, keeping the previous one: ${[...new Set(errors)].join("; ")}`);
+			return null;
+		}
+
+		const previous = this.config;
+		const changes = getConfigChanges(previous, config);
+
+		this.config = config;
+		this._fileConfig = fileConfig;
+		this._configSources = sources;
+		if(hasModuleDefaults) this._saveConfig();
+
+		if(!changes.length) {
+			this.log("§7Configuration has not changed");
+			return changes;
+		}
+
+		this.log(`§7Configuration changed: §f${changes.join("§7, §f")}`);
+
+		await this._applyConfigChanges(changes);
+		await this.dispatchEvent("configchange", {changes, previous, async: true, defaultPreventable: false});
+
+		return changes;
+	}
+
+	/**
+	 * Applies the changed core settings, which can be changed without restart
+	 * @private
+	 * @static
+	 * @param {string[]} changes Key paths of the changed configuration values
+	 * @memberof Server
+	 */
+	static async _applyConfigChanges(changes) {
+		const changed = (/**@type {string}*/key) => changes.some(e => e === key || e.startsWith(`${key}.`));
+
+		if(changed("enable-logging")) {
+			if(this.config["enable-logging"]) {
+				this._openLoggerStream();
+				this.log("§7Logging enabled");
+			} else {
+				this.log("§eLogging is disabled!");
+				this._closeLoggerStream();
+			}
+		}
+
+		if(changed("http-port")) await this._rebindServer(false);
+		if(changed("https.port")) await this._rebindServer(true);
+
+		if(this.https && (changed("https.cert") || changed("https.key"))) {
+			this.reloadCertificates();
+		}
+
+		if(changed("https.cert") || changed("https.key") || changed("https.watch-certificates")) {
+			this._unwatchCertificates();
+			if(this.https) this._watchCertificates();
+		}
+
+		if(changed("ssh")) {
+			this._stopSSH();
+			if(this.config["ssh"]["enabled"]) await this._startSSH();
+		}
+
+		if(changed("watch-modules")) {
+			if(this.config["watch-modules"]) this._watchModules();
+			else this._unwatchModules();
+		}
+
+		if(changed("watch-config")) {
+			if(this.config["watch-config"]) this._watchConfig();
+			else this._unwatchConfig();
+		}
+
+		// Removed secrets are generated again
+		if(changed("session.secret") || changed("cookies.keys")) await this._generateSecrets();
+
+		const restartRequired = ["enable-http-server", "enable-cli", "https.enabled", "http2", "session.store"].filter(changed);
+		if(restartRequired.length) this.warn(`Changes of ${restartRequired.map(e => `'${e}'`).join(", ")} will be applied after restart`);
+	}
+
+	/**
+	 * Starts watching the configuration file, trusted IPs, blacklist and users for changes
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _watchConfig() {
+		if(!this.config["watch-config"] || this._watchedConfigFiles.length) return;
+
+		/** @type {[string, () => any][]} */
+		const files = [
+			[PATH.CONFIG, () => this.reloadConfig()],
+			[this._getEnvironmentConfigPath(), () => this.reloadConfig()],
+			[PATH.TRUSTED_IPS, () => this._loadTrustedIPs()],
+			[PATH.BLACKLIST, () => this._loadBlacklist()],
+			[PATH.USERS, () => this.users?.reload()]
+		];
+
+		for(const [file, reload] of files) {
+			fs.watchFile(file, {interval: 1000}, (curr, prev) => {
+				if(curr.mtimeMs === prev.mtimeMs || this.isStopping) return;
+
+				// Debounce the reload, so editors saving the file in multiple steps trigger only one reload
+				this.TaskManager.scheduleTask({
+					name: file === PATH.CONFIG || file === this._getEnvironmentConfigPath() ? "reload-config" : `reload-${path.basename(file, ".json")}`,
+					task: reload,
+					delay: 500
+				});
+			});
+
+			this._watchedConfigFiles.push(file);
+		}
+	}
+
+	/**
+	 * Stops watching the configuration files for changes
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _unwatchConfig() {
+		for(const file of this._watchedConfigFiles) {
+			fs.unwatchFile(file);
+		}
+
+		this._watchedConfigFiles = [];
+	}
+
+	/**
+	 * Opens the log file of the current day
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _openLoggerStream() {
+		const filename = this.getFileNameFromDate(new Date());
+		const filepath = path.join(PATH.LOGS, `${filename}.log`);
+		if(!fs.existsSync(PATH.LOGS)) fs.mkdirSync(PATH.LOGS);
+		this.loggerStream = fs.createWriteStream(filepath, {flags: "a"});
+	}
+
+	/**
+	 * Closes the log file
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _closeLoggerStream() {
+		this.loggerStream?.end();
+		this.loggerStream = null;
+	}
+
+	/**
+	 * Starts the SSH server (requires the optional SSH module and enabled CLI)
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static async _startSSH() {
+		if(!this.stdio.cli) return this.warn("SSH server requires CLI to be enabled");
+
+		// Try to load optional SSH module
+		try {
+			this.log("§7Loading SSH module...");
+			const {SSHServer} = (this.__CommonJS_cache["ssh.js"] = require("./ssh"));
+
+			// If module loaded, create new SSH server
+			this.log("§7Enabling SSH server...");
+			this.ssh = new SSHServer({
+				localCLI: this.stdio.cli,
+				port: this.config["ssh"]["port"]
+			});
+			await this.ssh.begin();
+
+			this.log("§7SSH server enabled");
+		} catch(err) {
+			this.ssh = null;
+			this.error("Failed to load SSH module: " + err.message);
+		}
+	}
+
+	/**
+	 * Stops the SSH server
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _stopSSH() {
+		if(!this.ssh) return;
+
+		this.ssh.stop();
+		this.ssh = null;
+		this.log("§7SSH server disabled");
+	}
+
+	/**
+	 * Replaces the listening HTTP (or HTTPS) server with a new one listening on the configured port.
+	 * Open connections of the previous server are kept until they are closed.
+	 * @private
+	 * @static
+	 * @param {boolean} secure `true` to rebind the HTTPS server, `false` to rebind the HTTP server
+	 * @memberof Server
+	 */
+	static async _rebindServer(secure) {
+		const previous = secure ? this.https : this.http;
+		if(!previous || !previous.listening) return;
+
+		const name = secure ? (this.config["http2"]["enabled"] ? "HTTP/2" : "HTTPS") : "HTTP";
+		const getPort = secure ? () => this.config["https"]["port"] : () => this.config["http-port"];
+
+		let server;
+		try {
+			server = secure ? this._createSecureServer() : http.createServer();
+		} catch(err) {
+			return this.error(`Failed to create ${name} server:`, err.message);
+		}
+
+		this._setupServer(server, name, getPort);
+
+		await new Promise(resolve => {
+			server.on("listening", resolve);
+			server.on("error", resolve);
+			server.listen(getPort());
+		});
+
+		if(!server.listening) return this.error(`Failed to rebind ${name} server, it keeps listening on the previous port`);
+
+		if(secure) this.https = /**@type {https.Server | http2.Http2SecureServer}*/(server);
+		else this.http = /**@type {http.Server}*/(server);
+
+		previous.close();
+	}
+
+	/**
+	 * Saves the configuration file (without the overrides from other layers)
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _saveConfig() {
+		fs.writeFileSync(PATH.CONFIG, JSON.stringify(this._fileConfig, null, "\t"));
+	}
+
+	/**
+	 * Adds missing default values from the config schemas of the modules to `config.json`
+	 * @private
+	 * @static
+	 * @param {Module[]} modules
+	 * @param {ObjectLiteral} [config=this._fileConfig] Configuration to update; changes of the current configuration are saved and applied
+	 * @returns {boolean} `true` if any default values were added
+	 * @memberof Server
+	 */
+	static _applyModuleConfigDefaults(modules, config = this._fileConfig) {
+		const namespace = config["modules"] || {};
+		const original = JSON.stringify(namespace);
+
+		for(const _module of modules) {
+			const schema = this._getModuleConfigSchema(_module);
+			if(!schema) continue;
+
+			const name = this._getModuleConfigNamespace(_module);
+			const current = namespace[name];
+
+			// Keep invalid values, so they are reported by the validation
+			if(current !== undefined && (!current || typeof current !== "object" || Array.isArray(current))) continue;
+
+			namespace[name] = objectDeepMerge(getConfigDefaults(schema), current || {}, false);
+		}
+
+		config["modules"] = namespace;
+
+		const changed = JSON.stringify(namespace) !== original;
+		if(changed && config === this._fileConfig) {
+			this._saveConfig();
+			this.log(`§7Updated §f${path.basename(PATH.CONFIG)} §7with module defaults`);
+
+			const {config, sources} = this._resolveConfig(this._fileConfig);
+			this.config = config;
+			this._configSources = sources;
+		}
+
+		return changed;
+	}
+
+	/**
+	 * Returns the configuration of the module, stored in the `modules.<name>` namespace of `config.json`
+	 * (`<name>` is the name of the project, or the file name without the extension for modules outside of projects).
+	 * Values are validated against the config schema from the `module.json` manifest before the module is loaded.
+	 * Modules outside of projects export the schema as `configSchema`, their configuration is validated right after the module file
+	 * is executed, so it should be read in the `load` event or later.
+	 * @example const {port} = Server.getModuleConfig("shop");
+	 * @example // modules/mailer.js
+	 * module.exports.configSchema = {
+	 * 	host: {type: "string", default: "localhost", description: "SMTP server"},
+	 * 	port: {type: "integer", default: 25}
+	 * };
+	 *
+	 * Server.on("load", () => {
+	 * 	const {host, port} = Server.getModuleConfig();
+	 * });
+	 * @static
+	 * @param {string} [name] Name of the project or the module; defaults to the module in the context of which the code is executing
+	 * @returns {Object<string, any>} Configuration of the module (empty object if there is none)
+	 * @memberof Server
+	 */
+	static getModuleConfig(name) {
+		const _module = name === undefined ? this._getCurrentModule() : this._findModules(name)[0];
+		const namespace = _module ? this._getModuleConfigNamespace(_module) : name;
+
+		if(!namespace) throw new Error("Failed to resolve the module, please specify the name");
+
+		return this.config["modules"]?.[namespace] || {};
+	}
+
+	/**
+	 * Checks whether the configuration value or any of its parents is marked as secret in the schema
+	 * @private
+	 * @static
+	 * @param {string} key Dot separated path of the property
+	 * @returns {boolean}
+	 * @memberof Server
+	 */
+	static _isSecretConfigKey(key) {
+		return key.split(".").some((_, i, parts) => !!this._getConfigSchemaProperty(parts.slice(0, i + 1).join("."))?.secret);
+	}
+
+	/**
+	 * Finds the schema of the configuration property (inferred from the default configuration for the core properties)
+	 * @private
+	 * @static
+	 * @param {string} key Dot separated path of the property (e.g. `modules.shop.currency`)
+	 * @returns {ConfigSchemaProperty | null} Schema of the property; `null` for properties without schema
+	 * @memberof Server
+	 */
+	static _getConfigSchemaProperty(key) {
+		const [namespace, name, ...parts] = key.split(".");
+
+		// Core configuration
+		if(namespace !== "modules" || !name) {
+			/** @type {ConfigSchemaProperty | null} */
+			let property = {type: "object", properties: CONFIG_SCHEMA};
+
+			for(const part of key.split(".")) {
+				property = property?.properties?.[part] || null;
+			}
+
+			return property;
+		}
+
+		const _module = Object.values(this.modules).find(e => this._getModuleConfigSchema(e) && this._getModuleConfigNamespace(e) === name);
+		const schema = _module ? this._getModuleConfigSchema(_module) : null;
+
+		/** @type {ConfigSchemaProperty | null} */
+		let property = schema ? {type: "object", properties: schema} : null;
+
+		for(const part of parts) {
+			property = property?.properties?.[part] || null;
+		}
+
+		return property;
+	}
+
+	/**
+	 * Loads the server modules
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _loadModules() {
+		this.log("§7Loading modules...");
+		const dirname = path.basename(path.dirname(PATH.MODULES + " "));
+
+		// Create default module
+		if(!fs.existsSync(PATH.MODULES)) {
+			this.log(`§7Creating new empty §f${dirname} §7folder...`);
+			fs.mkdirSync(PATH.MODULES);
+
+			fs.writeFileSync(PATH.MODULES + "main.js", DEFAULT_MAIN);
+		}
+
+		const start = Date.now();
+		const modules = this._discoverModules();
+		for(const _module of modules) this.modules[_module.name] = _module;
+
+		this._applyModuleConfigDefaults(modules);
+
+		for(const _module of this._resolveLoadOrder(modules)) {
+			if(this._isModuleDisabled(_module)) continue;
+
+			// Invalid manifest
+			if(_module.failed) {
+				this.error(`Failed to load '${path.basename(_module.path)}': ${_module.error}`);
+				continue;
+			}
+
+			this._loadModule(_module);
+		}
+
+		const disabled = modules.filter(e => this._isModuleDisabled(e)).length;
+		if(disabled) this.log(`§7Skipped §f${disabled} §7disabled modules`);
+
+		// Log total stats
+		this.log(`§7Loaded §f${Object.values(this.modules).filter(e => e.loaded).length}§7/§f${Object.values(this.modules).length} §7modules (§f${Date.now() - start}ms§7)`);
+
+		// Watch for changes
+		if(this.config["watch-modules"]) this._watchModules();
+	}
+
+	/**
+	 * Collects all module files from the modules folder
+	 * @private
+	 * @static
+	 * @returns {Module[]} List of new (not loaded) modules
+	 * @memberof Server
+	 */
+	static _discoverModules() {
+		const dirname = path.basename(path.dirname(PATH.MODULES + " "));
+		const files = getAllFiles(PATH.MODULES, 1);
+
+		/** @type {Module[]} */
+		const modules = [];
+
+		/** @type {Map<string, ModuleManifest | Error>} */
+		const manifests = new Map();
+
+		for(const file of files) {
+			// Precompute names
+			const basename = path.basename(path.dirname(file));
+			const filename = path.basename(file);
+
+			// Determine module and project name
+			const project = basename == dirname ? null : basename;
+			const moduleName = (project ? `${project}/` : "") + filename;
+
+			// Skip files prefixed with '-'
+			if(filename.startsWith("-")) continue;
+
+			// Skip not '*.js' files
+			if(!file.endsWith(".js") || fs.lstatSync(file).isDirectory()) continue;
+
+			// Read the project manifest (once per project)
+			const directory = path.dirname(file);
+			if(project && !manifests.has(directory)) {
+				try {
+					manifests.set(directory, this._readModuleManifest(directory));
+				} catch(err) {
+					manifests.set(directory, err);
+				}
+			}
+
+			const manifest = project ? manifests.get(directory) || null : null;
+
+			// Create a module object
+			modules.push({
+				name: moduleName,
+				project: project,
+				path: file,
+				loaded: false,
+				failed: manifest instanceof Error,
+				error: manifest instanceof Error ? manifest.message : null,
+				manifest: manifest instanceof Error ? null : manifest,
+				configSchema: null,
+				exports: undefined,
+				listeners: [],
+				routes: [],
+				commands: []
+			});
+		}
+
+		return modules;
+	}
+
+	/**
+	 * Reads and validates the manifest of the project
+	 * @private
+	 * @static
+	 * @param {string} directory Path to the project folder
+	 * @returns {ModuleManifest} Manifest of the project (default manifest in case there is no `module.json` file)
+	 * @throws {Error} If the manifest is not valid
+	 * @memberof Server
+	 */
+	static _readModuleManifest(directory) {
+		const file = path.join(directory, "module.json");
+
+		/** @type {ModuleManifest} */
+		const manifest = {
+			name: path.basename(directory),
+			version: null,
+			dependencies: {},
+			requiredConfig: [],
+			priority: 0,
+			config: null
+		};
+
+		if(!fs.existsSync(file)) return manifest;
+
+		const fail = (/**@type {string}*/message) => new Error(`Invalid manifest '${path.basename(directory)}/module.json': ${message}`);
+
+		let json;
+		try {
+			json = JSON.parse(fs.readFileSync(file).toString());
+		} catch(err) {
+			throw fail(err.message);
+		}
+
+		if(!json || typeof json !== "object" || Array.isArray(json)) throw fail("manifest must be an object");
+
+		const {name, version, dependencies, requiredConfig, priority, config} = json;
+
+		if(name !== undefined) {
+			if(typeof name !== "string" || !name) throw fail("'name' must be a non-empty string");
+			manifest.name = name;
+		}
+
+		if(version !== undefined) {
+			if(typeof version !== "string") throw fail("'version' must be a string");
+			manifest.version = version;
+		}
+
+		if(Array.isArray(dependencies)) {
+			if(dependencies.some(e => typeof e !== "string")) throw fail("'dependencies' must contain names only");
+			for(const dependency of dependencies) manifest.dependencies[dependency] = "*";
+		} else if(dependencies !== undefined) {
+			if(!dependencies || typeof dependencies !== "object" || Object.values(dependencies).some(e => typeof e !== "string")) {
+				throw fail("'dependencies' must be either an array of names or an object of version ranges");
+			}
+			manifest.dependencies = {...dependencies};
+		}
+
+		if(requiredConfig !== undefined) {
+			if(!Array.isArray(requiredConfig) || requiredConfig.some(e => typeof e !== "string")) throw fail("'requiredConfig' must be an array of config keys");
+			manifest.requiredConfig = requiredConfig;
+		}
+
+		if(priority !== undefined) {
+			if(typeof priority !== "number" || !isFinite(priority)) throw fail("'priority' must be a number");
+			manifest.priority = priority;
+		}
+
+		if(config !== undefined) {
+			const error = checkConfigSchema(config, "config");
+			if(error) throw fail(error);
+			manifest.config = config;
+		}
+
+		return manifest;
+	}
+
+	/**
+	 * Resolves the name used to reference the module in dependencies and in the list of disabled modules
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @returns {string} Name of the project (from manifest) or name of the module in case it's not part of any project
+	 * @memberof Server
+	 */
+	static _getModuleUnitName(_module) {
+		return _module.manifest?.name || _module.name;
+	}
+
+	/**
+	 * Resolves the name of the `modules.<name>` configuration namespace of the module
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @returns {string} Name of the project (from manifest) or file name of the module without the extension in case it's not part of any project
+	 * @memberof Server
+	 */
+	static _getModuleConfigNamespace(_module) {
+		return _module.manifest?.name || path.basename(_module.name, ".js");
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @returns {ConfigSchema | null} Config schema from the manifest of the project or exported by the module; `null` if the module has no schema
+	 * @memberof Server
+	 */
+	static _getModuleConfigSchema(_module) {
+		return _module.manifest ? _module.manifest.config : _module.configSchema;
+	}
+
+	/**
+	 * Reads the config schema exported as `configSchema` by the module outside of projects,
+	 * adds the default values to the configuration and validates it
+	 * @private
+	 * @static
+	 * @param {Module} _module Executed module
+	 * @returns {string | null} Reason why the module cannot be loaded; `null` if the configuration is valid
+	 * @memberof Server
+	 */
+	static _loadExportedConfigSchema(_module) {
+		const schema = _module.exports?.configSchema;
+		_module.configSchema = null;
+
+		if(schema === undefined) return null;
+
+		const error = checkConfigSchema(schema, "configSchema");
+		if(error) return `Invalid config schema: ${error}`;
+
+		_module.configSchema = schema;
+		this._applyModuleConfigDefaults([_module]);
+
+		const namespace = this._getModuleConfigNamespace(_module);
+		const errors = validateConfig(this.config["modules"]?.[namespace], schema, `modules.${namespace}`);
+
+		return errors.length ? `Invalid config: ${errors.join("; ")}` : null;
+	}
+
+	/**
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @returns {boolean} `true` if the module or its project is disabled
+	 * @memberof Server
+	 */
+	static _isModuleDisabled(_module) {
+		return this.DISABLED_MODULES.includes(_module.name) || this.DISABLED_MODULES.includes(this._getModuleUnitName(_module));
+	}
+
+	/**
+	 * Finds the modules by the name of the module or the name of the project
+	 * @private
+	 * @static
+	 * @param {string} name
+	 * @returns {Module[]}
+	 * @memberof Server
+	 */
+	static _findModules(name) {
+		return Object.values(this.modules).filter(e => e.name === name || this._getModuleUnitName(e) === name);
+	}
+
+	/**
+	 * Sorts the modules, so dependencies come before their dependents and projects with higher priority come first
+	 * @private
+	 * @static
+	 * @param {Module[]} modules Modules to sort
+	 * @returns {Module[]} Sorted modules
+	 * @memberof Server
+	 */
+	static _resolveLoadOrder(modules) {
+		/** @type {Map<string, Module[]>} */
+		const units = new Map();
+
+		for(const _module of modules) {
+			const name = this._getModuleUnitName(_module);
+
+			if(!units.has(name)) units.set(name, []);
+			units.get(name)?.push(_module);
+		}
+
+		const priority = (/**@type {string}*/name) => units.get(name)?.[0].manifest?.priority || 0;
+		const names = [...units.keys()].sort((a, b) => priority(b) - priority(a));
+
+		/** @type {Set<string>} */
+		const visited = new Set();
+
+		/** @type {Module[]} */
+		const order = [];
+
+		// Depth-first search; circular dependencies are reported by `_checkModuleRequirements()`
+		const visit = (/**@type {string}*/name) => {
+			const unit = units.get(name);
+			if(!unit || visited.has(name)) return;
+
+			visited.add(name);
+			for(const dependency in unit[0].manifest?.dependencies || {}) visit(dependency);
+
+			order.push(...unit);
+		};
+
+		for(const name of names) visit(name);
+
+		return order;
+	}
+
+	/**
+	 * Finds a circular dependency going through the project
+	 * @private
+	 * @static
+	 * @param {string} name Name of the project
+	 * @returns {string[] | null} Names forming the cycle (starting and ending with `name`); `null` if there is no cycle
+	 * @memberof Server
+	 */
+	static _findDependencyCycle(name) {
+		/** @type {Map<string, Object<string, string>>} */
+		const dependencies = new Map();
+		for(const _module of Object.values(this.modules)) {
+			if(_module.manifest) dependencies.set(_module.manifest.name, _module.manifest.dependencies);
+		}
+
+		/** @type {Set<string>} */
+		const visited = new Set();
+
+		const visit = (/**@type {string[]}*/trail) => {
+			for(const dependency in dependencies.get(trail[trail.length - 1]) || {}) {
+				if(dependency === name) return [...trail, dependency];
+				if(visited.has(dependency)) continue;
+
+				visited.add(dependency);
+				const cycle = visit([...trail, dependency]);
+				if(cycle) return cycle;
+			}
+
+			return null;
+		};
+
+		return visit([name]);
+	}
+
+	/**
+	 * Checks the dependencies and the required config of the module
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @returns {string | null} Reason why the module cannot be loaded; `null` if all requirements are met
+	 * @memberof Server
+	 */
+	static _checkModuleRequirements(_module) {
+		const manifest = _module.manifest;
+		if(!manifest) return null;
+
+		const cycle = this._findDependencyCycle(manifest.name);
+		if(cycle) return `Circular dependency (${cycle.join(" -> ")})`;
+
+		const modules = Object.values(this.modules);
+
+		for(const [dependency, range] of Object.entries(manifest.dependencies)) {
+			const dependencies = modules.filter(e => this._getModuleUnitName(e) === dependency);
+			const version = dependencies[0]?.manifest?.version;
+
+			if(!dependencies.length) return `Missing dependency '${dependency}'`;
+			if(dependencies.some(e => this._isModuleDisabled(e))) return `Dependency '${dependency}' is disabled`;
+			if(range !== "*" && (!version || !satisfiesVersion(version, range))) return `Dependency '${dependency}' (${version || "unknown version"}) does not satisfy version '${range}'`;
+			if(dependencies.some(e => e.failed)) return `Dependency '${dependency}' failed to load`;
+			if(dependencies.some(e => !e.loaded)) return `Dependency '${dependency}' is not loaded`;
+		}
+
+		for(const key of manifest.requiredConfig) {
+			const value = getConfigValue(this.config, key);
+			if(value === undefined || value === null || value === "") return `Missing required config '${key}'`;
+		}
+
+		if(manifest.config) {
+			const errors = validateConfig(this.config["modules"]?.[manifest.name], manifest.config, `modules.${manifest.name}`);
+			if(errors.length) return `Invalid config: ${errors.join("; ")}`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Collects all modules depending (directly or indirectly) on the project
+	 * @private
+	 * @static
+	 * @param {string} name Name of the project
+	 * @returns {Module[]}
+	 * @memberof Server
+	 */
+	static _getDependentModules(name) {
+		const modules = Object.values(this.modules);
+
+		/** @type {Set<Module>} */
+		const dependents = new Set();
+		const queue = [name];
+
+		while(queue.length) {
+			const current = /**@type {string}*/(queue.shift());
+
+			for(const _module of modules) {
+				if(!_module.manifest || !(current in _module.manifest.dependencies) || dependents.has(_module)) continue;
+
+				dependents.add(_module);
+				queue.push(_module.manifest.name);
+			}
+		}
+
+		return [...dependents];
+	}
+
+	/**
+	 * Executes the module file
+	 * @private
+	 * @static
+	 * @param {Module} _module Module to load
+	 * @returns {boolean} `true` if the module was loaded successfully, otherwise `false`
+	 * @memberof Server
+	 */
+	static _loadModule(_module) {
+		const filename = path.basename(_module.path);
+
+		// Check dependencies and required config
+		const reason = this._checkModuleRequirements(_module);
+		if(reason) {
+			_module.failed = true;
+			_module.error = reason;
+
+			this.error(`Failed to load '${filename}': ${reason}`);
+			return false;
+		}
+
+		try {
+			// Load the module
+			const start = Date.now();
+			_module.exports = this._moduleContext.run(_module, () => require(_module.path));
+			const duration = Date.now() - start;
+
+			// Config schema of the modules outside of projects is known only after the module is executed
+			const reason = _module.manifest ? null : this._loadExportedConfigSchema(_module);
+			if(reason) {
+				this._teardownModule(_module);
+
+				_module.failed = true;
+				_module.error = reason;
+
+				this.error(`Failed to load '${filename}': ${reason}`);
+				return false;
+			}
+
+			// Mark module as loaded
+			_module.loaded = true;
+			_module.failed = false;
+			_module.error = null;
+
+			// Log the success message
+			const formattedDuration = this.formatDuration(duration);
+
+			this.log(`§7Loaded §f${_module.project ? `${_module.project}§7:§f` : ""}${filename} §7(${formattedDuration}§7)`);
+			return true;
+		} catch(err) {
+			// Remove everything the module managed to register before failing
+			this._teardownModule(_module);
+
+			// Mark module as failed
+			_module.failed = true;
+			_module.error = err?.message || String(err);
+
+			// Log the error message
+			this.error(`Failed to load '${filename}':`, err);
+			return false;
+		}
+	}
+
+	/**
+	 * Removes all listeners, routes and commands registered by the module
+	 * and purges the module (and the rest of its project) from the require cache
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @memberof Server
+	 */
+	static _teardownModule(_module) {
+		// Route dispatchers are shared between modules, they are removed along with the last route of the path
+		const routeListeners = Object.values(this._routeListeners);
+
+		for(const listener of [..._module.listeners]) {
+			if(routeListeners.includes(listener)) continue;
+			this.off(listener.type, listener.callback);
+		}
+
+		for(const {method, path} of _module.routes) {
+			this.removeRoute(method, path);
+		}
+
+		for(const command of _module.commands) {
+			this.stdio.cli?.unregisterCommand(command);
+		}
+
+		_module.listeners = [];
+		_module.routes = [];
+		_module.commands = [];
+
+		// Purge the require cache, including helper files of the project
+		const projectDirectory = _module.project ? path.dirname(_module.path) + path.sep : null;
+
+		for(const file of Object.keys(require.cache)) {
+			if(file === _module.path || (projectDirectory && file.startsWith(projectDirectory))) {
+				delete require.cache[file];
+			}
+		}
+
+		_module.loaded = false;
+		_module.exports = undefined;
+	}
+
+	/**
+	 * Calls the listeners of the event registered by the module only
+	 * @private
+	 * @static
+	 * @param {Module} _module
+	 * @param {string} type Event type
+	 * @param {Object<string, any>} [data={}] Event data
+	 * @memberof Server
+	 */
+	static async _dispatchModuleEvent(_module, type, data = {}) {
+		const event = new EventListener.Event({...data, module: _module});
+
+		for(const listener of _module.listeners.filter(e => e.type === type)) {
+			await this._moduleContext.run(_module, () => listener.callback(event));
+		}
+	}
+
+	/**
+	 * Calls the listeners of the "load" event in the order of the registration,
+	 * each one in the context of the module, which registered it
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static async _dispatchLoadEvent() {
+		const event = new EventListener.Event({type: "load"});
+
+		for(const listener of [...this._loadListeners]) {
+			if(event.isStopped) break;
+
+			const owner = this._listenerOwners.get(listener) || null;
+			await this._moduleContext.run(owner, () => listener.callback(event));
+		}
+	}
+
+	/**
+	 * Returns the module in the context of which the current code is executing
+	 * (see `Server._moduleContext`)
+	 * @private
+	 * @static
+	 * @returns {Module | null} The module or `null` if the code is not executing in the context of any module
+	 * @memberof Server
+	 */
+	static _getCurrentModule() {
+		return this._moduleContext.getStore() || null;
+	}
+
+	/**
+	 * Loads the module at runtime.
+	 * In case the server has already been loaded, the "load" listeners of the module are called.
+	 * @static
+	 * @param {string} name Name of the module (e.g. `main.js` or `project/main.js`)
+	 * @returns {Promise<boolean>} `true` if the module was loaded successfully, otherwise `false`
+	 * @memberof Server
+	 */
+	static async loadModule(name) {
+		let _module = this.modules[name];
+
+		// Look for modules added after the boot
+		if(!_module) {
+			_module = this._discoverModules().find(e => e.name === name);
+			if(!_module) throw new Error(`Module '${name}' does not exist`);
 
+			this.modules[name] = _module;
+		}
+
+		if(_module.loaded) throw new Error(`Module '${name}' is already loaded`);
+		if(this._isModuleDisabled(_module)) throw new Error(`Module '${name}' is disabled`);
+
+		// Pick up changes of the manifest
+		if(_module.project) {
 			try {
-				this.log(util.formatWithOptions({colors: true}, "< %O", await eval(code.join(" "))));
+				_module.manifest = this._readModuleManifest(path.dirname(_module.path));
 			} catch(err) {
-				this.log(`[EVAL ERROR]: ${err?.message || `Unknown error (${err?.message})`}`);
+				_module.failed = true;
+				_module.error = err.message;
+				_module.manifest = null;
+
+				this.error(`Failed to load '${path.basename(_module.path)}': ${err.message}`);
+				return false;
 			}
-		});
-		evalCmd.on("preview", async (e) => {
-			// Early return if the context is not ready yet
-			if(!evalContext) return;
 
-			const {code} = e.variables;
+			this._applyModuleConfigDefaults([_module]);
+		}
 
-			const source = code.join(" ");
+		if(!this._loadModule(_module)) return false;
+		if(this.isLoaded) await this._dispatchModuleEvent(_module, "load");
 
-			const result = await this.InspectorService.post("Runtime.evaluate", {
-				expression: source,
-				contextId: evalContext.id,
-				throwOnSideEffect: true,
-				timeout: 300
-			});
+		return true;
+	}
 
-			if(result.result.type === "undefined") return;
+	/**
+	 * Unloads the module at runtime.
+	 * Calls the "unload" listeners of the module and removes all listeners, routes and CLI commands registered by the module.
+	 * Listeners registered on other event emitters (e.g. `Server.stdio.cli`) must be removed by the module itself.
+	 * Only the registrations made in the context of the module are tracked, which includes the execution of the module file,
+	 * its "load" listeners, routes and path listeners, and asynchronous operations started from them (see `Server._moduleContext`).
+	 * @static
+	 * @param {string} name Name of the module (e.g. `main.js` or `project/main.js`)
+	 * @memberof Server
+	 */
+	static async unloadModule(name) {
+		const _module = this.modules[name];
+		if(!_module) throw new Error(`Module '${name}' does not exist`);
+		if(!_module.loaded) throw new Error(`Module '${name}' is not loaded`);
 
-			if(result.exceptionDetails) {
-				const description = result.exceptionDetails.exception.description;
+		const dependents = this._getDependentModules(this._getModuleUnitName(_module)).filter(e => e.loaded && e !== _module);
+		if(dependents.length) this.warn(`Module '${name}' is required by loaded modules: ${dependents.map(e => e.name).join(", ")}`);
 
-				const messageEnd = description.indexOf("\n");
-				if(messageEnd === -1) return;
+		try {
+			await this._dispatchModuleEvent(_module, "unload", {forced: false});
+		} catch(err) {
+			this.error(`Error while unloading '${name}':`, err);
+		}
 
-				const message = description.slice(0, messageEnd);
-				if(message.indexOf("Possible side-effect") !== -1) return;
+		this._teardownModule(_module);
+		this.log(`§7Unloaded §f${_module.project ? `${_module.project}§7:§f` : ""}${path.basename(_module.path)}`);
+	}
 
-				e.preview = `§4${message}`;
-				return;
-			}
+	/**
+	 * Unloads (if loaded) and loads the module again with a fresh require cache
+	 * @static
+	 * @param {string} name Name of the module (e.g. `main.js` or `project/main.js`)
+	 * @returns {Promise<boolean>} `true` if the module was loaded successfully, otherwise `false`
+	 * @memberof Server
+	 */
+	static async reloadModule(name) {
+		if(this.modules[name]?.loaded) await this.unloadModule(name);
 
-			try {
-				const value = eval(source);
-				e.preview = util.formatWithOptions({
-					colors: true,
-					depth: 1,
-					compact: true,
-					breakLength: Infinity,
-				}, "%O", value).slice(0, Math.min(180, this.stdio.cli?.stdout.columns || 120) * 0.75);
-			} catch(err) { }
-		});
-		this.stdio.cli.registerCommand(evalCmd);
+		return await this.loadModule(name);
+	}
 
-		this.stdio.cli.registerCommand(new Command("exec", [
-			Optional([
-				Variable("filePath", {type: "string", comment: "Path to the file to execute"})
-			])
-		], e => {
-			const {filePath} = e.variables;
+	/**
+	 * Disables the module (or all modules of the project) and unloads it along with all modules depending on it.
+	 * Disabled modules are persisted and skipped when the server starts.
+	 * @static
+	 * @param {string} name Name of the module (e.g. `main.js` or `project/main.js`) or name of the project
+	 * @memberof Server
+	 */
+	static async disableModule(name) {
+		const targets = this._findModules(name);
+		if(!targets.length) throw new Error(`Module '${name}' does not exist`);
+		if(this.DISABLED_MODULES.includes(name)) throw new Error(`Module '${name}' is already disabled`);
+
+		this.DISABLED_MODULES.push(name);
+		this._saveDisabledModules();
+
+		// Unload the dependents first (in reverse load order)
+		const dependents = new Set(targets.flatMap(e => this._getDependentModules(this._getModuleUnitName(e))));
+		for(const _module of this._resolveLoadOrder([...dependents].filter(e => !targets.includes(e))).reverse()) {
+			if(!_module.loaded) continue;
+
+			await this.unloadModule(_module.name);
+			_module.failed = true;
+			_module.error = `Dependency '${name}' is disabled`;
+		}
 
-			fs.promises.readFile(path.join(__dirname, filePath || "autoexec.cfg")).then(file => {
-				Server.log(`Executing ${filePath}...`);
-				this.stdio.cli?.sendInput(file.toString());
-			}).catch(err => {
-				this.log(`§c[ERROR]: ${err.message}`);
-			});
-		}));
+		for(const _module of targets) {
+			if(_module.loaded) await this.unloadModule(_module.name);
+		}
 
-		this.stdio.cli.registerCommand(new Command("task", [
-			Keyword("list", {comment: "List all scheduled tasks"})
-		], e => {
-			const tasks = Object.values(this.TaskManager.tasks);
+		this.log(`Module '${name}' has been disabled`);
+	}
 
-			if(tasks.length === 0) return this.log("No scheduled tasks");
+	/**
+	 * Enables the disabled module (or project) and loads it along with the modules which failed to load because of it
+	 * @static
+	 * @param {string} name Name of the module (e.g. `main.js` or `project/main.js`) or name of the project
+	 * @memberof Server
+	 */
+	static async enableModule(name) {
+		const index = this.DISABLED_MODULES.indexOf(name);
+		if(index === -1) throw new Error(`Module '${name}' is not disabled`);
 
-			const now = Date.now();
-			const header = ["Name", "Scheduled at", "Run at", "Delay", "Status", "Repeating"];
+		this.DISABLED_MODULES.splice(index, 1);
+		this._saveDisabledModules();
+		this.log(`Module '${name}' has been enabled`);
 
-			const rows = tasks.map(task => {
-				const {scheduledAt, runAt, options} = task;
-				const name = options.name;
-				const delay = options.delay || 0;
-				const status = `${task.isRunning ? `§aRunning (${this.formatDuration(now - runAt)})` : `§6Waiting (${this.formatDuration(runAt - now)})`}§r`;
-				const repeating = /*options.repeating*/ false ? "Yes" : "No";
+		const targets = this._findModules(name);
+		const dependents = targets.flatMap(e => this._getDependentModules(this._getModuleUnitName(e))).filter(e => e.failed);
 
-				return [
-					name,
-					new Date(scheduledAt).toISOString().replace("T", " ").slice(0, 19),
-					new Date(runAt).toISOString().replace("T", " ").slice(0, 19),
-					`${delay}ms`,
-					status,
-					repeating
-				];
+		for(const _module of this._resolveLoadOrder([...new Set([...targets, ...dependents])])) {
+			if(_module.loaded || this._isModuleDisabled(_module)) continue;
+
+			await this.loadModule(_module.name);
+		}
+	}
+
+	/**
+	 * Starts watching the modules folder and reloads the changed modules.
+	 * Change of a non-module file in a project folder reloads all modules of the project.
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _watchModules() {
+		if(this._modulesWatcher) return;
+
+		try {
+			this._modulesWatcher = fs.watch(PATH.MODULES, {recursive: true}, (type, filename) => {
+				if(!filename) return;
+
+				const file = path.resolve(PATH.MODULES, filename.toString());
+				const modules = Object.values(this.modules).filter(e => e.loaded || e.failed);
+
+				// Changed module file, otherwise all modules of the project containing the file
+				let affected = modules.filter(e => e.path === file);
+				if(!affected.length) {
+					affected = modules.filter(e => e.project && file.startsWith(path.dirname(e.path) + path.sep));
+				}
+
+				// Editors tend to emit multiple events per save
+				for(const _module of affected) {
+					clearTimeout(this._moduleReloadTimers[_module.name]);
+
+					this._moduleReloadTimers[_module.name] = setTimeout(() => {
+						delete this._moduleReloadTimers[_module.name];
+						if(this.isStopping) return;
+
+						this.log(`§7Detected change of §f${_module.name}§7, reloading...`);
+						this.reloadModule(_module.name).catch(err => this.error(`Failed to reload '${_module.name}':`, err.message));
+					}, 300);
+				}
 			});
 
-			const max = rows.reduce((max, row) => {
-				return row.map((cell, i) => Math.max(max[i], cell.length));
-			}, header.map(() => 0));
+			this.log("§7Watching modules for changes");
+		} catch(err) {
+			this.error("Failed to watch modules:", err.message);
+		}
+	}
 
-			const table = [header, ...rows].map((row, i) => {
-				return row.map((cell, j) => cell.padEnd(max[j] - (i === 0 && j === 4 ? 4 : 0))).join("  ");
-			}).join("\n");
+	/**
+	 * Stops watching the modules folder
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _unwatchModules() {
+		for(const timeout of Object.values(this._moduleReloadTimers)) clearTimeout(timeout);
+		this._moduleReloadTimers = {};
 
-			this.log(`Scheduled tasks(${tasks.length}):\n${table}`);
-		}));
+		this._modulesWatcher?.close();
+		this._modulesWatcher = null;
+	}
 
-		this.stdio.cli.registerCommand(new Command("task", [
-			Keyword("cancel", {comment: "Cancel a scheduled task"}),
-			Variable("name", {type: "string", comment: "Name of the task to cancel"})
-		], e => {
-			const {name} = e.variables;
+	/**
+	 * Loads the list of trusted IPs
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _loadTrustedIPs() {
+		this.log("§7Loading trusted IPs...");
+		const name = path.basename(PATH.TRUSTED_IPS);
 
-			const task = this.TaskManager.tasks[name];
+		// Create default
+		if(!fs.existsSync(PATH.TRUSTED_IPS)) {
+			this.log(`§7Creating new blank §f${name} §7file...`);
+			fs.writeFileSync(PATH.TRUSTED_IPS, JSON.stringify(["localhost", "127.0.0.1", "::1"]));
+		}
 
-			if(!task) return this.log(`§c[ERROR]: Task '${name}' does not exist`);
+		// Apply Trusted IPs
+		this.TRUSTED_IPS = this._normalizeIPList(JSON.parse(fs.readFileSync(PATH.TRUSTED_IPS).toString()), name);
 
-			if(task.isRunning) return this.log(`§c[ERROR]: Task '${name}' is running`);
+		this.log(`§7Loaded §f${this.TRUSTED_IPS.length} §7trusted IPs`);
+	}
 
-			if(task.timeout) {
-				clearTimeout(task.timeout);
-				task.timeout = null;
-			}
+	/**
+	 * Saves the list of trusted IPs
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _saveTrustedIPs() {
+		this.log("§7Saving trusted IPs...");
 
-			delete this.TaskManager.tasks[name];
+		fs.writeFileSync(PATH.TRUSTED_IPS, JSON.stringify(this.TRUSTED_IPS));
 
-			this.log(`Task '${name}' has been canceled`);
-		}));
+		this.log(`§7Saved §f${this.TRUSTED_IPS.length} §7trusted IPs`);
+	}
 
-		this.stdio.cli.registerCommand(new Command("task", [
-			Keyword("run", {comment: "Run a scheduled task"}),
-			Variable("name", {type: "string", comment: "Name of the task to run"})
-		], e => {
-			const {name} = e.variables;
+	/**
+	 * Converts the entries of the IP list to the canonical form, invalid entries are reported and kept as they are (they never match)
+	 * @private
+	 * @static
+	 * @param {string[]} list
+	 * @param {string} name Name of the file containing the list
+	 * @returns {string[]}
+	 * @memberof Server
+	 */
+	static _normalizeIPList(list, name) {
+		return list.map(entry => {
+			const normalized = IPMatcher.normalize(entry);
+			if(!normalized) this.warn(`Invalid IP address or CIDR block '${entry}' in ${name}`);
 
-			const task = this.TaskManager.tasks[name];
+			return normalized || entry;
+		});
+	}
 
-			if(!task) return this.log(`§c[ERROR]: Task '${name}' does not exist`);
+	/**
+	 * Loads the list of blacklisted IPs
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _loadBlacklist() {
+		this.log("§7Loading blacklist...");
+		const name = path.basename(PATH.BLACKLIST);
 
-			if(task.isRunning) return this.log(`§c[ERROR]: Task '${name}' is already running`);
+		// Create default
+		if(!fs.existsSync(PATH.BLACKLIST)) {
+			this.log(`§7Creating new blank §f${name} §7file...`);
+			fs.writeFileSync(PATH.BLACKLIST, JSON.stringify([]));
+		}
 
-			if(task.timeout) {
-				clearTimeout(task.timeout);
-				task.timeout = null;
-			}
+		// Apply Blacklist
+		this.BLACKLIST = this._normalizeIPList(JSON.parse(fs.readFileSync(PATH.BLACKLIST).toString()), name);
 
-			this.TaskManager._runTask(task);
-		}));
+		this.log(`§7Loaded §f${this.BLACKLIST.length} §7blacklisted IPs`);
 	}
 
 	/**
-	 * Registers add event handler for wildcard characters
+	 * Saves the list of blacklisted IPs
 	 * @private
 	 * @static
 	 * @memberof Server
 	 */
-	static _registerAddListenerHandler() {
-		this.on(EventListener.LISTENER_ADD_EVENT, e => {
-			const listener = e.listener;
-			const type = listener.type;
-
-			// Only create regex for event handlers with wildcard characters
-			if(!["*", "?", ":"].some(e => type.includes(e))) {
-				return;
-			}
-
-			const usedNames = {};
-
-			// Create regex from wildcard characters
-			const regex = new RegExp(
-				"^" // Start of the path
-				+ type
-					.replace(/[-[\]{}()+.,\\^$|#\s]/g, "\\$&") // Escape special characters (except '*' and '?')
-					.replace(/\?/g, "(.)") // Replace "?" with "any character"
-					.replace(/\*/g, "(.*)") // Replace "*" with "any character(s)"
-					.replace(/:(\w*)/g, (match, name) => {
-						if(!name) throw new Error(`Failed to register event handler: Missing parameter name (${type})`);
+	static _saveBlacklist() {
+		this.log("§7Saving blacklist...");
+		const name = path.basename(PATH.BLACKLIST);
 
-						// Count same parameter names
-						if(name in usedNames) usedNames[name]++;
-						else usedNames[name] = 0;
+		// Create default
+		if(!fs.existsSync(PATH.BLACKLIST)) {
+			this.log(`§7Creating new blank §f${name} §7file...`);
+			fs.writeFileSync(PATH.BLACKLIST, JSON.stringify([]));
+		}
 
-						return `(?<${name}${usedNames[name] > 0 ? usedNames[name] : ""}>[^/]+?)`;
-					})
-				+ "\/?" // Trailing slash
-				+ "$" // End of the path
-				,
-				"i");
+		// Save blacklist
+		fs.writeFileSync(PATH.BLACKLIST, JSON.stringify(this.BLACKLIST));
 
-			// Add regex to cache
-			this._listenersRegexCache.push({regex, listener});
-		});
+		this.log(`§7Saved §f${this.BLACKLIST.length} §7blacklisted IPs`);
 	}
 
 	/**
-	 * Loads the configuration file
+	 * Loads the list of disabled modules
 	 * @private
 	 * @static
 	 * @memberof Server
 	 */
-	static _loadConfig() {
-		this.log("§7Loading configuration...");
-		const name = path.basename(PATH.CONFIG);
+	static _loadDisabledModules() {
+		this.log("§7Loading disabled modules...");
+		const name = path.basename(PATH.DISABLED_MODULES);
 
 		// Create default
-		if(!fs.existsSync(PATH.CONFIG)) {
-			this.log(`§7Creating default §f${name} §7file...`);
-			fs.writeFileSync(PATH.CONFIG, JSON.stringify(DEFAULT_CONFIG, null, "\t"));
-		}
-
-		// Get current config
-		const config = JSON.parse(fs.readFileSync(PATH.CONFIG).toString());
-
-		// Add missing/new properties from default configuration
-		const merged = objectDeepMerge(DEFAULT_CONFIG, config, false);
-
-		// Update config
-		if(JSON.stringify(config) !== JSON.stringify(merged)) {
-			fs.writeFileSync(PATH.CONFIG, JSON.stringify(merged, null, "\t"));
-			this.log(`§7Updated §f${name} §7with latest/missing properties`);
+		if(!fs.existsSync(PATH.DISABLED_MODULES)) {
+			this.log(`§7Creating new blank §f${name} §7file...`);
+			fs.writeFileSync(PATH.DISABLED_MODULES, JSON.stringify([]));
 		}
 
-		// Apply config
-		this.config = merged;
+		this.DISABLED_MODULES = JSON.parse(fs.readFileSync(PATH.DISABLED_MODULES).toString());
 
-		this.log("§7Configuration loaded");
+		this.log(`§7Loaded §f${this.DISABLED_MODULES.length} §7disabled modules`);
 	}
 
 	/**
-	 * Loads the server modules
+	 * Saves the list of disabled modules
 	 * @private
 	 * @static
 	 * @memberof Server
 	 */
-	static _loadModules() {
-		this.log("§7Loading modules...");
-		const dirname = path.basename(path.dirname(PATH.MODULES + " "));
+	static _saveDisabledModules() {
+		fs.writeFileSync(PATH.DISABLED_MODULES, JSON.stringify(this.DISABLED_MODULES, null, "\t"));
+	}
 
-		// Create default module
-		if(!fs.existsSync(PATH.MODULES)) {
-			this.log(`§7Creating new empty §f${dirname} §7folder...`);
-			fs.mkdirSync(PATH.MODULES);
+	/**
+	 * Hashes the password (or any other secret) for storing in the configuration
+	 * @example Server.hashPassword("hunter2") // "scrypt$16384$8$1$<salt>$<hash>"
+	 * @static
+	 * @param {string} password Password to hash
+	 * @param {"scrypt" | "pbkdf2"} [algorithm="scrypt"] Key derivation function
+	 * @return {string} Hash in format `scrypt$N$r$p$salt$hash` or `pbkdf2$digest$iterations$salt$hash` (salt and hash are base64 encoded)
+	 * @memberof Server
+	 */
+	static hashPassword(password, algorithm = "scrypt") {
+		if(typeof password !== "string") throw new TypeError("'password' parameter is not type of string");
 
-			fs.writeFileSync(PATH.MODULES + "main.js", DEFAULT_MAIN);
+		const salt = crypto.randomBytes(16);
+
+		if(algorithm === "scrypt") {
+			const [N, r, p] = [16384, 8, 1];
+			const hash = crypto.scryptSync(password, salt, 32, {N, r, p});
+
+			return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
 		}
 
-		// Collect all module files
-		const files = getAllFiles(PATH.MODULES, 1);
-		const start = Date.now();
+		if(algorithm === "pbkdf2") {
+			const [digest, iterations] = ["sha512", 210000];
+			const hash = crypto.pbkdf2Sync(password, salt, iterations, 32, digest);
 
-		for(const file of files) {
-			// Precompute names
-			const basename = path.basename(path.dirname(file));
-			const filename = path.basename(file);
+			return `pbkdf2$${digest}$${iterations}$${salt.toString("base64")}$${hash.toString("base64")}`;
+		}
 
-			// Determine module and project name
-			const project = basename == dirname ? null : basename;
-			const moduleName = (project ? `${project}/` : "") + filename;
+		throw new Error(`Unsupported hashing algorithm '${algorithm}'`);
+	}
 
-			// Skip files prefixed with '-'
-			if(filename.startsWith("-")) continue;
+	/**
+	 * @static
+	 * @param {any} value
+	 * @return {boolean} `true` if the value is a hash created by `Server.hashPassword()`
+	 * @memberof Server
+	 */
+	static isPasswordHash(value) {
+		return typeof value === "string" && /^(scrypt\$\d+\$\d+\$\d+|pbkdf2\$[\w-]+\$\d+)\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/.test(value);
+	}
 
-			// Skip not '*.js' files
-			if(!file.endsWith(".js") || fs.lstatSync(file).isDirectory()) continue;
+	/**
+	 * Verifies the password against the stored hash using constant-time comparison.
+	 * Stored values, which are not hashes, are compared as plaintext (constant-time as well).
+	 * Successful verifications are cached, so repeated requests (e.g. Basic auth) don't derive the key again.
+	 * The key is derived in the thread pool, so the verification doesn't block the event loop.
+	 * @example if(!await Server.verifyPassword(password, Server.config.login.password)) return e.send("Invalid password", 401);
+	 * @static
+	 * @param {string} password Password to verify
+	 * @param {string} stored Hash created by `Server.hashPassword()` or plaintext password
+	 * @return {Promise<boolean>} `true` if the password matches
+	 * @memberof Server
+	 */
+	static async verifyPassword(password, stored) {
+		const parsed = this._parsePasswordHash(password, stored);
+		if(typeof parsed === "boolean") return parsed;
 
-			// Create a module object
-			const _module = {
-				name: moduleName,
-				project: project,
-				path: file,
-				loaded: false,
-				failed: false,
-				exports: undefined
-			};
-			this.modules[moduleName] = _module;
+		const {algorithm, params, salt, hash} = parsed;
 
-			// Execute file
-			try {
-				// Load the module
-				const start = Date.now();
-				_module.exports = require(file);
-				const duration = Date.now() - start;
+		try {
+			if(algorithm === "scrypt") {
+				const [N, r, p] = params.map(Number);
+				return this._matchDerivedKey(parsed, await scrypt(password, salt, hash.length, {N, r, p, maxmem: 256 * N * r + 1024 * 1024}));
+			}
 
-				// Mark module as loaded
-				_module.loaded = true;
+			return this._matchDerivedKey(parsed, await pbkdf2(password, salt, Number(params[1]), hash.length, params[0]));
+		} catch(err) {
+			this.error("Failed to verify password:", err.message);
+			return false;
+		}
+	}
 
-				// Log the success message
-				const formattedDuration = this.formatDuration(duration);
+	/**
+	 * Synchronous version of `Server.verifyPassword()`, blocks the event loop while deriving the key
+	 * @static
+	 * @param {string} password Password to verify
+	 * @param {string} stored Hash created by `Server.hashPassword()` or plaintext password
+	 * @return {boolean} `true` if the password matches
+	 * @memberof Server
+	 */
+	static verifyPasswordSync(password, stored) {
+		const parsed = this._parsePasswordHash(password, stored);
+		if(typeof parsed === "boolean") return parsed;
 
-				this.log(`§7Loaded §f${project ? `${project}§7:§f` : ""}${filename} §7(${formattedDuration}§7)`);
-			} catch(err) {
-				// Mark module as failed
-				_module.failed = true;
+		const {algorithm, params, salt, hash} = parsed;
 
-				// Log the error message
-				this.error(`Failed to load '${filename}':`, err);
+		try {
+			if(algorithm === "scrypt") {
+				const [N, r, p] = params.map(Number);
+				return this._matchDerivedKey(parsed, crypto.scryptSync(password, salt, hash.length, {N, r, p, maxmem: 256 * N * r + 1024 * 1024}));
 			}
-		}
 
-		// Log total stats
-		this.log(`§7Loaded §f${Object.values(this.modules).filter(e => e.loaded).length}§7/§f${Object.values(this.modules).length} §7modules (§f${Date.now() - start}ms§7)`);
+			return this._matchDerivedKey(parsed, crypto.pbkdf2Sync(password, salt, Number(params[1]), hash.length, params[0]));
+		} catch(err) {
+			this.error("Failed to verify password:", err.message);
+			return false;
+		}
 	}
 
 	/**
-	 * Loads the list of trusted IPs
+	 * Parses the stored hash, the result is known without deriving the key for invalid values,
+	 * plaintext passwords and cached verifications
 	 * @private
 	 * @static
+	 * @param {string} password
+	 * @param {string} stored
+	 * @return {boolean | {algorithm: string, params: string[], salt: Buffer, hash: Buffer, cacheKey: string}}
 	 * @memberof Server
 	 */
-	static _loadTrustedIPs() {
-		this.log("§7Loading trusted IPs...");
-		const name = path.basename(PATH.TRUSTED_IPS);
+	static _parsePasswordHash(password, stored) {
+		if(typeof password !== "string" || typeof stored !== "string") return false;
+		if(!this.isPasswordHash(stored)) return timingSafeEqualString(password, stored);
 
-		// Create default
-		if(!fs.existsSync(PATH.TRUSTED_IPS)) {
-			this.log(`§7Creating new blank §f${name} §7file...`);
-			fs.writeFileSync(PATH.TRUSTED_IPS, JSON.stringify(["localhost", "127.0.0.1", "::1"]));
-		}
+		const cacheKey = crypto.createHash("sha256").update(`${stored}\0${password}`).digest("base64");
+		if(this._verifiedPasswords.has(cacheKey)) return true;
 
-		// Apply Trusted IPs
-		this.TRUSTED_IPS = JSON.parse(fs.readFileSync(PATH.TRUSTED_IPS).toString());
+		const [algorithm, ...params] = stored.split("$");
+		const hash = Buffer.from(/**@type {string}*/(params.pop()), "base64");
+		const salt = Buffer.from(/**@type {string}*/(params.pop()), "base64");
 
-		this.log(`§7Loaded §f${this.TRUSTED_IPS.length} §7trusted IPs`);
+		return {algorithm, params, salt, hash, cacheKey};
 	}
 
 	/**
-	 * Loads the list of blacklisted IPs
+	 * Compares the derived key with the stored hash, successful verifications are cached
 	 * @private
 	 * @static
+	 * @param {{hash: Buffer, cacheKey: string}} parsed
+	 * @param {Buffer} derived
+	 * @return {boolean}
 	 * @memberof Server
 	 */
-	static _loadBlacklist() {
-		this.log("§7Loading blacklist...");
-		const name = path.basename(PATH.BLACKLIST);
+	static _matchDerivedKey({hash, cacheKey}, derived) {
+		if(!crypto.timingSafeEqual(derived, hash)) return false;
 
-		// Create default
-		if(!fs.existsSync(PATH.BLACKLIST)) {
-			this.log(`§7Creating new blank §f${name} §7file...`);
-			fs.writeFileSync(PATH.BLACKLIST, JSON.stringify([]));
-		}
+		// Keep the cache small, drop the oldest entry
+		if(this._verifiedPasswords.size >= 100) this._verifiedPasswords.delete(/**@type {string}*/(this._verifiedPasswords.values().next().value));
+		this._verifiedPasswords.add(cacheKey);
 
-		// Apply Blacklist
-		this.BLACKLIST = JSON.parse(fs.readFileSync(PATH.BLACKLIST).toString());
+		return true;
+	}
 
-		this.log(`§7Loaded §f${this.BLACKLIST.length} §7blacklisted IPs`);
+	/**
+	 * Warns about plaintext and default credentials in the `login` configuration
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _checkCredentials() {
+		const {username, password} = this.config["login"] || {};
+		if(typeof password !== "string") return;
+
+		if(!this.isPasswordHash(password)) this.warn("Password in 'login' configuration is stored in plaintext, use 'passwd' command to hash it");
+		if(username === "admin") this.verifyPassword("admin", password).then(isDefault => {
+			if(isDefault) this.warn("Default credentials (admin/admin) are in use, change the password using 'passwd' command");
+		});
 	}
 
 	/**
-	 * Saves the list of blacklisted IPs
+	 * Generates the session secret and the cookie key (if not set) and stores them in the configuration.
+	 * Generated values are used even if they cannot be stored (e.g. the configuration is invalid), until the next restart.
 	 * @private
 	 * @static
 	 * @memberof Server
 	 */
-	static _saveBlacklist() {
-		this.log("§7Saving blacklist...");
-		const name = path.basename(PATH.BLACKLIST);
+	static async _generateSecrets() {
+		const secret = this.config["session"]["secret"] ? null : crypto.randomBytes(32).toString("base64");
+		const key = this.config["cookies"]["keys"].length ? null : crypto.randomBytes(32).toString("base64");
+		if(!secret && !key) return;
+
+		const config = JSON.parse(JSON.stringify(this._fileConfig));
+		const generated = [];
+
+		// Apply the values to the current configuration first, so the sessions and cookies are never signed with an empty key
+		if(secret) {
+			this.config["session"]["secret"] = secret;
+			config["session"] = {...config["session"], secret};
+			generated.push("session secret");
+		}
 
-		// Create default
-		if(!fs.existsSync(PATH.BLACKLIST)) {
-			this.log(`§7Creating new blank §f${name} §7file...`);
-			fs.writeFileSync(PATH.BLACKLIST, JSON.stringify([]));
+		if(key) {
+			this.config["cookies"]["keys"] = [key];
+			config["cookies"] = {...config["cookies"], keys: [key]};
+			generated.push("cookie key");
 		}
 
-		// Save blacklist
-		fs.writeFileSync(PATH.BLACKLIST, JSON.stringify(this.BLACKLIST));
+		if(!await this._updateConfig(config)) return this.warn(`Generated ${generated.join(" and ")} could not be stored in the configuration, using temporary values until restart`);
 
-		this.log(`§7Saved §f${this.BLACKLIST.length} §7blacklisted IPs`);
+		this._saveConfig();
+		this.log(`§7Generated new ${generated.join(" and ")}`);
+	}
+
+	/**
+	 * Creates the session store of the type set in the configuration
+	 * @private
+	 * @static
+	 * @memberof Server
+	 */
+	static _initSessionStore() {
+		if(this.sessionStore) return;
+
+		const type = this.config["session"]["store"];
+		if(type !== "memory" && type !== "json") this.warn(`Unknown session store '${type}', using memory store`);
+
+		this.sessionStore = type === "json" ? new JSONSessionStore(PATH.SESSIONS) : new MemorySessionStore();
 	}
 
 	/**
@@ -1691,13 +4852,32 @@ class Server extends EventListenerStatic {
 	static __CommonJS_cache = {};
 }
 
+/**
+ * @typedef {import("./router.js").RouteParamValue} RouteParamValue
+ */
+
+/**
+ * @typedef {Object} AuthOptions
+ * @prop {string[]} [roles=[]] Roles allowed to access the resource (any of them), empty array allows all users
+ * @prop {string[]} [scopes=[]] Scopes required from API tokens (all of them), ignored for password authentication
+ * @prop {string} [realm="realm"] Set when dealing with multiple login sessions
+ * @prop {boolean} [force=true] If `false` the response is not sent when the authentication fails
+ */
+
+/**
+ * @typedef {Object} AuthenticatedUser
+ * @prop {string} username
+ * @prop {string[]} roles
+ * @prop {{id: string, name: string, scopes: string[]} | null} token Used API token, `null` if the user authenticated using the password
+ */
+
 /**
  * @typedef {Record<string, unknown>} MiddlewareData
  */
 
 /**
  * @template {MiddlewareData} T
- * @typedef {(event: RequestEvent<T>, next: () => void) => void} Middleware
+ * @typedef {(event: RequestEvent<T>, next: () => void) => void | Promise<void>} Middleware
  */
 
 /**
@@ -1705,6 +4885,11 @@ class Server extends EventListenerStatic {
  * @typedef {(query: RequestQuery, event: RequestEvent<T>) => void} GETLikeRequestCallback
  */
 
+/**
+ * @template {MiddlewareData} T
+ * @typedef {(event: RequestEvent<T>) => void} RouteHandler
+ */
+
 /**
  * @typedef {Object} POSTMultipartField
  * @property {string | formidable.File} value Last received value for this field (including files)
@@ -1808,15 +4993,16 @@ class RequestEvent extends EventListener.Event {
 	RemoteIP;
 
 	/**
-	 * Forwarded IP address
-	 * @type {string}
+	 * IP address of the client forwarded by a trusted proxy (see `trusted-proxies` configuration),
+	 * `undefined` if the request was not forwarded
+	 * @type {string | undefined}
 	 */
 	proxyIp;
 
 	/**
-	 * Forwarded IP address
+	 * IP address of the client forwarded by a trusted proxy
 	 * @deprecated Use `proxyIp` instead
-	 * @type {string}
+	 * @type {string | undefined}
 	 */
 	ProxyIP;
 
@@ -1906,7 +5092,8 @@ class RequestEvent extends EventListener.Event {
 	/**
 	 * Array of matches, if wildcard handler was used.
 	 * Contains properties named by defined parameters in the event handler with their corresponding matched values.
-	 * @type {string[] & {[param: string]: string} & {matches: string[]}}
+	 * Values of typed parameters (eg. `:id<int>`) are converted to the type, omitted optional parameters are `undefined`.
+	 * @type {RouteParamValue[] & {[param: string]: RouteParamValue} & {matches: RouteParamValue[]}}
 	 */
 	matches;
 
@@ -1922,6 +5109,13 @@ class RequestEvent extends EventListener.Event {
 	 */
 	isRedirected;
 
+	/**
+	 * Determines if the client requested the WebSocket upgrade.
+	 * Such request can be accepted using `RequestEvent.upgrade()`, otherwise it is handled as a regular request.
+	 * @type {boolean}
+	 */
+	isUpgrade;
+
 	/**
 	 * Array of redirected paths
 	 * @type {string[]}
@@ -1954,6 +5148,34 @@ class RequestEvent extends EventListener.Event {
 	// @ts-ignore
 	data = {};
 
+	/**
+	 * User authenticated by `RequestEvent.auth()` using the user store, `null` if not authenticated
+	 * @type {AuthenticatedUser | null}
+	 */
+	user = null;
+
+	/**
+	 * Session of the client loaded by `Server.session()` middleware, `null` if the middleware was not used.
+	 * Session data are stored in `session.data` (properties set directly on the session are not persisted).
+	 * @type {Session | null}
+	 */
+	session = null;
+
+	/**
+	 * Provider of the CSRF token set by `Server.csrf()` middleware
+	 * @private
+	 * @type {(() => string) | null}
+	 */
+	_csrfTokenProvider = null;
+
+	/**
+	 * Methods of the routes matching the request path, which don't handle the request method.
+	 * Request is responded with 405 after routing, if none of the matching routes handled it.
+	 * @private
+	 * @type {Set<string> | null}
+	 */
+	_allowedMethods = null;
+
 	/**
 	 * Error thrown by any of the request handlers
 	 * @type {(ObjectLiteral & Error) | null}
@@ -2103,6 +5325,22 @@ class RequestEvent extends EventListener.Event {
 		if(typeof callback !== "function") throw new TypeError("'callback' parameter must be type of function");
 
 		// Type checking
+		this.__resolvePostType(type);
+
+		middlewares.push(Server.POST_BODY_HANDLER);
+
+		// Request Handling
+		this.__runMiddlewares(middlewares, () => callback(this.body, this.bodyRaw, this));
+
+		return true;
+	}
+
+	/**
+	 * Determines the type of the received body from the content-type header and resolves the type the body will be parsed as
+	 * @param {POSTBodyType | null | undefined} type Expected body type
+	 * @memberof RequestEvent
+	 */
+	__resolvePostType(type) {
 		const contentType = this.headers["content-type"] || "";
 
 		if(contentType.indexOf("application/json") != -1) this.receivedPostType = "json";
@@ -2113,46 +5351,127 @@ class RequestEvent extends EventListener.Event {
 
 		this.expectedPostType = type || null;
 		this.resolvedPostType = this.expectedPostType || this.receivedPostType;
+	}
 
-		middlewares.push(Server.POST_BODY_HANDLER);
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Runs the middlewares and the callback, errors (including rejected promises of async functions) are handled as internal errors
+	 * @param {Middleware<any>[]} middlewares
+	 * @param {() => any} callback
+	 * @memberof RequestEvent
+	 */
+	__runMiddlewares(middlewares, callback) {
+		const length = middlewares.length;
+		let currentIndex = 0;
 
-		// Request Handling
-		this.__runMiddlewares(middlewares, () => callback(this.body, this.bodyRaw, this));
+		/** @param {any} result */
+		const handleRejection = result => {
+			if(result instanceof Promise) result.catch(err => Server._handleInternalError(this, err));
+		};
+
+		const runMiddleware = () => {
+			try {
+				if(currentIndex === length) return handleRejection(callback());
+
+				const middleware = middlewares[currentIndex];
+
+				let nextCalled = false;
+				const next = () => {
+					if(nextCalled) return;
+					nextCalled = true;
+					currentIndex++;
+					runMiddleware();
+				};
+
+				handleRejection(middleware(this, next));
+			} catch(err) {
+				Server._handleInternalError(this, err);
+			}
+		};
+
+		runMiddleware();
+	}
+
+	/**
+	 * Accepts the WebSocket upgrade request, headers already set on the response (e.g. cookies) are sent with the handshake response
+	 * @example Server.on("/ws/:room", e => {
+	 * e.upgrade(socket => {
+	 * 	socket.join(e.matches.room);
+	 * 	socket.on("message", message => socket.broadcast(e.matches.room, message.data));
+	 * });
+	 * });
+	 * @param {(socket: WebSocket, event: RequestEvent<T>) => void} callback Callback called with the opened connection
+	 * @param {import("./websocket.js").WebSocketOptions} [options={}] Connection options
+	 * @returns {boolean} `false` if the request is not an upgrade request, otherwise `true`
+	 * @memberof RequestEvent
+	 */
+	upgrade(callback, options = {}) {
+		if(typeof callback !== "function") throw new TypeError("'callback' parameter is not type of function");
+		if(!this.isUpgrade) return false;
+
+		this.preventDefault();
+
+		const key = this.headers["sec-websocket-key"];
+		const version = this.headers["sec-websocket-version"];
+
+		// Validate the opening handshake
+		if((this.headers["upgrade"] || "").toLowerCase() !== "websocket" || !key) {
+			this.send("400 Bad Request", Server.STATUS.CLIENT.BAD_REQUEST);
+			return true;
+		}
+
+		if(version !== "13") {
+			this.send("426 Upgrade Required", Server.STATUS.CLIENT.UPGRADE_REQUIRED, "text/plain", {"Sec-WebSocket-Version": "13"});
+			return true;
+		}
+
+		// Take over the socket from the response object
+		const socket = this.res.socket;
+		if(!socket) return true;
+		this.res.detachSocket(socket);
+
+		// Keep the headers set by the middlewares (e.g. session cookie), except the ones defined by the handshake
+		const headers = this.res.getRawHeaderNames()
+			.filter(name => !["upgrade", "connection", "sec-websocket-accept", "content-length", "transfer-encoding"].includes(name.toLowerCase()))
+			.flatMap(name => [this.res.getHeader(name) ?? []].flat().map(value => `${name}: ${value}`));
+
+		socket.write([
+			"HTTP/1.1 101 Switching Protocols",
+			"Upgrade: websocket",
+			"Connection: Upgrade",
+			`Sec-WebSocket-Accept: ${WebSocket.createAcceptKey(key)}`,
+			...headers,
+			"",
+			""
+		].join("\r\n"));
+		Server._connectionLog(Server.STATUS.INFO.SWITCHING_PROTOCOLS);
+
+		const webSocket = new WebSocket(/**@type {import("net").Socket}*/(socket), {
+			maxPayload: Server.config["websocket"]["max-payload"],
+			ip: this.ip,
+			isTrusted: this.isTrusted,
+			...options
+		});
 
+		callback(webSocket, this);
 		return true;
 	}
 
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * @param {Middleware<any>[]} middlewares
-	 * @param {() => void} callback
+	 * Opens a Server-Sent Events stream
+	 * @example Server.on("/events", e => {
+	 * const stream = e.openEventStream({retry: 5000});
+	 * const interval = setInterval(() => stream.send("time", {now: Date.now()}), 1000);
+	 * stream.on("close", () => clearInterval(interval));
+	 * });
+	 * @param {EventStreamOptions} [options={}] Stream options
+	 * @returns {EventStream}
 	 * @memberof RequestEvent
 	 */
-	__runMiddlewares(middlewares, callback) {
-		const length = middlewares.length;
-		let currentIndex = 0;
-
-		const runMiddleware = () => {
-			try {
-				if(currentIndex === length) return callback();
-
-				const middleware = middlewares[currentIndex];
-
-				let nextCalled = false;
-				const next = () => {
-					if(nextCalled) return;
-					nextCalled = true;
-					currentIndex++;
-					runMiddleware();
-				};
-
-				middleware(this, next);
-			} catch(err) {
-				Server._handleInternalError(this, err);
-			}
-		};
+	openEventStream(options = {}) {
+		this.preventDefault();
 
-		runMiddleware();
+		return new EventStream(this, options);
 	}
 
 	/**
@@ -2195,16 +5514,86 @@ class RequestEvent extends EventListener.Event {
 		Server._connectionLog(status);
 	}
 
+	/**
+	 * Returns the CSRF token, which must be submitted with requests using unsafe methods (e.g. as a hidden form field).
+	 * Available only in routes protected by `Server.csrf()` middleware.
+	 * @returns {string}
+	 * @memberof RequestEvent
+	 */
+	csrfToken() {
+		if(!this._csrfTokenProvider) throw new Error("CSRF token is not available, use 'Server.csrf()' middleware");
+
+		return this._csrfTokenProvider();
+	}
+
+	/**
+	 * Adds the cookie to the `Set-Cookie` response header, replacing the previously set cookie with the same name
+	 * @param {CookieJar.Cookie} cookie
+	 * @memberof RequestEvent
+	 */
+	__setResponseCookie(cookie) {
+		if(this.res.headersSent) return;
+
+		const cookies = [this.res.getHeader("Set-Cookie") || []].flat().map(String).filter(e => !e.startsWith(`${cookie.name}=`));
+		this.res.setHeader("Set-Cookie", [...cookies, cookie.toString().replace(/; $/, "")]);
+	}
+
 	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Authentication
-	 * @param {((credentials: Credentials) => void) | null | false} callback  If `false` no login is required, otherwise the user will be prompted with login popup (if the login will be required)
+	 * Authentication.
+	 * If called with `AuthOptions`, the user is authenticated against the user store (`Server.users`) using Basic auth
+	 * or an API token (Bearer), and stored in `RequestEvent.user`. Users without any of the required roles get 403 response.
+	 * Otherwise the legacy `Credentials` (single user or token) are used.
+	 * Hashed passwords are verified synchronously, use `RequestEvent.authAsync()` to verify them without blocking the event loop.
+	 * Clients exceeding the failed attempts allowed by the `auth-throttle` configuration get 429 response without their credentials being verified.
+	 * @example if(!e.auth({roles: ["admin"]})) return;
+	 * @param {AuthOptions | ((credentials: Credentials) => void) | null | false} [callback=null] Authentication options, or the legacy callback: if `false` no login is required, otherwise the user will be prompted with login popup (if the login will be required)
 	 * @param {string} [realm="realm"] Set when dealing with multiple login sessions
 	 * @param {Credentials} [credentials=Server.config.login] Use custom `Credentials` object (default is `login` field in server config file)
-	 * @returns {boolean} `true` if the user is logged in, otherwise `false`
+	 * @returns {boolean} `true` if the user is logged in (and authorized), otherwise `false`
 	 * @memberof RequestEvent
 	 */
 	auth(callback = null, realm = "realm", credentials = Server.config.login) {
+		const steps = this._authenticate(callback, realm, credentials);
+
+		let step = steps.next();
+		while(!step.done) step = steps.next(step.value(true));
+
+		return step.value;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Same as `RequestEvent.auth()`, but the passwords are verified asynchronously (see `Server.verifyPassword()`)
+	 * @example if(!await e.authAsync({roles: ["admin"]})) return;
+	 * @param {AuthOptions | ((credentials: Credentials) => void) | null | false} [callback=null] Authentication options or the legacy callback
+	 * @param {string} [realm="realm"] Set when dealing with multiple login sessions
+	 * @param {Credentials} [credentials=Server.config.login] Use custom `Credentials` object (default is `login` field in server config file)
+	 * @returns {Promise<boolean>} `true` if the user is logged in (and authorized), otherwise `false`
+	 * @memberof RequestEvent
+	 */
+	async authAsync(callback = null, realm = "realm", credentials = Server.config.login) {
+		const steps = this._authenticate(callback, realm, credentials);
+
+		let step = steps.next();
+		while(!step.done) step = steps.next(await step.value(false));
+
+		return step.value;
+	}
+
+	/**
+	 * Authentication steps shared by `auth()` and `authAsync()`. Password verifications are yielded as functions,
+	 * which verify the password synchronously if called with `true`, otherwise they return a promise.
+	 * @private
+	 * @param {AuthOptions | ((credentials: Credentials) => void) | null | false} callback
+	 * @param {string} realm
+	 * @param {Credentials} credentials
+	 * @returns {Generator<(sync: boolean) => any, boolean, any>}
+	 * @memberof RequestEvent
+	 */
+	*_authenticate(callback, realm, credentials) {
+		if(callback && typeof callback === "object") return yield* this._authenticateUser(callback);
+
 		const auth = this.req.headers.authorization;
 		const basic = auth?.match(/Basic ([A-Za-z0-9+\/]*)/)?.[1];
 		const bearer = auth?.match(/Bearer ([A-Za-z0-9+\/=\-_.~]*)/)?.[1];
@@ -2226,16 +5615,21 @@ class RequestEvent extends EventListener.Event {
 			return false;
 		}
 
+		if(!Server._checkAuthThrottle(this, forceLogin)) return false;
+
 		// Bearer auth
 		if(shouldUseToken) {
-			// Check access
-			if(bearer !== credentials.token) {
+			// Check access (token can be stored as a hash as well)
+			const isTokenValid = yield (/**@type {boolean}*/sync) => sync ? Server.verifyPasswordSync(bearer || "", credentials.token) : Server.verifyPassword(bearer || "", credentials.token);
+
+			if(!isTokenValid) {
+				Server._recordAuthFailure(this);
 				if(forceLogin) this.send("401 Unauthorized: Invalid token", 401);
-				Server.log(`§eInvalid token attempt '${bearer}'!`);
+				Server.log(`§eInvalid token attempt from ${this.ip}!`);
 				return false;
 			}
 
-			Server.log(`§eToken '${bearer}' just used!`);
+			Server.log(`§eToken just used by ${this.ip}!`);
 			if(hasCallback) callback(credentials);
 			return true;
 		}
@@ -2252,10 +5646,14 @@ class RequestEvent extends EventListener.Event {
 				return false;
 			}
 
-			// Check access
-			if(username !== credentials.username || password !== credentials.password) {
+			// Check access (always verify both, so the response time doesn't reveal valid usernames)
+			const isUsernameValid = timingSafeEqualString(username || "", credentials.username);
+			const isPasswordValid = yield (/**@type {boolean}*/sync) => sync ? Server.verifyPasswordSync(password || "", credentials.password) : Server.verifyPassword(password || "", credentials.password);
+
+			if(!isUsernameValid || !isPasswordValid) {
+				Server._recordAuthFailure(this);
 				if(forceLogin) this.send("401 Unauthorized: Invalid credentials", 401);
-				Server.log(`§eUnsuccessful login attempt '${username}:${password}'!`);
+				Server.log(`§eUnsuccessful login attempt '${username}'!`);
 				return false;
 			}
 
@@ -2270,7 +5668,89 @@ class RequestEvent extends EventListener.Event {
 	}
 
 	/**
-	 * Send response to the client
+	 * Authentication steps of the user from the user store (see `RequestEvent._authenticate()`)
+	 * @private
+	 * @param {AuthOptions} options
+	 * @returns {Generator<(sync: boolean) => any, boolean, any>}
+	 * @memberof RequestEvent
+	 */
+	*_authenticateUser({roles = [], scopes = [], realm = "realm", force = true}) {
+		const store = Server.users;
+		if(!store) throw new Error("User store is not initialized");
+
+		const auth = this.req.headers.authorization;
+		const basic = auth?.match(/^Basic ([A-Za-z0-9+\/=]*)$/i)?.[1];
+		const bearer = auth?.match(/^Bearer ([A-Za-z0-9+\/=\-_.~]*)$/i)?.[1];
+
+		const challenge = {"www-authenticate": `Basic realm="${realm}", Bearer realm="${realm}"`};
+
+		// No (supported) auth header
+		if(!basic && !bearer) {
+			if(force) this.send("", 401, "text/html", challenge);
+			return false;
+		}
+
+		if(!Server._checkAuthThrottle(this, force)) return false;
+
+		/** @type {User | null} */
+		let user = null;
+
+		/** @type {UserToken | null} */
+		let token = null;
+
+		if(bearer) {
+			const result = store.verifyToken(bearer);
+
+			if(!result) {
+				Server._recordAuthFailure(this);
+				if(force) this.send("401 Unauthorized: Invalid token", 401, "text/plain", challenge);
+				Server.log(`§eInvalid token attempt from ${this.ip}!`);
+				return false;
+			}
+
+			({user, token} = result);
+		} else {
+			const decoded = atob(basic || "");
+			const separator = decoded.indexOf(":");
+			const username = separator === -1 ? decoded : decoded.slice(0, separator);
+			const password = separator === -1 ? "" : decoded.slice(separator + 1);
+
+			user = yield (/**@type {boolean}*/sync) => sync ? store.verifyCredentialsSync(username, password) : store.verifyCredentials(username, password);
+
+			if(!user) {
+				Server._recordAuthFailure(this);
+				if(force) this.send("401 Unauthorized: Invalid credentials", 401, "text/plain", challenge);
+				Server.log(`§eUnsuccessful login attempt '${username}'!`);
+				return false;
+			}
+		}
+
+		// Authorization
+		if(roles.length && !roles.some(role => user?.roles.includes(role))) {
+			if(force) this.send("403 Forbidden: Insufficient role", 403);
+			Server.log(`§eUser '${user.username}' has been denied access to '${this.path}' (insufficient role)!`);
+			return false;
+		}
+
+		if(token && scopes.length && !token.scopes.includes("*") && !scopes.every(scope => token?.scopes.includes(scope))) {
+			if(force) this.send("403 Forbidden: Insufficient scope", 403);
+			Server.log(`§eToken '${token.id}' of '${user.username}' has been denied access to '${this.path}' (insufficient scope)!`);
+			return false;
+		}
+
+		this.user = {
+			username: user.username,
+			roles: [...user.roles],
+			token: token ? {id: token.id, name: token.name, scopes: [...token.scopes]} : null
+		};
+
+		Server.log(token ? `§eToken '${token.id}' of '${user.username}' just used by ${this.ip}!` : `§eUser '${user.username}' just logged in!`);
+		return true;
+	}
+
+	/**
+	 * Send response to the client.
+	 * Response is compressed using the encoding accepted by the client (see `compression` configuration).
 	 * @param {string | ObjectLiteral | Buffer | ReadableStream} data Data to be sent as response
 	 * @param {number} [status=200] Response status code
 	 * @param {string | "text/plain" | "text/html" | "application/json" | "image/png" | "audio/mpeg" | "video/mp4"} [contentType="text/plain"] Content type of the response
@@ -2309,21 +5789,102 @@ class RequestEvent extends EventListener.Event {
 				return;
 			}
 
+			const body = isStream ? null : (isBuffer ? event.responseData : (isObject ? JSON.stringify(event.responseData) : event.responseData + ""));
+
+			const lengthHeader = findHeaderName(event.responseHeaders, "Content-Length");
+			const size = isStream ? (lengthHeader ? Number(event.responseHeaders[lengthHeader]) : null) : Buffer.byteLength(body);
+			const encoding = this._negotiateCompression(event.responseStatus, event.responseHeaders, size);
+
+			// Length of the compressed response is unknown
+			if(encoding && lengthHeader) delete event.responseHeaders[lengthHeader];
+			if(encoding) event.responseHeaders["Content-Encoding"] = encoding;
+
+			// Compressed response is not byte-for-byte identical to the uncompressed one
+			const etagHeader = findHeaderName(event.responseHeaders, "ETag");
+			if(encoding && etagHeader && !`${event.responseHeaders[etagHeader]}`.startsWith("W/")) event.responseHeaders[etagHeader] = `W/${event.responseHeaders[etagHeader]}`;
+
+			// Responses to HEAD requests have headers only
+			if(this.method === "HEAD") {
+				if(!isStream && !encoding && !("Content-Length" in event.responseHeaders)) {
+					event.responseHeaders["Content-Length"] = Buffer.byteLength(body);
+				}
+
+				try {
+					this.res.writeHead(event.responseStatus, event.responseHeaders);
+				} catch(err) { }
+
+				if(isStream) event.responseData.destroy?.();
+				this.res.end();
+
+				Server._connectionLog(event.responseStatus);
+				return;
+			}
+
 			try {
 				this.res.writeHead(event.responseStatus, event.responseHeaders);
 			} catch(err) { }
 
+			/** @type {import("stream").Writable} */
+			let output = this.res;
+			if(encoding) {
+				const compression = createCompressionStream(encoding, Server.config["compression"]["quality"], size);
+				compression.on("error", err => {
+					Server.error(`Failed to compress the response using '${encoding}':`, err);
+					this.res.destroy();
+				});
+
+				compression.pipe(this.res);
+				output = compression;
+			}
+
 			if(isStream) {
-				event.responseData.pipe(this.res);
+				event.responseData.pipe(output);
 			} else {
-				this.res.write(isBuffer ? event.responseData : (isObject ? JSON.stringify(event.responseData) : event.responseData + ""));
-				this.res.end();
+				output.write(body);
+				output.end();
 			}
 
 			Server._connectionLog(event.responseStatus);
 		});
 	}
 
+	/**
+	 * Chooses the encoding of the response accepted by the client and adds `Vary: Accept-Encoding` header to the compressible responses
+	 * @private
+	 * @param {number} status Response status code
+	 * @param {http.OutgoingHttpHeaders} headers Response headers
+	 * @param {number | null} size Size of the response body in bytes, `null` if unknown
+	 * @returns {string | null} Encoding of the response, `null` if the response should not be compressed
+	 * @memberof RequestEvent
+	 */
+	_negotiateCompression(status, headers, size) {
+		const config = Server.config["compression"];
+		if(!config["enabled"]) return null;
+
+		// Partial and empty responses and responses which are already encoded
+		if(status < 200 || status === 204 || status === 206 || status === 304) return null;
+		if(findHeaderName(headers, "Content-Range") || findHeaderName(headers, "Content-Encoding") || this.res.hasHeader("Content-Encoding")) return null;
+
+		const typeHeader = findHeaderName(headers, "Content-Type");
+		const contentType = `${(typeHeader && headers[typeHeader]) || this.res.getHeader("Content-Type") || ""}`.split(";")[0].trim().toLowerCase();
+		const isCompressible = config["types"].some((/**@type {string}*/e) => e.endsWith("/*") ? contentType.startsWith(e.slice(0, -1)) : e === contentType);
+		if(!isCompressible) return null;
+
+		const cacheControlHeader = findHeaderName(headers, "Cache-Control");
+		const cacheControl = `${(cacheControlHeader && headers[cacheControlHeader]) || this.res.getHeader("Cache-Control") || ""}`;
+		if(/(^|,)\s*no-transform\s*(,|$)/i.test(cacheControl)) return null;
+
+		// Small responses are always sent uncompressed, so they don't vary
+		if(size !== null && size < config["threshold"]) return null;
+
+		const varyHeader = findHeaderName(headers, "Vary");
+		const vary = `${(varyHeader && headers[varyHeader]) || this.res.getHeader("Vary") || ""}`.split(",").map(e => e.trim()).filter(Boolean);
+		if(varyHeader) delete headers[varyHeader];
+		headers["Vary"] = vary.some(e => e.toLowerCase() === "accept-encoding" || e === "*") ? vary.join(", ") : [...vary, "Accept-Encoding"].join(", ");
+
+		return negotiateEncoding(this.headers["accept-encoding"], config["encodings"]);
+	}
+
 	/**
 	 * @typedef {Object} SendOptions
 	 * @prop {string | ObjectLiteral | Buffer | ReadableStream} data 
@@ -2348,82 +5909,387 @@ class RequestEvent extends EventListener.Event {
 	}
 
 	/**
-	 * Stream file buffer
-	 * @param {string} filePath
-	 * @param {number} [status=200]
-	 * @param {http.OutgoingHttpHeaders} [headers={}]
-	 * @returns {Promise<boolean>}
+	 * Stream file buffer
+	 * @param {string} filePath
+	 * @param {number} [status=200]
+	 * @param {http.OutgoingHttpHeaders} [headers={}]
+	 * @returns {Promise<boolean>}
+	 * @memberof RequestEvent
+	 */
+	async sendFile(filePath, status = 200, headers = {}) {
+		this.preventDefault();
+		if(this.res.writableEnded) return this._logWriteAfterEndWarning(new Error()), false;
+
+		const stat = await fs.promises.stat(filePath).catch(() => { });
+		if(!stat || stat.isDirectory()) {
+			Server._handleNotFound(this);
+			return false;
+		}
+
+		headers["Content-Length"] = stat.size;
+
+		// Send file
+		this.send(fs.createReadStream(filePath), status, getContentType(filePath), headers);
+		return true;
+	}
+
+	/**
+	 * Stream file using partial content response.
+	 * Precompressed `.br` and `.gz` variants of the files in the public directory are sent if they exist and the client accepts them.
+	 * Directories in the public directory are served using their index file or listing (see `static` configuration).
+	 * @param {string} filePath
+	 * @param {number | http.OutgoingHttpHeaders} [status=200]
+	 * @param {http.OutgoingHttpHeaders} [headers={}]
+	 * @returns {Promise<boolean>}
+	 * @memberof RequestEvent
+	 */
+	async streamFile(filePath, status = 200, headers = {}) {
+		this.preventDefault();
+		if(this.res.writableEnded) return this._logWriteAfterEndWarning(new Error()), false;
+
+		const _status = (typeof status === "number" ? status : 200) || 200;
+		const _headers = (typeof status === "object" ? status : headers) || {};
+
+		const contentType = getContentType(filePath);
+		const stat = await fs.promises.stat(filePath).catch(() => null);
+		if(stat?.isDirectory() && isPathInside(filePath, PATH.PUBLIC)) return this._serveDirectory(filePath, _status, _headers);
+
+		if(!stat || stat.isDirectory()) {
+			Server._handleNotFound(this);
+			return false;
+		}
+
+		// Range requests are served from the original file
+		const precompressed = this.headers["range"] ? null : await this._findPrecompressedFile(filePath);
+
+		const config = Server.config["caching"];
+		const etag = config["etag"] === "none" ? null : getFileETag(stat, config["etag"] === "weak", precompressed?.encoding);
+		const lastModified = config["last-modified"] ? stat.mtime : null;
+		const cacheControl = config["cache-control"].find((/**@type {{path: string, value: string}}*/e) => matchGlob(e.path, this.path))?.value;
+
+		if(etag) _headers["ETag"] = etag;
+		if(lastModified) _headers["Last-Modified"] = lastModified.toUTCString();
+		if(cacheControl && !findHeaderName(_headers, "Cache-Control")) _headers["Cache-Control"] = cacheControl;
+		if(precompressed) _headers["Vary"] = "Accept-Encoding";
+
+		if(_status >= 200 && _status < 300 && !this._checkPreconditions(etag, lastModified, _headers, _status, precompressed ? null : contentType, stat.size)) return true;
+
+		const ranges = this._isRangeApplicable(etag, lastModified) ? Server.parseRange(this.headers["range"], stat.size) : null;
+		_headers["Accept-Ranges"] = "bytes";
+
+		if(!ranges) {
+			if(precompressed) {
+				_headers["Content-Encoding"] = precompressed.encoding;
+				_headers["Content-Length"] = precompressed.size;
+				this.send(fs.createReadStream(precompressed.path), _status, contentType, _headers);
+				return true;
+			}
+
+			_headers["Content-Length"] = stat.size;
+			this.send(fs.createReadStream(filePath), _status, contentType, _headers);
+			return true;
+		}
+
+		// Request cannot be fulfilled due to incorrect range
+		if(!ranges.length) {
+			// Send correct range
+			_headers["Content-Range"] = `bytes */${stat.size}`;
+			this.send("416 Range Not Satisfiable", Server.STATUS.CLIENT.RANGE_NOT_SATISFIABLE, "text/plain", _headers);
+			return true;
+		}
+
+		// Send part of file
+		if(ranges.length === 1) {
+			const [range] = ranges;
+
+			_headers["Content-Range"] = `bytes ${range.start}-${range.end}/${stat.size}`;
+			_headers["Content-Length"] = range.end - range.start + 1;
+
+			this.send(fs.createReadStream(filePath, range), Server.STATUS.SUCCESS.PARTIAL_CONTENT, contentType, _headers);
+			return true;
+		}
+
+		// Send multiple parts of file in a multipart response
+		const boundary = crypto.randomBytes(16).toString("hex");
+		const parts = ranges.map((range, i) => ({
+			range,
+			head: `${i ? "\r\n" : ""}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${stat.size}\r\n\r\n`
+		}));
+		const tail = `\r\n--${boundary}--\r\n`;
+
+		_headers["Content-Type"] = `multipart/byteranges; boundary=${boundary}`;
+		_headers["Content-Length"] = parts.reduce((length, {range, head}) => length + Buffer.byteLength(head) + range.end - range.start + 1, Buffer.byteLength(tail));
+
+		this.send(Readable.from((async function* () {
+			for(const {range, head} of parts) {
+				yield Buffer.from(head);
+				yield* fs.createReadStream(filePath, range);
+			}
+
+			yield Buffer.from(tail);
+		})()), Server.STATUS.SUCCESS.PARTIAL_CONTENT, contentType, _headers);
+
+		return true;
+	}
+
+	/**
+	 * Serves the directory in the public directory: redirects to the path with trailing slash,
+	 * sends the index file or the listing of the directory if it's enabled
+	 * @private
+	 * @param {string} dirPath
+	 * @param {number} status Status of the index file response
+	 * @param {http.OutgoingHttpHeaders} headers Headers of the index file response
+	 * @returns {Promise<boolean>}
+	 * @memberof RequestEvent
+	 */
+	async _serveDirectory(dirPath, status, headers) {
+		const config = Server.config["static"];
+
+		// Relative links of the index page are resolved correctly only with the trailing slash
+		if(!this.path.endsWith("/")) {
+			// Leading slashes are collapsed, otherwise the location could be resolved as a protocol-relative URL (e.g. `//evil.com/`)
+			const location = this.path.replace(/^\/+/, "/").split("/").map(encodeURIComponent).join("/");
+			const search = this.isRedirected ? "" : this.url.search;
+			this.redirectURL(`${location}/${search}`, Server.STATUS.REDIRECT.MOVED_PERMANENTLY);
+			return true;
+		}
+
+		for(const name of config["index"]) {
+			const indexPath = path.join(dirPath, name);
+			const stat = await fs.promises.stat(indexPath).catch(() => null);
+
+			if(stat?.isFile()) return this.streamFile(indexPath, status, headers);
+		}
+
+		const isListed = config["listing"].some((/**@type {string}*/e) => matchGlob(e, this.path));
+		if(!isListed || (config["listing-trusted-only"] && !this.isTrusted)) {
+			Server._handleNotFound(this);
+			return false;
+		}
+
+		await this._sendDirectoryListing(dirPath);
+		return true;
+	}
+
+	/**
+	 * Sends the listing of the directory as HTML page or JSON (if preferred by the `Accept` header).
+	 * Entries can be sorted using `sort` (`name`, `size` or `modified`) and `order` (`asc` or `desc`) query parameters.
+	 * @private
+	 * @param {string} dirPath
+	 * @returns {Promise<void>}
+	 * @memberof RequestEvent
+	 */
+	async _sendDirectoryListing(dirPath) {
+		const sort = ["name", "size", "modified"].includes(this.query["sort"]) ? this.query["sort"] : "name";
+		const order = this.query["order"] === "desc" ? "desc" : "asc";
+
+		const dirents = await fs.promises.readdir(dirPath, {withFileTypes: true});
+		const entries = [];
+
+		// Hidden files and precompressed variants are not listed
+		for(const dirent of dirents) {
+			if(dirent.name.startsWith(".") || (/\.(br|gz)$/.test(dirent.name) && dirents.some(e => e.name === dirent.name.slice(0, dirent.name.lastIndexOf("."))))) continue;
+
+			const stat = await fs.promises.stat(path.join(dirPath, dirent.name)).catch(() => null);
+			if(!stat) continue;
+
+			entries.push({
+				name: dirent.name,
+				type: stat.isDirectory() ? "directory" : "file",
+				size: stat.isDirectory() ? null : stat.size,
+				modified: stat.mtime.toISOString()
+			});
+		}
+
+		// Directories first, then by the chosen column
+		entries.sort((a, b) => {
+			if(a.type !== b.type) return a.type === "directory" ? -1 : 1;
+
+			const difference = sort === "size" ? (a.size || 0) - (b.size || 0) :
+				sort === "modified" ? Date.parse(a.modified) - Date.parse(b.modified) :
+					a.name.localeCompare(b.name);
+
+			return (order === "desc" ? -difference : difference) || a.name.localeCompare(b.name);
+		});
+
+		const accept = `${this.headers["accept"] || ""}`;
+		if(accept.includes("application/json") && !accept.includes("text/html")) {
+			return this.send({path: this.path, entries}, 200, "application/json", {"Cache-Control": "no-cache"});
+		}
+
+		const sortLink = (/**@type {string}*/column, /**@type {string}*/label) => {
+			const nextOrder = sort === column && order === "asc" ? "desc" : "asc";
+			const arrow = sort === column ? (order === "asc" ? " &uarr;" : " &darr;") : "";
+
+			return `<a href="?sort=${column}&amp;order=${nextOrder}">${label}</a>${arrow}`;
+		};
+
+		const rows = entries.map(entry => {
+			const href = encodeURIComponent(entry.name) + (entry.type === "directory" ? "/" : "");
+			const name = escapeHTML(entry.name) + (entry.type === "directory" ? "/" : "");
+			const size = entry.size === null ? "-" : formatFileSize(entry.size);
+			const modified = entry.modified.replace("T", " ").slice(0, 19);
+
+			return `<tr><td><a href="${href}">${name}</a></td><td>${size}</td><td>${modified}</td></tr>`;
+		});
+
+		if(this.path !== "/") rows.unshift(`<tr><td><a href="../">../</a></td><td></td><td></td></tr>`);
+
+		const title = `Index of ${escapeHTML(this.path)}`;
+		this.send(`<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<title>${title}</title>
+	<style>body{font-family:sans-serif}table{border-collapse:collapse}td,th{padding:2px 16px 2px 0;text-align:left}</style>
+</head>
+<body>
+	<h1>${title}</h1>
+	<table>
+		<tr><th>${sortLink("name", "Name")}</th><th>${sortLink("size", "Size")}</th><th>${sortLink("modified", "Modified")}</th></tr>
+		${rows.join("\n\t\t")}
+	</table>
+</body>
+</html>`, 200, "text/html", {"Cache-Control": "no-cache"});
+	}
+
+	/**
+	 * Sends the response with strong `ETag` generated from the content of the response.
+	 * Conditional requests (`If-None-Match` and `If-Match`) are evaluated, so clients having the current version of the response get 304.
+	 * @example Server.get("/api/items", e => {
+	 * e.sendWithETag(items);
+	 * });
+	 * @param {string | ObjectLiteral | Buffer} data Data to be sent as response (streams are not supported)
+	 * @param {number} [status=200] Response status code
+	 * @param {string} [contentType="text/plain"] Content type of the response
+	 * @param {http.OutgoingHttpHeaders} [headers={}] Response headers
+	 * @memberof RequestEvent
+	 */
+	sendWithETag(data, status = 200, contentType = "text/plain", headers = {}) {
+		const body = data instanceof Buffer ? data : (typeof data === "object" ? JSON.stringify(data) : data + "");
+		const etag = `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+		const computedContentType = (typeof data === "object" && !(data instanceof Buffer)) ? "application/json" : contentType;
+
+		headers["ETag"] = etag;
+		if(status >= 200 && status < 300 && !this._checkPreconditions(etag, null, headers, status, computedContentType, Buffer.byteLength(body))) return;
+
+		this.send(data, status, contentType, headers);
+	}
+
+	/**
+	 * Evaluates the conditional request headers (`If-Match`, `If-Unmodified-Since`, `If-None-Match` and `If-Modified-Since`, RFC 9110)
+	 * and responds with 304 or 412 if the condition is not met
+	 * @private
+	 * @param {string | null} etag Current ETag of the resource
+	 * @param {Date | null} lastModified Last modification date of the resource
+	 * @param {http.OutgoingHttpHeaders} headers Headers of the response (used also for 304 response)
+	 * @param {number} responseStatus Status code of the full response
+	 * @param {string | null} contentType Content type of the full response, `null` if the response is already encoded
+	 * @param {number} size Size of the body of the full response in bytes
+	 * @returns {boolean} `true` if the request should be processed, `false` if the response was sent
 	 * @memberof RequestEvent
 	 */
-	async sendFile(filePath, status = 200, headers = {}) {
-		this.preventDefault();
-		if(this.res.writableEnded) return this._logWriteAfterEndWarning(new Error()), false;
+	_checkPreconditions(etag, lastModified, headers, responseStatus, contentType, size) {
+		const ifMatch = this.headers["if-match"];
+		const ifUnmodifiedSince = this.headers["if-unmodified-since"];
+		const ifNoneMatch = this.headers["if-none-match"];
+		const ifModifiedSince = this.headers["if-modified-since"];
+		const isSafe = this.method === "GET" || this.method === "HEAD";
+
+		// HTTP dates have precision of seconds
+		const modified = lastModified ? Math.floor(lastModified.getTime() / 1000) * 1000 : NaN;
+
+		let status = 0;
+
+		if(ifMatch) {
+			if(!matchETag(ifMatch, etag, true)) status = Server.STATUS.CLIENT.PRECONDITION_FAILED;
+		} else if(ifUnmodifiedSince) {
+			if(modified > Date.parse(ifUnmodifiedSince)) status = Server.STATUS.CLIENT.PRECONDITION_FAILED;
+		}
 
-		const stat = await fs.promises.stat(filePath).catch(() => { });
-		if(!stat || stat.isDirectory()) {
-			Server._handleNotFound(this);
+		if(!status && ifNoneMatch) {
+			if(matchETag(ifNoneMatch, etag, false)) status = isSafe ? Server.STATUS.REDIRECT.NOT_MODIFIED : Server.STATUS.CLIENT.PRECONDITION_FAILED;
+		} else if(!status && ifModifiedSince && isSafe) {
+			if(modified <= Date.parse(ifModifiedSince)) status = Server.STATUS.REDIRECT.NOT_MODIFIED;
+		}
+
+		if(!status) return true;
+
+		if(status === Server.STATUS.CLIENT.PRECONDITION_FAILED) {
+			this.send("412 Precondition Failed", status);
 			return false;
 		}
 
-		headers["Content-Length"] = stat.size;
+		// Vary and ETag headers must match the ones of the full response, which may be compressed
+		const responseHeaders = {...headers, "Content-Type": contentType};
+		const encoding = contentType ? this._negotiateCompression(responseStatus, responseHeaders, size) : null;
 
-		// Send file
-		this.send(fs.createReadStream(filePath), status, getContentType(filePath), headers);
-		return true;
+		const etagHeader = findHeaderName(responseHeaders, "ETag");
+		if(encoding && etagHeader && !`${responseHeaders[etagHeader]}`.startsWith("W/")) responseHeaders[etagHeader] = `W/${responseHeaders[etagHeader]}`;
+
+		// Not modified response contains only the headers describing the cached response (without Content-Type)
+		const names = ["cache-control", "content-location", "date", "etag", "expires", "last-modified", "vary"];
+
+		try {
+			this.res.writeHead(status, Object.fromEntries(Object.entries(responseHeaders).filter(([name]) => names.includes(name.toLowerCase()))));
+		} catch(err) { }
+
+		this.res.end();
+
+		Server._connectionLog(status);
+		return false;
 	}
 
 	/**
-	 * Stream file using partial content response
-	 * @param {string} filePath
-	 * @param {number | http.OutgoingHttpHeaders} [status=200]
-	 * @param {http.OutgoingHttpHeaders} [headers={}]
-	 * @returns {Promise<boolean>}
+	 * Evaluates the `If-Range` header
+	 * @private
+	 * @param {string | null} etag Current ETag of the resource
+	 * @param {Date | null} lastModified Last modification date of the resource
+	 * @returns {boolean} `true` if the range of the request can be sent, otherwise the whole resource should be sent
 	 * @memberof RequestEvent
 	 */
-	async streamFile(filePath, status = 200, headers = {}) {
-		this.preventDefault();
-		if(this.res.writableEnded) return this._logWriteAfterEndWarning(new Error()), false;
+	_isRangeApplicable(etag, lastModified) {
+		const ifRange = this.headers["if-range"];
+		if(!ifRange) return true;
 
-		const _status = (typeof status === "number" ? status : 200) || 200;
-		const _headers = (typeof status === "object" ? status : headers) || {};
+		// Entity tags are compared using strong comparison, so weak ETags never match
+		if(/^\s*(W\/)?"/.test(ifRange)) return matchETag(ifRange, etag, true);
 
-		const contentType = getContentType(filePath);
-		const stat = await fs.promises.stat(filePath).catch(() => null);
-		if(!stat || stat.isDirectory()) {
-			Server._handleNotFound(this);
-			return false;
-		}
+		return !!lastModified && Math.floor(lastModified.getTime() / 1000) * 1000 === Date.parse(ifRange);
+	}
 
-		const range = Server.readRangeHeader(this.req, stat.size);
+	/**
+	 * Finds the precompressed variant (`.br` or `.gz`) of the file in the public directory accepted by the client
+	 * @private
+	 * @param {string} filePath
+	 * @returns {Promise<{path: string, encoding: string, size: number} | null>}
+	 * @memberof RequestEvent
+	 */
+	async _findPrecompressedFile(filePath) {
+		const config = Server.config["compression"];
+		if(!config["enabled"] || !config["precompressed"]) return null;
 
-		if(!range) {
-			_headers["Content-Length"] = stat.size;
-			this.send(fs.createReadStream(filePath), _status, contentType, _headers);
-			return true;
-		}
+		const resolvedPath = path.resolve(filePath);
+		if(!isPathInside(resolvedPath, PATH.PUBLIC)) return null;
 
-		// Request cannot be fulfilled due to incorrect range
-		if(range.start >= stat.size || range.end >= stat.size) {
-			// Send correct range
-			_headers["Content-Range"] = `bytes */${stat.size}`;
-			this.send("416 Range Not Satisfiable", 416, contentType, _headers);
-		} else {
-			// Set up headers
-			_headers["Content-Range"] = `bytes ${range.start}-${range.end}/${stat.size}`;
-			_headers["Content-Length"] = range.start == range.end ? 0 : (range.end - range.start + 1);
-			_headers["Accept-Ranges"] = "bytes";
-			// headers["Cache-Control"] = "no-cache";
+		/** @type {Record<string, string>} */
+		const extensions = {"br": ".br", "gzip": ".gz"};
+		const available = config["encodings"].filter((/**@type {string}*/e) => e in extensions);
 
-			// Send part of file
-			try {
-				this.send(fs.createReadStream(filePath, range), 206, contentType, _headers);
-			} catch(err) {
-				// By this time, the file could be already gone
-				Server._handleNotFound(this);
-				return false;
-			}
+		// Try the encodings in order of the preference until an existing variant is found
+		while(available.length) {
+			const encoding = negotiateEncoding(this.headers["accept-encoding"], available);
+			if(!encoding) break;
+
+			const variantPath = resolvedPath + extensions[encoding];
+			const stat = await fs.promises.stat(variantPath).catch(() => null);
+			if(stat && stat.isFile()) return {path: variantPath, encoding, size: stat.size};
+
+			available.splice(available.indexOf(encoding), 1);
 		}
-		return true;
+
+		return null;
 	}
 
 	/**
@@ -2506,6 +6372,14 @@ RequestEvent.prototype.options = function() {
 	return this.__get.apply(this, arguments);
 };
 
+// eslint-disable-next-line valid-jsdoc
+/** @type {RequestEvent["__get"]} */
+RequestEvent.prototype.head = function() {
+	if(this.req.method !== "HEAD") return false;
+	// @ts-ignore
+	return this.__get.apply(this, arguments);
+};
+
 // eslint-disable-next-line valid-jsdoc
 /** @type {RequestEvent["__post"]} */
 RequestEvent.prototype.post = function() {
@@ -2514,6 +6388,259 @@ RequestEvent.prototype.post = function() {
 	return this.__post.apply(this, arguments);
 };
 
+// eslint-disable-next-line valid-jsdoc
+/** @type {RequestEvent["__post"]} */
+RequestEvent.prototype.put = function() {
+	if(this.req.method !== "PUT") return false;
+	// @ts-ignore
+	return this.__post.apply(this, arguments);
+};
+
+// eslint-disable-next-line valid-jsdoc
+/** @type {RequestEvent["__post"]} */
+RequestEvent.prototype.patch = function() {
+	if(this.req.method !== "PATCH") return false;
+	// @ts-ignore
+	return this.__post.apply(this, arguments);
+};
+
+// eslint-disable-next-line valid-jsdoc
+/** @type {RequestEvent["__post"]} */
+RequestEvent.prototype.delete = function() {
+	if(this.req.method !== "DELETE") return false;
+	// @ts-ignore
+	return this.__post.apply(this, arguments);
+};
+
+
+/**
+ * @typedef {Object} EventStreamMessage
+ * @prop {string | undefined} id Message ID
+ * @prop {string | undefined} event Event name
+ * @prop {string} data Serialized message data
+ */
+
+/**
+ * @typedef {Object} EventStreamBuffer
+ * @prop {(message: EventStreamMessage) => void} push Stores the sent message
+ * @prop {(lastEventId: string) => EventStreamMessage[] | null} getSince Returns messages sent after the message with provided ID; `null` if the ID is unknown
+ */
+
+/**
+ * @typedef {Object} EventStreamOptions
+ * @prop {number | null} [retry=null] Reconnection time in milliseconds sent to the client
+ * @prop {number} [heartbeat=15000] Interval in milliseconds of comment-based heartbeats keeping the connection alive; `0` disables heartbeats
+ * @prop {EventStreamBuffer | null} [buffer=null] Buffer used to replay missed messages to reconnecting clients (using `Last-Event-ID` header)
+ * @prop {http.OutgoingHttpHeaders} [headers={}] Additional response headers
+ */
+
+/**
+ * Server-Sent Events stream
+ * @class EventStream
+ * @extends {EventListener}
+ */
+class EventStream extends EventListener {
+	/**
+	 * In-memory buffer of the most recent messages
+	 * @class
+	 * @static
+	 * @memberof EventStream
+	 */
+	static MemoryBuffer = class MemoryBuffer {
+		/**
+		 * Creates an instance of MemoryBuffer.
+		 * @param {number} [size=100] Maximum number of stored messages
+		 */
+		constructor(size = 100) {
+			/** @type {number} */
+			this.size = size;
+
+			/** @type {EventStreamMessage[]} */
+			this.messages = [];
+		}
+
+		/**
+		 * Stores the message. Messages with the same ID as the last stored one are ignored,
+		 * so the buffer can be shared by multiple streams sending the same messages.
+		 * @param {EventStreamMessage} message
+		 */
+		push(message) {
+			const last = this.messages[this.messages.length - 1];
+			if(last && last.id === message.id) return;
+
+			this.messages.push(message);
+			if(this.messages.length > this.size) this.messages.shift();
+		}
+
+		/**
+		 * @param {string} lastEventId
+		 * @returns {EventStreamMessage[] | null}
+		 */
+		getSince(lastEventId) {
+			const index = this.messages.findIndex(message => message.id === lastEventId);
+			if(index === -1) return null;
+
+			return this.messages.slice(index + 1);
+		}
+	};
+
+	/**
+	 * Creates an instance of EventStream.
+	 * @param {RequestEvent} event Request event to respond to
+	 * @param {EventStreamOptions} [options={}]
+	 * @memberof EventStream
+	 */
+	constructor(event, options = {}) {
+		super();
+
+		/**
+		 * @type {
+				EventListener["on"] &
+				((event: "close", listener: (event: JLEvent) => void) => JLListener)
+			}
+		 */
+		// @ts-ignore
+		this.on;
+
+		const {
+			retry = null,
+			heartbeat = 15000,
+			buffer = null,
+			headers = {}
+		} = options;
+
+		/** @type {RequestEvent} */
+		this.event = event;
+
+		/** @type {EventStreamBuffer | null} */
+		this.buffer = buffer;
+
+		/** @type {boolean} */
+		this.isClosed = false;
+
+		/**
+		 * ID of the last message received by the client before reconnecting
+		 * @type {string | null}
+		 */
+		this.lastEventId = /**@type {string | undefined}*/(event.headers["last-event-id"]) || null;
+
+		/** @type {NodeJS.Timeout | null} */
+		this._heartbeatInterval = null;
+
+		const res = event.res;
+
+		// Connection specific headers are not allowed in HTTP/2
+		res.writeHead(Server.STATUS.SUCCESS.OK, {
+			"Content-Type": "text/event-stream; charset=utf-8",
+			"Cache-Control": "no-cache",
+			"X-Accel-Buffering": "no",
+			...(event.req.httpVersionMajor < 2 ? {"Connection": "keep-alive"} : {}),
+			...headers
+		});
+		res.flushHeaders();
+
+		if(retry !== null) this.setRetry(retry);
+		if(heartbeat) this._heartbeatInterval = setInterval(() => this.comment(), heartbeat);
+
+		// Replay missed messages
+		if(this.lastEventId && this.buffer) {
+			for(const message of this.buffer.getSince(this.lastEventId) || []) {
+				this._write(message);
+			}
+		}
+
+		res.on("close", () => this._cleanup());
+
+		Server.eventStreams.add(this);
+	}
+
+	/**
+	 * Sends a message to the client
+	 * @param {string | null} event Event name; `null` for the default `message` event
+	 * @param {string | ObjectLiteral} data Message data. Objects are serialized to JSON.
+	 * @param {string | number} [id] Message ID used by the client to resume the stream
+	 * @returns {boolean} `true` if the message was sent, otherwise `false`
+	 * @memberof EventStream
+	 */
+	send(event, data, id) {
+		if(this.isClosed) return false;
+
+		/** @type {EventStreamMessage} */
+		const message = {
+			id: id === undefined ? undefined : `${id}`,
+			event: event || undefined,
+			data: typeof data === "object" ? JSON.stringify(data) : `${data}`
+		};
+
+		if(this.buffer && message.id !== undefined) this.buffer.push(message);
+
+		this._write(message);
+		return true;
+	}
+
+	/**
+	 * Sends a comment line, which is ignored by the client (used for heartbeats)
+	 * @param {string} [text=""]
+	 * @memberof EventStream
+	 */
+	comment(text = "") {
+		if(this.isClosed) return;
+		this.event.res.write(`:${text.replace(/\r?\n/g, " ")}\n\n`);
+	}
+
+	/**
+	 * Tells the client how long to wait before reconnecting
+	 * @param {number} retry Reconnection time in milliseconds
+	 * @memberof EventStream
+	 */
+	setRetry(retry) {
+		if(this.isClosed) return;
+		this.event.res.write(`retry: ${Math.max(0, Math.floor(retry))}\n\n`);
+	}
+
+	/**
+	 * Ends the stream
+	 * @memberof EventStream
+	 */
+	close() {
+		if(this.isClosed) return;
+
+		this.event.res.end();
+		this._cleanup();
+	}
+
+	/**
+	 * @private
+	 * @param {EventStreamMessage} message
+	 * @memberof EventStream
+	 */
+	_write(message) {
+		let chunk = "";
+
+		if(message.id !== undefined) chunk += `id: ${message.id.replace(/[\r\n\0]/g, "")}\n`;
+		if(message.event) chunk += `event: ${message.event.replace(/[\r\n]/g, "")}\n`;
+		for(const line of message.data.split(/\r\n|\r|\n/)) {
+			chunk += `data: ${line}\n`;
+		}
+
+		this.event.res.write(`${chunk}\n`);
+	}
+
+	/**
+	 * @private
+	 * @memberof EventStream
+	 */
+	_cleanup() {
+		if(this.isClosed) return;
+
+		this.isClosed = true;
+		if(this._heartbeatInterval) clearInterval(this._heartbeatInterval);
+		Server.eventStreams.delete(this);
+		Server._connectionLog(Server.STATUS.SUCCESS.OK);
+
+		this.dispatchEvent("close");
+	}
+}
 
 /**
  * @typedef {Object} CookieProperties
@@ -2611,9 +6738,9 @@ class CookieJar {
 
 			// Set by Request object
 			{
-				const [request] = /**@type {[http.IncomingMessage]}*/(args);
+				const [request] = /**@type {[http.IncomingMessage | http2.Http2ServerRequest]}*/(args);
 
-				if(request instanceof http.IncomingMessage) {
+				if(request instanceof http.IncomingMessage || request instanceof http2.Http2ServerRequest) {
 					const cookieString = request.headers.cookie;
 					if(!cookieString) return this;
 
@@ -2626,9 +6753,9 @@ class CookieJar {
 
 			// Set by Response object (http)
 			{
-				const [response] = /**@type {[http.ServerResponse]}*/(args);
+				const [response] = /**@type {[http.ServerResponse | http2.Http2ServerResponse]}*/(args);
 
-				if(response instanceof http.ServerResponse) {
+				if(response instanceof http.ServerResponse || response instanceof http2.Http2ServerResponse) {
 					const cookieString = response.getHeader("set-cookie");
 					if(!cookieString) return this;
 
@@ -2649,51 +6776,158 @@ class CookieJar {
 
 				// Try the get the cookies from the raw headers somehow
 				if(typeof response?.headers?.getSetCookie === "function") {
-					const cookieArray = response.headers.getSetCookie();
+					cookieArray = response.headers.getSetCookie();
 					if(!cookieArray) return this;
 				} else if(typeof response?.headers?.raw === "function") {
-					const cookieArray = response.headers.raw()["set-cookie"];
+					cookieArray = response.headers.raw()["set-cookie"];
 					if(!cookieArray) return this;
 				}
 
 				if(cookieArray) {
 					const cookies = CookieJar.Cookie.parse(cookieArray);
 
-					this._addCookiesToJar(...cookies);
-					return this;
-				}
-			}
+					this._addCookiesToJar(...cookies);
+					return this;
+				}
+			}
+
+			// Set by JSON object
+			{
+				const [jsonObject] = /**@type {[CookieJar]}*/(args);
+
+				if(typeof jsonObject === "object" && jsonObject !== null && "cookies" in jsonObject) {
+					for(const cookieObject of jsonObject.cookies) {
+						const cookie = new CookieJar.Cookie(cookieObject.name, cookieObject.value, cookieObject.props);
+
+						// Restore the scope of the cookies stored using `setCookieFromResponse()`
+						cookie.domain = cookieObject.domain ?? null;
+						cookie.hostOnly = !!cookieObject.hostOnly;
+						cookie.path = cookieObject.path ?? null;
+						if(cookieObject.createdAt) cookie.createdAt = cookieObject.createdAt;
+
+						this._addCookiesToJar(cookie);
+					}
+					return this;
+				}
+			}
+
+			throw new TypeError(`Cannot set cookie: [${args[0]}, ${args[1]}, ${args[2]}]`);
+		};
+
+		// Parse input arguments
+		if(arguments.length) this.setCookie.apply(this, arguments);
+	}
+
+	/**
+	 * Returns cookie object found by name
+	 * @param {string} name Cookie name
+	 * @param {boolean} [expired=true] Include expired cookies
+	 * @returns {CookieJar.Cookie | null} Cookie object if found, otherwise undefined
+	 * @memberof CookieJar
+	 */
+	getCookie(name, expired = true) {
+		const cookies = this.getCookies(expired);
+		return cookies.find(cookie => cookie.name == name) || null;
+	}
+
+	/**
+	 * Sets cookie with value signed using HMAC-SHA256, so the value cannot be changed by the client (it is still readable)
+	 * @param {string} name Cookie name
+	 * @param {string} value Cookie value
+	 * @param {CookieProperties} [options={}] Cookie properties
+	 * @param {string[]} [keys=Server.config.cookies.keys] Key ring, the first key is used for signing
+	 * @returns {this}
+	 * @memberof CookieJar
+	 */
+	setSignedCookie(name, value, options = {}, keys = Server.config["cookies"]["keys"]) {
+		if(!keys.length) throw new Error("Cannot sign cookie: No keys are configured");
+
+		const trimmed = `${value}`.trim();
+		return this.setCookie(name, `${trimmed}.${signCookieValue(name.trim(), trimmed, keys[0])}`, options);
+	}
+
+	/**
+	 * Returns signed cookie found by name, verified with any key from the key ring.
+	 * Cookies with invalid signature are treated as absent.
+	 * @param {string} name Cookie name
+	 * @param {boolean} [expired=true] Include expired cookies
+	 * @param {string[]} [keys=Server.config.cookies.keys] Key ring
+	 * @returns {CookieJar.Cookie | null} Cookie object with the original value if found and valid, otherwise `null`
+	 * @memberof CookieJar
+	 */
+	getSignedCookie(name, expired = true, keys = Server.config["cookies"]["keys"]) {
+		const cookie = this.getCookie(name, expired);
+		if(!cookie) return null;
+
+		const index = cookie.value.lastIndexOf(".");
+		const value = cookie.value.slice(0, index);
+		const signature = cookie.value.slice(index + 1);
+
+		if(index === -1 || !keys.some(key => timingSafeEqualString(signCookieValue(cookie.name, value, key), signature))) {
+			Server.warn(`Cookie '${cookie.name}' has invalid signature, ignoring it`);
+			return null;
+		}
+
+		return new CookieJar.Cookie(cookie.name, value, {...cookie.props});
+	}
+
+	/**
+	 * Sets cookie with value encrypted using AES-256-GCM, so the value cannot be read nor changed by the client
+	 * @param {string} name Cookie name
+	 * @param {string} value Cookie value
+	 * @param {CookieProperties} [options={}] Cookie properties
+	 * @param {string[]} [keys=Server.config.cookies.keys] Key ring, the first key is used for encryption
+	 * @returns {this}
+	 * @memberof CookieJar
+	 */
+	setEncryptedCookie(name, value, options = {}, keys = Server.config["cookies"]["keys"]) {
+		if(!keys.length) throw new Error("Cannot encrypt cookie: No keys are configured");
 
-			// Set by JSON object
-			{
-				const [jsonObject] = /**@type {[CookieJar]}*/(args);
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv("aes-256-gcm", deriveCookieKey(keys[0], "encryption"), iv);
 
-				if(typeof jsonObject === "object" && jsonObject !== null && "cookies" in jsonObject) {
-					for(const cookieObject of jsonObject.cookies) {
-						const cookie = new CookieJar.Cookie(cookieObject.name, cookieObject.value, cookieObject.props);
-						this._addCookiesToJar(cookie);
-					}
-					return this;
-				}
-			}
+		// Bind the value to the cookie name, so it cannot be moved to another cookie
+		cipher.setAAD(Buffer.from(name.trim()));
 
-			throw new TypeError(`Cannot set cookie: [${args[0]}, ${args[1]}, ${args[2]}]`);
-		};
+		const encrypted = Buffer.concat([cipher.update(`${value}`, "utf8"), cipher.final()]);
 
-		// Parse input arguments
-		if(arguments.length) this.setCookie.apply(this, arguments);
+		return this.setCookie(name, Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64url"), options);
 	}
 
 	/**
-	 * Returns cookie object found by name
+	 * Returns encrypted cookie found by name, decrypted with any key from the key ring.
+	 * Cookies, which cannot be decrypted (tampered or encrypted with unknown key), are treated as absent.
 	 * @param {string} name Cookie name
 	 * @param {boolean} [expired=true] Include expired cookies
-	 * @returns {CookieJar.Cookie | null} Cookie object if found, otherwise undefined
+	 * @param {string[]} [keys=Server.config.cookies.keys] Key ring
+	 * @returns {CookieJar.Cookie | null} Cookie object with the decrypted value if found and valid, otherwise `null`
 	 * @memberof CookieJar
 	 */
-	getCookie(name, expired = true) {
-		const cookies = this.getCookies(expired);
-		return cookies.find(cookie => cookie.name == name) || null;
+	getEncryptedCookie(name, expired = true, keys = Server.config["cookies"]["keys"]) {
+		const cookie = this.getCookie(name, expired);
+		if(!cookie) return null;
+
+		const data = Buffer.from(cookie.value, "base64url");
+
+		// IV (12 bytes) and auth tag (16 bytes) must be present
+		if(data.length >= 28) {
+			for(const key of keys) {
+				try {
+					const decipher = crypto.createDecipheriv("aes-256-gcm", deriveCookieKey(key, "encryption"), data.subarray(0, 12));
+					decipher.setAAD(Buffer.from(cookie.name));
+					decipher.setAuthTag(data.subarray(12, 28));
+
+					const value = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString("utf8");
+
+					return new CookieJar.Cookie(cookie.name, value, {...cookie.props});
+				} catch(err) {
+					// Try the next key
+				}
+			}
+		}
+
+		Server.warn(`Cookie '${cookie.name}' cannot be decrypted, ignoring it`);
+		return null;
 	}
 
 	/**
@@ -2768,9 +7002,7 @@ class CookieJar {
 	 * @memberof CookieJar
 	 */
 	removeExpiredCookies() {
-		for(const cookie of this.cookies) {
-			if(cookie.isExpired()) this.deleteCookie(cookie);
-		}
+		this.cookies = this.getUnexpiredCookies();
 	}
 
 	/**
@@ -2792,6 +7024,104 @@ class CookieJar {
 		return expired ? this.cookies : this.getUnexpiredCookies();
 	}
 
+	/**
+	 * Stores cookies received in the response to the request to the URL, following the storage model of RFC 6265.
+	 * Cookies are scoped to the domain and path, cookies for foreign domains or public suffixes,
+	 * Secure cookies received over insecure connection and cookies violating the name prefixes are ignored.
+	 * Expired cookies remove the stored ones.
+	 * @example const response = await fetch(url, {headers: {cookie: jar.getCookiesForUrl(url).map(e => e.toString(false)).join("")}});
+	 * jar.setCookieFromResponse(url, response);
+	 * @param {string | URL} url URL of the request
+	 * @param {FetchLikeResponse | http.IncomingMessage | string[]} response Response or values of the `Set-Cookie` headers
+	 * @returns {this}
+	 * @memberof CookieJar
+	 */
+	setCookieFromResponse(url, response) {
+		const target = new URL(url);
+
+		/** @type {string[]} */
+		let cookieStrings = [];
+
+		if(Array.isArray(response)) cookieStrings = response;
+		else if(response instanceof http.IncomingMessage) cookieStrings = response.headers["set-cookie"] || [];
+		else if(typeof response?.headers?.getSetCookie === "function") cookieStrings = response.headers.getSetCookie();
+		else if(typeof response?.headers?.raw === "function") cookieStrings = response.headers.raw()["set-cookie"] || [];
+
+		for(const cookie of CookieJar.Cookie.parse(cookieStrings)) {
+			if(!this._scopeCookie(cookie, target)) continue;
+
+			// Expired cookie removes the stored one
+			if(cookie.isExpired()) {
+				this.cookies = this.cookies.filter(e => !(e.name === cookie.name && e.domain === cookie.domain && e.path === cookie.path));
+				continue;
+			}
+
+			this._addCookiesToJar(cookie);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Returns unexpired cookies, which should be sent with the request to the URL (RFC 6265, section 5.4).
+	 * Cookies without scope (not stored using `setCookieFromResponse()`) are sent to all URLs.
+	 * @param {string | URL} url URL of the request
+	 * @returns {CookieJar.Cookie[]} Cookies ordered by the path length (longest first) and the creation time
+	 * @memberof CookieJar
+	 */
+	getCookiesForUrl(url) {
+		const target = new URL(url);
+		const host = target.hostname.toLowerCase();
+		const isSecure = target.protocol === "https:" || target.protocol === "wss:";
+
+		return this.getUnexpiredCookies().filter(cookie => {
+			if(cookie.props["Secure"] && !isSecure) return false;
+			if(cookie.domain === null) return true;
+
+			if(cookie.hostOnly ? host !== cookie.domain : !isCookieDomainMatch(host, cookie.domain)) return false;
+
+			return isCookiePathMatch(target.pathname || "/", cookie.path || "/");
+		}).sort((a, b) => (b.path || "/").length - (a.path || "/").length || a.createdAt - b.createdAt);
+	}
+
+	/**
+	 * Saves the unexpired cookies to the JSON file
+	 * @param {string} filePath
+	 * @returns {this}
+	 * @memberof CookieJar
+	 */
+	save(filePath) {
+		this.removeExpiredCookies();
+		fs.writeFileSync(filePath, JSON.stringify(this, null, "\t"));
+
+		return this;
+	}
+
+	/**
+	 * @returns {{cookies: CookieJar.Cookie[]}}
+	 * @memberof CookieJar
+	 */
+	toJSON() {
+		return {cookies: this.cookies};
+	}
+
+	/**
+	 * Loads the cookies saved using `CookieJar.save()`
+	 * @static
+	 * @param {string} filePath
+	 * @returns {CookieJar} Loaded jar, empty if the file does not exist
+	 * @memberof CookieJar
+	 */
+	static load(filePath) {
+		const jar = new CookieJar();
+		if(!fs.existsSync(filePath)) return jar;
+
+		const data = JSON.parse(fs.readFileSync(filePath).toString());
+		if(data.cookies.length) jar.setCookie(data);
+
+		return jar;
+	}
+
 	/**
 	 * Adds cookies to the Jar
 	 * @param {CookieJar.Cookie[]} cookies
@@ -2800,10 +7130,54 @@ class CookieJar {
 	_addCookiesToJar(...cookies) {
 		for(const cookie of cookies) {
 			if(!(cookie instanceof CookieJar.Cookie)) continue;
-			this.deleteCookie(cookie.name);
+
+			// Cookies are identified by the name and the scope (cookies without scope only by the name)
+			const index = this.cookies.findIndex(e => e.name === cookie.name && e.domain === cookie.domain && e.path === cookie.path);
+			if(index !== -1) this.cookies.splice(index, 1);
+
 			this.cookies.push(cookie);
 		}
 	}
+
+	/**
+	 * Sets the domain and path scope of the cookie received from the URL (RFC 6265, section 5.3)
+	 * @private
+	 * @param {CookieJar.Cookie} cookie
+	 * @param {URL} url URL of the request
+	 * @returns {boolean} `false` if the cookie should be ignored
+	 * @memberof CookieJar
+	 */
+	_scopeCookie(cookie, url) {
+		const host = url.hostname.toLowerCase();
+		const isSecure = url.protocol === "https:" || url.protocol === "wss:";
+		const domainAttribute = typeof cookie.props["Domain"] === "string" ? cookie.props["Domain"].trim().replace(/^\./, "").toLowerCase() : "";
+		const pathAttribute = cookie.props["Path"];
+
+		if(!cookie.name) return false;
+
+		// Secure cookies can be set only over secure connection
+		if(cookie.props["Secure"] && !isSecure) return false;
+
+		// Name prefixes (RFC 6265bis, section 4.1.3)
+		if(cookie.name.startsWith("__Secure-") && !cookie.props["Secure"]) return false;
+		if(cookie.name.startsWith("__Host-") && (!cookie.props["Secure"] || domainAttribute || pathAttribute !== "/")) return false;
+
+		if(domainAttribute && domainAttribute !== host) {
+			// Cookies for public suffixes and foreign domains are rejected
+			if(isPublicSuffix(domainAttribute) || !isCookieDomainMatch(host, domainAttribute)) return false;
+
+			cookie.domain = domainAttribute;
+			cookie.hostOnly = false;
+		} else {
+			// Cookies without domain (or with domain of a public suffix equal to the host) are sent only to the host
+			cookie.domain = host;
+			cookie.hostOnly = !domainAttribute || isPublicSuffix(domainAttribute);
+		}
+
+		cookie.path = typeof pathAttribute === "string" && pathAttribute.startsWith("/") ? pathAttribute : getDefaultCookiePath(url.pathname);
+
+		return true;
+	}
 }
 
 /**
@@ -2822,6 +7196,30 @@ CookieJar.Cookie = class Cookie {
 
 		/** @type {CookieProperties} */
 		this.props = properties || {};
+
+		/**
+		 * Domain the cookie is sent to, `null` if the cookie was not stored using `CookieJar.setCookieFromResponse()`
+		 * @type {string | null}
+		 */
+		this.domain = null;
+
+		/**
+		 * `true` if the cookie is sent only to the exact `domain` (not to its subdomains)
+		 * @type {boolean}
+		 */
+		this.hostOnly = false;
+
+		/**
+		 * Path the cookie is sent to, `null` if the cookie was not stored using `CookieJar.setCookieFromResponse()`
+		 * @type {string | null}
+		 */
+		this.path = null;
+
+		/**
+		 * Creation timestamp in milliseconds (`Max-Age` is relative to it)
+		 * @type {number}
+		 */
+		this.createdAt = Date.now();
 	}
 
 	/**
@@ -2845,10 +7243,28 @@ CookieJar.Cookie = class Cookie {
 	 * @return {boolean} 
 	 */
 	isExpired() {
+		const expiryTime = this.getExpiryTime();
+
+		return expiryTime !== null && expiryTime <= Date.now();
+	}
+
+	/**
+	 * Resolves the expiry time of the cookie, `Max-Age` takes precedence over `Expires`
+	 * @return {number | null} Expiry timestamp in milliseconds, `null` for session cookies
+	 */
+	getExpiryTime() {
+		const maxAge = this.props["Max-Age"];
+
+		if(typeof maxAge === "string" && /^-?\d+$/.test(maxAge.trim())) {
+			const seconds = parseInt(maxAge);
+			return seconds <= 0 ? 0 : this.createdAt + seconds * 1000;
+		}
+
 		const expires = this.props["Expires"];
-		if(!expires) return false;
+		if(!expires) return null;
 
-		return new Date(expires).getTime() < Date.now();
+		const time = new Date(expires).getTime();
+		return isNaN(time) ? null : time;
 	}
 
 	// eslint-disable-next-line valid-jsdoc
@@ -2897,22 +7313,413 @@ CookieJar.Cookie = class Cookie {
 	}
 };
 
+/**
+ * @typedef {Object} UserToken
+ * @prop {string} id Public identifier of the token (part of the token string)
+ * @prop {string} name Human readable name of the token
+ * @prop {string} hash Hash of the token secret
+ * @prop {string[]} scopes Scopes granted to the token (`*` grants all scopes)
+ * @prop {number | null} expiresAt Expiration timestamp in milliseconds, `null` if the token never expires
+ * @prop {number} createdAt Creation timestamp in milliseconds
+ */
+
+/**
+ * @typedef {Object} User
+ * @prop {string} username
+ * @prop {string} password Hash created by `Server.hashPassword()`
+ * @prop {string[]} roles
+ * @prop {UserToken[]} tokens
+ * @prop {number} createdAt Creation timestamp in milliseconds
+ */
+
+/**
+ * Storage of the users used by `RequestEvent.auth()`.
+ * Custom stores (e.g. database backed) extend this class and implement `getUser()`, `listUsers()`,
+ * `saveUser()` and `removeUser()`. The methods are synchronous, so the store should keep the users cached.
+ * @class UserStore
+ */
+class UserStore {
+	/**
+	 * @param {string} username
+	 * @returns {User | null}
+	 * @memberof UserStore
+	 */
+	getUser(username) {
+		throw new Error(`${this.constructor.name}.getUser() is not implemented`);
+	}
+
+	/**
+	 * @returns {User[]}
+	 * @memberof UserStore
+	 */
+	listUsers() {
+		throw new Error(`${this.constructor.name}.listUsers() is not implemented`);
+	}
+
+	/**
+	 * Creates or updates the user
+	 * @param {User} user
+	 * @memberof UserStore
+	 */
+	saveUser(user) {
+		throw new Error(`${this.constructor.name}.saveUser() is not implemented`);
+	}
+
+	/**
+	 * @param {string} username
+	 * @returns {boolean} `true` if the user existed
+	 * @memberof UserStore
+	 */
+	removeUser(username) {
+		throw new Error(`${this.constructor.name}.removeUser() is not implemented`);
+	}
+
+	/**
+	 * Drops cached data, so the users are read from the storage again
+	 * @memberof UserStore
+	 */
+	reload() { }
+
+	/**
+	 * Creates a new user
+	 * @param {string} username
+	 * @param {string} password Plaintext password, stored hashed
+	 * @param {string[]} [roles=[]]
+	 * @returns {User}
+	 * @memberof UserStore
+	 */
+	createUser(username, password, roles = []) {
+		if(typeof username !== "string" || !/^[\w.@-]+$/.test(username)) throw new Error(`Invalid username '${username}'`);
+		if(typeof password !== "string" || !password) throw new Error("Password cannot be empty");
+		if(this.getUser(username)) throw new Error(`User '${username}' already exists`);
+
+		/** @type {User} */
+		const user = {
+			username,
+			password: Server.hashPassword(password),
+			roles: [...new Set(roles)],
+			tokens: [],
+			createdAt: Date.now()
+		};
+
+		this.saveUser(user);
+		return user;
+	}
+
+	/**
+	 * @param {string} username
+	 * @param {string} password
+	 * @returns {Promise<User | null>} The user if the credentials are valid, otherwise `null`
+	 * @memberof UserStore
+	 */
+	async verifyCredentials(username, password) {
+		const user = this.getUser(username);
+
+		// Verify unknown users as well, so the response time doesn't reveal valid usernames
+		const isValid = await Server.verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+		return user && isValid ? user : null;
+	}
+
+	/**
+	 * Synchronous version of `UserStore.verifyCredentials()`, blocks the event loop while verifying the password
+	 * @param {string} username
+	 * @param {string} password
+	 * @returns {User | null} The user if the credentials are valid, otherwise `null`
+	 * @memberof UserStore
+	 */
+	verifyCredentialsSync(username, password) {
+		const user = this.getUser(username);
+
+		// Verify unknown users as well, so the response time doesn't reveal valid usernames
+		const isValid = Server.verifyPasswordSync(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+		return user && isValid ? user : null;
+	}
+
+	/**
+	 * Creates a new API token of the user
+	 * @param {string} username
+	 * @param {Object} [options={}]
+	 * @param {string} [options.name=""] Human readable name of the token
+	 * @param {string[]} [options.scopes=[]] Scopes granted to the token
+	 * @param {number | null} [options.expiresIn=null] Lifetime of the token in milliseconds, `null` if the token never expires
+	 * @returns {{token: string, info: UserToken}} Token string (the only time the secret is available) and the stored token info
+	 * @memberof UserStore
+	 */
+	createToken(username, {name = "", scopes = [], expiresIn = null} = {}) {
+		const user = this.getUser(username);
+		if(!user) throw new Error(`User '${username}' does not exist`);
+
+		const id = crypto.randomBytes(6).toString("hex");
+		const secret = crypto.randomBytes(24).toString("base64url");
+
+		/** @type {UserToken} */
+		const info = {
+			id,
+			name,
+			hash: hashTokenSecret(secret),
+			scopes: [...new Set(scopes)],
+			expiresAt: expiresIn ? Date.now() + expiresIn : null,
+			createdAt: Date.now()
+		};
+
+		user.tokens.push(info);
+		this.saveUser(user);
+
+		return {token: `jls_${id}_${secret}`, info};
+	}
+
+	/**
+	 * @param {string} username
+	 * @param {string} id ID of the token
+	 * @returns {boolean} `true` if the token existed
+	 * @memberof UserStore
+	 */
+	revokeToken(username, id) {
+		const user = this.getUser(username);
+		if(!user) throw new Error(`User '${username}' does not exist`);
+
+		const index = user.tokens.findIndex(e => e.id === id);
+		if(index === -1) return false;
+
+		user.tokens.splice(index, 1);
+		this.saveUser(user);
+
+		return true;
+	}
+
+	/**
+	 * @param {string} token Token string created by `UserStore.createToken()`
+	 * @returns {{user: User, token: UserToken} | null} Owner of the token and the token info if the token is valid and not expired, otherwise `null`
+	 * @memberof UserStore
+	 */
+	verifyToken(token) {
+		const match = /^jls_([0-9a-f]{12})_([\w-]+)$/.exec(token);
+		if(!match) return null;
+
+		const [, id, secret] = match;
+
+		for(const user of this.listUsers()) {
+			const info = user.tokens.find(e => e.id === id);
+			if(!info) continue;
+
+			if(!timingSafeEqualString(hashTokenSecret(secret), info.hash)) return null;
+			if(info.expiresAt !== null && info.expiresAt <= Date.now()) return null;
+
+			return {user, token: info};
+		}
+
+		return null;
+	}
+}
+
+/**
+ * User store persisting the users in a JSON file
+ * @class JSONUserStore
+ * @extends {UserStore}
+ */
+class JSONUserStore extends UserStore {
+	/**
+	 * Creates an instance of JSONUserStore.
+	 * @param {string} [filePath=PATH.USERS] Path of the JSON file
+	 * @memberof JSONUserStore
+	 */
+	constructor(filePath = PATH.USERS) {
+		super();
+
+		/** @type {string} */
+		this.path = filePath;
+
+		/** @type {User[] | null} */
+		this._users = null;
+	}
+
+	/**
+	 * @private
+	 * @returns {User[]}
+	 * @memberof JSONUserStore
+	 */
+	_read() {
+		if(this._users) return this._users;
+
+		this._users = fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path).toString()) : [];
+		return /**@type {User[]}*/(this._users);
+	}
+
+	/**
+	 * @private
+	 * @memberof JSONUserStore
+	 */
+	_write() {
+		fs.writeFileSync(this.path, JSON.stringify(this._read(), null, "\t"));
+	}
+
+	getUser(username) {
+		return this._read().find(e => e.username === username) || null;
+	}
+
+	listUsers() {
+		return [...this._read()];
+	}
+
+	saveUser(user) {
+		const users = this._read();
+		const index = users.findIndex(e => e.username === user.username);
+
+		if(index === -1) users.push(user);
+		else users[index] = user;
+
+		this._write();
+	}
+
+	removeUser(username) {
+		const users = this._read();
+		const index = users.findIndex(e => e.username === username);
+		if(index === -1) return false;
+
+		users.splice(index, 1);
+		this._write();
+
+		return true;
+	}
+
+	reload() {
+		this._users = null;
+	}
+}
+
 const DEFAULT_CONFIG = {
 	"http-port": 80,
 	"enable-http-server": true,
 	"enable-logging": true,
 	"enable-cli": true,
+	"watch-modules": false,
+	"watch-config": true,
 	"debug": true,
+	// IP addresses or CIDR blocks of the reverse proxies, whose `Forwarded` and `X-Forwarded-*` headers are trusted
+	// (requests with these headers from other peers are never trusted, even if the peer is a trusted IP)
+	"trusted-proxies": [],
 	"login": {
 		"username": "admin",
-		"password": "admin"
+		// Hash of the default "admin" password, use `passwd` command to change it
+		"password": "scrypt$16384$8$1$uJrtJWyp4+cjucAg2dvkSA==$EWHMVJlpLQVCE9pnxcBCvBzyh6l2wzHQ7R6A+MaoM3k="
+	},
+	"auth-throttle": {
+		// Failed authentication attempts allowed per IP address within `window` seconds, further attempts
+		// are rejected with 429 without verifying the credentials (0 disables the throttling)
+		"max-failures": 10,
+		"window": 5 * 60
 	},
 	"ssh": {
 		"enabled": false,
 		"port": 22
-	}
+	},
+	"https": {
+		"enabled": false,
+		"port": 443,
+		"cert": "",
+		"key": "",
+		"redirect-to-https": false,
+		"watch-certificates": true
+	},
+	"http2": {
+		"enabled": false,
+		"allow-http1": true
+	},
+	"websocket": {
+		"max-payload": 16 * 1024 * 1024
+	},
+	"session": {
+		// Generated on the first start
+		"secret": "",
+		"cookie-name": "sid",
+		// Lifetime in seconds, renewed on every request
+		"max-age": 24 * 60 * 60,
+		"same-site": "Lax",
+		// "memory" or "json" (sessions.json)
+		"store": "memory"
+	},
+	"cookies": {
+		// Keys of signed and encrypted cookies (generated on the first start).
+		// The first key is used to sign/encrypt, all keys to verify/decrypt, so the keys can be rotated by prepending a new key.
+		"keys": []
+	},
+	"compression": {
+		"enabled": true,
+		// Encodings in order of the preference ("br", "gzip" and "deflate")
+		"encodings": ["br", "gzip", "deflate"],
+		// Brotli quality (0-11), gzip and deflate level (1-9)
+		"quality": {
+			"br": 4,
+			"gzip": 6,
+			"deflate": 6
+		},
+		// Minimum size of the response in bytes to be compressed
+		"threshold": 1024,
+		// Compressible content types, "type/*" matches all subtypes
+		"types": ["text/*", "application/json", "application/javascript", "application/xml", "application/wasm", "image/svg+xml"],
+		// Send precompressed `.br` and `.gz` variants of the files in the public directory
+		"precompressed": true
+	},
+	"static": {
+		// Files served when a directory in the public directory is requested
+		"index": ["index.html", "index.htm"],
+		// Globs of the directories with listing of their content (e.g. "/downloads/**"), paths of the directories end with "/"
+		"listing": [],
+		"listing-trusted-only": true
+	},
+	"caching": {
+		// ETag of the files generated from the size and the modification time: "weak", "strong" or "none"
+		"etag": "weak",
+		"last-modified": true,
+		// Cache-Control header of the files by the request path globs, first matching rule is used
+		// (e.g. {"path": "/assets/**", "value": "public, max-age=31536000, immutable"})
+		"cache-control": []
+	},
+	"rate-limit": {
+		// Limit of all requests per IP address, routes can set their own limits using `Server.rateLimit()` middleware
+		"enabled": false,
+		// "sliding-window" or "token-bucket"
+		"algorithm": "sliding-window",
+		"limit": 300,
+		// Length of the window in seconds (time to refill the whole bucket in case of token bucket)
+		"window": 60,
+		"exempt-trusted": true,
+		// IP addresses exceeding any rate limit `violations` times within `window` seconds get banned for `duration` seconds (0 disables the bans)
+		"ban": {
+			"violations": 10,
+			"window": 10 * 60,
+			"duration": 60 * 60
+		}
+	},
+	"modules": {}
 };
 
+/**
+ * Config schema of the core configuration, inferred from the default configuration
+ * @type {ConfigSchema}
+ */
+const CONFIG_SCHEMA = inferConfigSchema(DEFAULT_CONFIG).properties || {};
+
+// Mark the secrets of the core configuration (token of the legacy login is not in the default configuration)
+for(const [section, name] of [["login", "password"], ["login", "token"], ["session", "secret"], ["cookies", "keys"]]) {
+	const properties = /**@type {ConfigSchema}*/(CONFIG_SCHEMA[section].properties);
+	properties[name] = {...properties[name], secret: true};
+}
+
+/**
+ * Hash of a random password, verified against when the user does not exist
+ * (so the verification takes the same time as for the existing users)
+ */
+const DUMMY_PASSWORD_HASH = "scrypt$16384$8$1$GYHb6e6h3Ajo8k4BupxZsw==$kCw5VnHDP6MfD14tHL5Z/DS2lr4RjxuY5sExys9TObc=";
+
+/**
+ * Compiled glob patterns, `null` for invalid patterns
+ * @type {Map<string, RegExp | null>}
+ */
+const GLOB_CACHE = new Map();
+
 const DEFAULT_MAIN = `const {Server, CookieJar} = require("../server.js");
 
 // Handle load event
@@ -2968,6 +7775,8 @@ Server.on("500", e => {
 // '*' - extends to /(.*)/ regex (matches 0 or more characters)
 // '?' - extends to /(.)/ regex (matches 1 character)
 // ':' - extends to /([^/]+?)/ regex (matches 1 or more characters, until '/')
+// Parameters can be constrained using regex ':id(\\\\d+)' or type ':id<int>' (value gets converted),
+// and made optional using ':page?'. Requests not matching the constraints won't reach the handler.
 // Example: let's say we want format like this: '/user/<user>/<page>' => '/user/john123/profile'
 Server.on("/user/:user/:page", e => {
 	// e.matches contains ordered matches from requested url
@@ -3023,6 +7832,17 @@ Server.on("/request", e => {
 	// }, "json");
 });
 
+// Register handlers for specific request methods
+// Other methods will be responded with '405 Method Not Allowed' automatically
+Server.get("/note/:id", e => {
+	e.send("GET: Note " + e.matches.id);
+});
+
+// Optional body type (first parameter after path) is used to parse the body
+Server.put("/note/:id", "json", e => {
+	e.send("PUT: Note " + e.matches.id + " updated to " + JSON.stringify(e.body));
+});
+
 // Advanced request handling
 Server.on("/request", e => {
 	// Get values from event object
@@ -3062,6 +7882,35 @@ Server.on("/request", e => {
 		// Send successful response
 		e.send("POST: Your new session token has been generated! You can log in now!" + body);
 	});
+});
+
+// Sessions (session ID is sent in a signed cookie, session data are stored on the server)
+Server.post("/login", "json", Server.session(), async e => {
+	// Check the credentials against the user store (users can be added using 'user add' command)
+	if(!await Server.users.verifyCredentials(e.body.username, e.body.password))
+		return e.send("Error: Invalid username or password!", 401);
+
+	// Change the session ID on login to prevent session fixation
+	await e.session.regenerate();
+
+	// Session data are stored in the data object of the session, not on the session itself
+	// (keeps the data apart from the methods, such as regenerate() and destroy())
+	e.session.data.username = e.body.username;
+
+	e.send("POST: You have logged in!");
+});
+
+Server.get("/profile", Server.session(), e => {
+	if(!e.session.data.username)
+		return e.send("Error: You are not logged in! Send POST request to '/login' first!", 401);
+
+	e.send("GET: Welcome back " + e.session.data.username);
+});
+
+Server.post("/logout", Server.session(), async e => {
+	await e.session.destroy();
+
+	e.send("POST: You have logged out!");
 });`;
 
 const CONTENT_TYPES = /**@type {const}*/({
@@ -3206,11 +8055,17 @@ const STATUS = {
 };
 Server.STATUS = STATUS;
 
+/**
+ * HTTP methods with request body handled by `Server.POST_BODY_HANDLER`
+ * @type {string[]}
+ */
+Server.BODY_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
 // eslint-disable-next-line valid-jsdoc
 /** @type {Middleware<{}>} */
 Server.POST_BODY_HANDLER = function(event, next) {
-	// Ignore if method is not POST
-	if(event.method !== "POST") return;
+	// Ignore if method cannot have a body
+	if(!Server.BODY_METHODS.includes(event.method)) return;
 
 	if(event.autoPrevent) event.defaultPrevented = true;
 
@@ -3426,6 +8281,641 @@ function getFileFormat(contentType, mismatch = "") {
 	return /**@type {(keyof typeof CONTENT_TYPES) | undefined}*/(Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key] == contentType)) || mismatch;
 }
 
+/**
+ * Checks if the version satisfies the version range.
+ * Supports exact versions and `^`, `~`, `>=`, `>`, `<=`, `<` and `=` operators (partial versions are allowed).
+ * @example satisfiesVersion("1.4.2", "^1.2") // true
+ * @example satisfiesVersion("1.4.2", "~1.2.0") // false
+ * @example satisfiesVersion("2.0.0", "2") // true
+ * @param {string} version Version to check
+ * @param {string} range Version range
+ * @return {boolean} 
+ */
+function satisfiesVersion(version, range) {
+	if(range.trim() === "*") return true;
+
+	const match = /^(\^|~|>=|>|<=|<|=)?\s*v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(range.trim());
+	if(!match) return false;
+
+	const [, operator = "=", ...parts] = match;
+	const target = parts.filter(e => e !== undefined).map(Number);
+	const current = version.trim().replace(/^v/, "").split(/[.+-]/).slice(0, 3).map(e => parseInt(e) || 0);
+
+	// Compare only the specified parts of the range
+	const compare = target.reduce((result, part, i) => result || (current[i] || 0) - part, 0);
+
+	switch(operator) {
+		case "^": return compare >= 0 && (target[0] !== 0 || target.length === 1 ? current[0] === target[0] : current[1] === target[1] && current[0] === 0);
+		case "~": return compare >= 0 && current[0] === target[0] && (target.length === 1 || current[1] === target[1]);
+		case ">=": return compare >= 0;
+		case ">": return compare > 0;
+		case "<=": return compare <= 0;
+		case "<": return compare < 0;
+		default: return compare === 0;
+	}
+}
+
+const CONFIG_VALUE_TYPES = ["string", "number", "integer", "boolean", "array", "object", "any"];
+
+/**
+ * Checks the definition of the config schema
+ * @param {any} schema Schema to check
+ * @param {string} path Path of the schema used in the error message
+ * @return {string | null} Error message; `null` if the schema is valid
+ */
+function checkConfigSchema(schema, path) {
+	if(!schema || typeof schema !== "object" || Array.isArray(schema)) return `'${path}' must be an object`;
+
+	for(const [key, property] of Object.entries(schema)) {
+		const propertyPath = `${path}.${key}`;
+
+		if(!property || typeof property !== "object" || Array.isArray(property)) return `'${propertyPath}' must be an object`;
+		if(property.type !== undefined && !CONFIG_VALUE_TYPES.includes(property.type)) return `'${propertyPath}.type' must be one of ${CONFIG_VALUE_TYPES.join(", ")}`;
+		if(property.enum !== undefined && !Array.isArray(property.enum)) return `'${propertyPath}.enum' must be an array`;
+		if(property.required !== undefined && typeof property.required !== "boolean") return `'${propertyPath}.required' must be a boolean`;
+		if(property.description !== undefined && typeof property.description !== "string") return `'${propertyPath}.description' must be a string`;
+		if(property.secret !== undefined && typeof property.secret !== "boolean") return `'${propertyPath}.secret' must be a boolean`;
+
+		if(property.properties !== undefined) {
+			const error = checkConfigSchema(property.properties, `${propertyPath}.properties`);
+			if(error) return error;
+		}
+
+		if(property.items !== undefined) {
+			const error = checkConfigSchema({items: property.items}, propertyPath);
+			if(error) return error;
+		}
+
+		if(property.default !== undefined) {
+			const errors = validateConfigValue(property.default, property, `${propertyPath}.default`);
+			if(errors.length) return errors[0];
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Resolves the type of the configuration value
+ * @param {any} value
+ * @return {ConfigValueType | "null"} 
+ */
+function getConfigValueType(value) {
+	if(value === null) return "null";
+	if(Array.isArray(value)) return "array";
+	if(typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+	if(typeof value === "object") return "object";
+	return /**@type {ConfigValueType}*/(typeof value);
+}
+
+/**
+ * Validates the configuration value against the schema property
+ * @param {any} value Value to validate
+ * @param {ConfigSchemaProperty} property Schema of the value
+ * @param {string} path Path of the value used in the error messages
+ * @return {string[]} List of errors
+ */
+function validateConfigValue(value, property, path) {
+	if(value === undefined || value === null) return property.required ? [`'${path}' is required`] : [];
+
+	const type = property.type || "any";
+	const valueType = getConfigValueType(value);
+	const isTypeMatch = type === "any" || type === valueType || (type === "number" && valueType === "integer");
+
+	if(!isTypeMatch) return [`'${path}' must be ${type}, got ${valueType}`];
+	if(property.enum && !property.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+		return [`'${path}' must be one of ${property.enum.map(e => JSON.stringify(e)).join(", ")}`];
+	}
+
+	if(property.properties && valueType === "object") return validateConfig(value, property.properties, path);
+
+	const items = property.items;
+	if(items && valueType === "array") return value.flatMap((/**@type {any}*/item, /**@type {number}*/i) => validateConfigValue(item, items, `${path}[${i}]`));
+
+	return [];
+}
+
+/**
+ * Validates the configuration object against the schema
+ * @example validateConfig({port: "80"}, {port: {type: "integer"}}, "modules.shop") // ["'modules.shop.port' must be integer, got string"]
+ * @param {any} config Configuration to validate
+ * @param {ConfigSchema} schema Schema of the configuration
+ * @param {string} path Path of the configuration used in the error messages (empty for the root)
+ * @return {string[]} List of errors
+ */
+function validateConfig(config, schema, path) {
+	const type = getConfigValueType(config);
+	if(config !== undefined && type !== "object") return [`'${path}' must be object, got ${type}`];
+
+	return Object.entries(schema).flatMap(([key, property]) => validateConfigValue(config?.[key], property, path ? `${path}.${key}` : key));
+}
+
+/**
+ * Collects the default values of the config schema
+ * @param {ConfigSchema} schema
+ * @return {Object<string, any>} 
+ */
+function getConfigDefaults(schema) {
+	/** @type {Object<string, any>} */
+	const defaults = {};
+
+	for(const [key, property] of Object.entries(schema)) {
+		if(property.default !== undefined) defaults[key] = property.default;
+		else if(property.properties) defaults[key] = getConfigDefaults(property.properties);
+	}
+
+	return defaults;
+}
+
+/**
+ * Parses the configuration value from the user input
+ * @example parseConfigValue("8080", "integer") // 8080
+ * @example parseConfigValue("[1, 2]", "any") // [1, 2]
+ * @example parseConfigValue("hello", "any") // "hello"
+ * @param {string} input
+ * @param {ConfigValueType} type Expected type of the value
+ * @return {any} 
+ * @throws {Error} If the input cannot be parsed as the type
+ */
+function parseConfigValue(input, type) {
+	if(type === "string") return input;
+
+	if(type === "number" || type === "integer") {
+		const value = Number(input);
+		if(input.trim() === "" || isNaN(value)) throw new Error(`'${input}' is not a number`);
+		return value;
+	}
+
+	if(type === "boolean") {
+		if(input !== "true" && input !== "false") throw new Error(`'${input}' is not a boolean`);
+		return input === "true";
+	}
+
+	try {
+		return JSON.parse(input);
+	} catch(err) {
+		if(type === "any") return input;
+		throw new Error(`'${input}' is not a valid JSON ${type}`);
+	}
+}
+
+/**
+ * Creates a config schema from the types of the configuration values
+ * @param {any} value
+ * @return {ConfigSchemaProperty} 
+ */
+function inferConfigSchema(value) {
+	const type = getConfigValueType(value);
+
+	if(type === "null") return {};
+	if(type === "integer") return {type: "number"};
+	if(type !== "object") return {type};
+
+	return {
+		type,
+		properties: Object.fromEntries(Object.entries(value).map(([key, value]) => [key, inferConfigSchema(value)]))
+	};
+}
+
+/**
+ * Resolves the configuration value by its dot separated path
+ * @example getConfigValue({ssh: {port: 22}}, "ssh.port") // 22
+ * @param {ObjectLiteral} config
+ * @param {string} key
+ * @return {any} 
+ */
+function getConfigValue(config, key) {
+	return key.split(".").reduce((obj, property) => obj?.[property], config);
+}
+
+/**
+ * Sets the configuration value by its dot separated path, creating the missing objects
+ * @param {ObjectLiteral} config
+ * @param {string} key
+ * @param {any} value
+ */
+function setConfigValue(config, key, value) {
+	const parts = key.split(".");
+	const name = /**@type {string}*/(parts.pop());
+
+	let target = config;
+	for(const part of parts) {
+		if(getConfigValueType(target[part]) !== "object") target[part] = {};
+		target = target[part];
+	}
+
+	target[name] = value;
+}
+
+/**
+ * Resolves the dot separated key path from the parts of the environment variable name.
+ * Parts are matched with the existing keys regardless of the case, dashes and underscores.
+ * @example resolveConfigKey({"http-port": 80}, ["HTTP_PORT"]) // "http-port"
+ * @example resolveConfigKey({modules: {shop: {apiKey: ""}}}, ["MODULES", "SHOP", "API_KEY"]) // "modules.shop.apiKey"
+ * @param {ObjectLiteral} config
+ * @param {string[]} parts
+ * @return {string} 
+ */
+function resolveConfigKey(config, parts) {
+	const normalize = (/**@type {string}*/str) => str.toLowerCase().replace(/[-_]/g, "");
+
+	/** @type {any} */
+	let target = config;
+
+	return parts.map(part => {
+		const key = getConfigValueType(target) === "object" && Object.keys(target).find(e => normalize(e) === normalize(part)) || part.toLowerCase().replace(/_/g, "-");
+		target = target?.[key];
+
+		return key;
+	}).join(".");
+}
+
+/**
+ * Lists the dot separated paths of the values, which differ between the configurations
+ * @param {ObjectLiteral} previous
+ * @param {ObjectLiteral} current
+ * @return {string[]} 
+ */
+function getConfigChanges(previous, current) {
+	const keys = [...new Set([...getConfigKeys(previous), ...getConfigKeys(current)])];
+
+	// Skip keys of empty objects having nested values in the other configuration
+	return keys.filter(key => {
+		if(keys.some(e => e.startsWith(`${key}.`))) return false;
+
+		return JSON.stringify(getConfigValue(previous, key)) !== JSON.stringify(getConfigValue(current, key));
+	});
+}
+
+/**
+ * Lists the dot separated paths of all values in the configuration
+ * @example getConfigKeys({ssh: {enabled: false, port: 22}}) // ["ssh.enabled", "ssh.port"]
+ * @param {Object<string, any>} config
+ * @param {string} [prefix=""]
+ * @return {string[]} 
+ */
+function getConfigKeys(config, prefix = "") {
+	return Object.entries(config).flatMap(([key, value]) => {
+		const path = prefix + key;
+		return getConfigValueType(value) === "object" && Object.keys(value).length ? getConfigKeys(value, `${path}.`) : [path];
+	});
+}
+
+/**
+ * Compares the strings in constant time (regardless of the position of the first difference or the lengths)
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean} 
+ */
+function timingSafeEqualString(a, b) {
+	if(typeof a !== "string" || typeof b !== "string") return false;
+
+	// Compare fixed-length digests, so the lengths of the strings are not leaked
+	const digestA = crypto.createHash("sha256").update(a).digest();
+	const digestB = crypto.createHash("sha256").update(b).digest();
+
+	return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Hashes the secret of the API token. Secrets are random, so (unlike passwords) a fast hash is sufficient.
+ * @param {string} secret
+ * @return {string} 
+ */
+function hashTokenSecret(secret) {
+	return crypto.createHash("sha256").update(secret).digest("base64");
+}
+
+/**
+ * Common public suffixes, under which cookies cannot be set (approximation of the Public Suffix List).
+ * Single-label domains (top-level domains) are public suffixes as well.
+ */
+const PUBLIC_SUFFIXES = new Set([
+	"co.uk", "org.uk", "ac.uk", "gov.uk", "me.uk", "com.au", "net.au", "org.au", "co.nz", "co.jp", "ne.jp", "or.jp",
+	"co.kr", "com.br", "com.cn", "com.tw", "com.hk", "com.mx", "com.ar", "com.tr", "co.in", "co.za", "com.sg",
+	"github.io", "gitlab.io", "herokuapp.com", "appspot.com", "blogspot.com", "netlify.app", "vercel.app", "pages.dev", "workers.dev"
+]);
+
+/**
+ * @param {string} domain
+ * @return {boolean} `true` if cookies cannot be set for the domain
+ */
+function isPublicSuffix(domain) {
+	return !domain.includes(".") || PUBLIC_SUFFIXES.has(domain);
+}
+
+/**
+ * Domain matching (RFC 6265, section 5.1.3)
+ * @param {string} host Host of the request
+ * @param {string} domain Domain of the cookie
+ * @return {boolean} 
+ */
+function isCookieDomainMatch(host, domain) {
+	if(host === domain) return true;
+
+	// IP addresses must match exactly
+	return host.endsWith(`.${domain}`) && !net.isIP(host.replace(/^\[|\]$/g, ""));
+}
+
+/**
+ * Path matching (RFC 6265, section 5.1.4)
+ * @param {string} requestPath Path of the request
+ * @param {string} cookiePath Path of the cookie
+ * @return {boolean} 
+ */
+function isCookiePathMatch(requestPath, cookiePath) {
+	if(requestPath === cookiePath) return true;
+	if(!requestPath.startsWith(cookiePath)) return false;
+
+	return cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/";
+}
+
+/**
+ * Default path of the cookie without `Path` attribute (RFC 6265, section 5.1.4)
+ * @param {string} requestPath Path of the request
+ * @return {string} 
+ */
+function getDefaultCookiePath(requestPath) {
+	if(!requestPath.startsWith("/")) return "/";
+
+	const index = requestPath.lastIndexOf("/");
+	return index <= 0 ? "/" : requestPath.slice(0, index);
+}
+
+/**
+ * Derives the key for the specified purpose from the cookie key, so the same key is not used for different algorithms
+ * @param {string} secret Key from the key ring
+ * @param {"signature" | "encryption"} purpose
+ * @return {Buffer} 
+ */
+function deriveCookieKey(secret, purpose) {
+	return Buffer.from(crypto.hkdfSync("sha256", secret, "", `cookie-${purpose}`, 32));
+}
+
+/**
+ * @param {string} name Cookie name
+ * @param {string} value Cookie value
+ * @param {string} secret Key from the key ring
+ * @return {string} Signature of the cookie (base64url encoded)
+ */
+function signCookieValue(name, value, secret) {
+	return crypto.createHmac("sha256", deriveCookieKey(secret, "signature")).update(`${name}=${value}`).digest("base64url");
+}
+
+/**
+ * @param {http.OutgoingHttpHeaders} headers
+ * @param {string} name
+ * @return {string | undefined} Name of the header as it is present in the headers (header names are case-insensitive)
+ */
+function findHeaderName(headers, name) {
+	const lowerCaseName = name.toLowerCase();
+
+	return Object.keys(headers).find(e => e.toLowerCase() === lowerCaseName && headers[e] !== undefined);
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} dirPath
+ * @return {boolean} `true` if the path is the directory or is inside the directory
+ */
+function isPathInside(filePath, dirPath) {
+	const resolvedPath = path.resolve(filePath);
+	const resolvedDirPath = path.resolve(dirPath);
+
+	return resolvedPath === resolvedDirPath || resolvedPath.startsWith(resolvedDirPath + path.sep);
+}
+
+/**
+ * @param {string} string
+ * @return {string} String with HTML special characters escaped
+ */
+function escapeHTML(string) {
+	return string.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * @param {number} size Size in bytes
+ * @return {string} Human-readable size (e.g. `1.5 KB`)
+ */
+function formatFileSize(size) {
+	const units = ["B", "KB", "MB", "GB", "TB"];
+	const exponent = Math.min(units.length - 1, Math.floor(Math.log(size || 1) / Math.log(1024)));
+
+	return `${exponent ? (size / 1024 ** exponent).toFixed(1) : size} ${units[exponent]}`;
+}
+
+/**
+ * @param {fs.Stats} stat
+ * @param {boolean} weak
+ * @param {string} [encoding] Encoding of the precompressed variant of the file
+ * @return {string} ETag of the file generated from its size and modification time
+ */
+function getFileETag(stat, weak, encoding) {
+	return `${weak ? "W/" : ""}"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${encoding ? `-${encoding}` : ""}"`;
+}
+
+/**
+ * @param {string} header Value of the `If-Match`, `If-None-Match` or `If-Range` header
+ * @param {string | null} etag Current ETag of the resource
+ * @param {boolean} strong Use strong comparison (weak ETags never match)
+ * @return {boolean} `true` if the header contains the ETag (`*` matches any existing resource)
+ */
+function matchETag(header, etag, strong) {
+	if(header.trim() === "*") return true;
+	if(!etag) return false;
+
+	const opaque = etag.replace(/^W\//, "");
+	if(strong && opaque !== etag) return false;
+
+	return (header.match(/(W\/)?"[^"]*"/g) || []).some(e => e.startsWith("W/") ? !strong && e.slice(2) === opaque : e === opaque);
+}
+
+/**
+ * Matches the path against the glob pattern (see `compileGlob()`). Compiled patterns are cached, invalid patterns never match
+ * (globs of the configuration are validated when it's loaded).
+ * @param {string} pattern
+ * @param {string} path
+ * @return {boolean}
+ */
+function matchGlob(pattern, path) {
+	if(!GLOB_CACHE.has(pattern)) {
+		let regex = null;
+		try {
+			regex = compileGlob(pattern);
+		} catch(err) { }
+
+		GLOB_CACHE.set(pattern, regex);
+	}
+
+	return GLOB_CACHE.get(pattern)?.test(path) || false;
+}
+
+/**
+ * Compiles the glob pattern: `*` matches any characters except `/`, `**` matches any characters,
+ * `?` matches single character and `{a,b}` matches any of the alternatives
+ * @param {string} pattern
+ * @return {RegExp}
+ * @throws {SyntaxError} If the pattern contains unterminated alternatives
+ */
+function compileGlob(pattern) {
+	let source = "";
+	let depth = 0;
+
+	for(let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if(char === "*" && pattern[i + 1] === "*") {
+			// "**/" matches also no directories
+			source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+			i += pattern[i + 2] === "/" ? 2 : 1;
+		} else if(char === "*") {
+			source += "[^/]*";
+		} else if(char === "?") {
+			source += "[^/]";
+		} else if(char === "{") {
+			source += "(?:";
+			depth++;
+		} else if(char === "}" && depth) {
+			source += ")";
+			depth--;
+		} else if(char === "," && depth) {
+			source += "|";
+		} else {
+			source += char.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+		}
+	}
+
+	if(depth) throw new SyntaxError(`Unterminated '{' in glob '${pattern}'`);
+
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validates the glob patterns of the core configuration (`caching.cache-control` and `static.listing` rules)
+ * @param {ObjectLiteral} config
+ * @return {string[]} List of errors
+ */
+function validateConfigGlobs(config) {
+	/** @type {string[]} */
+	const errors = [];
+
+	const check = (/**@type {any}*/pattern, /**@type {string}*/path) => {
+		if(typeof pattern !== "string") return errors.push(`'${path}' must be string, got ${getConfigValueType(pattern)}`);
+
+		try {
+			compileGlob(pattern);
+		} catch(err) {
+			errors.push(`'${path}' is not a valid glob: ${err.message}`);
+		}
+	};
+
+	const cacheControl = config["caching"]?.["cache-control"];
+	if(Array.isArray(cacheControl)) cacheControl.forEach((e, i) => check(e?.["path"], `caching.cache-control[${i}].path`));
+
+	const listing = config["static"]?.["listing"];
+	if(Array.isArray(listing)) listing.forEach((e, i) => check(e, `static.listing[${i}]`));
+
+	return errors;
+}
+
+/**
+ * Chooses the encoding with the highest weight in the `Accept-Encoding` header
+ * @param {string | undefined} header Value of the `Accept-Encoding` header
+ * @param {string[]} encodings Available encodings in order of the preference
+ * @return {string | null} Chosen encoding, `null` if none of the encodings is accepted
+ */
+function negotiateEncoding(header, encodings) {
+	/** @type {Map<string, number>} */
+	const weights = new Map();
+
+	for(const part of `${header || ""}`.split(",")) {
+		const [name, ...params] = part.split(";").map(e => e.trim().toLowerCase());
+		if(!name) continue;
+
+		const weight = params.find(e => e.startsWith("q="));
+		weights.set(name, weight ? parseFloat(weight.slice(2)) || 0 : 1);
+	}
+
+	let encoding = null;
+	let bestWeight = 0;
+
+	for(const e of encodings) {
+		const weight = weights.get(e) ?? weights.get("*") ?? 0;
+		if(weight <= bestWeight) continue;
+
+		encoding = e;
+		bestWeight = weight;
+	}
+
+	return encoding;
+}
+
+/**
+ * @param {string} encoding "br", "gzip" or "deflate"
+ * @param {Record<string, number>} quality Brotli quality and gzip/deflate levels by the encodings
+ * @param {number | null} size Size of the data in bytes, if known
+ * @return {zlib.BrotliCompress | zlib.Gzip | zlib.Deflate}
+ */
+function createCompressionStream(encoding, quality, size) {
+	if(encoding === "br") {
+		return zlib.createBrotliCompress({
+			params: {
+				[zlib.constants.BROTLI_PARAM_QUALITY]: quality["br"],
+				...(size !== null ? {[zlib.constants.BROTLI_PARAM_SIZE_HINT]: size} : {})
+			}
+		});
+	}
+
+	if(encoding === "gzip") return zlib.createGzip({level: quality["gzip"]});
+	if(encoding === "deflate") return zlib.createDeflate({level: quality["deflate"]});
+
+	throw new Error(`Unsupported encoding '${encoding}'`);
+}
+
+/**
+ * Parses the `Forwarded` header (RFC 7239)
+ * @param {string} header
+ * @return {Record<string, string>[]} Forwarding elements in order of the hops (empty if the header is malformed)
+ */
+function parseForwardedHeader(header) {
+	// Parameters are separated by ";" and elements by ","; values are tokens or quoted strings
+	const pattern = /\s*([^=;,\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;,\s]*)\s*([;,]|$)/y;
+
+	/** @type {Record<string, string>[]} */
+	const elements = [];
+
+	/** @type {Record<string, string>} */
+	let element = {};
+
+	while(pattern.lastIndex < header.length) {
+		const match = pattern.exec(header);
+		if(!match) return [];
+
+		const [, name, value, separator] = match;
+		element[name.toLowerCase()] = value.startsWith("\"") ? value.slice(1, -1).replace(/\\(.)/g, "$1") : value;
+
+		if(separator === ";") continue;
+
+		elements.push(element);
+		element = {};
+	}
+
+	if(Object.keys(element).length) elements.push(element);
+
+	return elements;
+}
+
+/**
+ * @param {string} node Node identifier of the forwarding hop (e.g. `192.0.2.43:47011` or `[2001:db8:cafe::17]:4711`)
+ * @return {string} Address of the node without the port
+ */
+function getForwardedNodeAddress(node) {
+	const bracketed = node.match(/^\[(.*)\](?::\d+)?$/);
+	if(bracketed) return bracketed[1];
+
+	return node.replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, "$1");
+}
+
 /**
  * Recursively resolves all files in directory
  * @param {string} dirPath Starting directory
@@ -3465,6 +8955,13 @@ function getAllFiles(dirPath, depth = Infinity) {
 	return arrayOfFiles;
 }
 
+/**
+ * @deprecated This is an obfuscation, not an encryption, use `CookieJar.setEncryptedCookie()` or `crypto` module instead
+ * @param {string} str
+ * @param {number} strength
+ * @param {boolean} [uri=false]
+ * @return {string} 
+ */
 function encrypt(str, strength, uri = false) {
 	var codes = [];
 	strength %= 256;
@@ -3481,6 +8978,12 @@ function encrypt(str, strength, uri = false) {
 	return uri ? encodeURIComponent(hash) : hash;
 }
 
+/**
+ * @deprecated This is an obfuscation, not an encryption, use `CookieJar.getEncryptedCookie()` or `crypto` module instead
+ * @param {string} hash
+ * @param {number} strength
+ * @return {string} 
+ */
 function decrypt(hash, strength) {
 	var fixedRange = atob(decodeURIComponent(hash));
 	var chars = decodeURIComponent(escape(fixedRange));
@@ -3501,6 +9004,20 @@ module.exports = {
 	Server,
 	RequestEvent,
 	CookieJar,
+	EventStream,
+	UserStore,
+	JSONUserStore,
+	Session,
+	SessionStore,
+	MemorySessionStore,
+	JSONSessionStore,
+	RateLimiter,
+	TokenBucketLimiter,
+	SlidingWindowLimiter,
+	IPAddress,
+	IPRange,
+	IPMatcher,
+	WebSocket,
 	CLI,
 	KEY,
 	atob,
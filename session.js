@@ -0,0 +1,424 @@
+//@ts-check
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+/**
+ * @typedef {Object} SessionRecord
+ * @prop {Record<string, any>} data Session data
+ * @prop {number} createdAt Creation timestamp in milliseconds
+ * @prop {number} updatedAt Timestamp of the last use in milliseconds
+ * @prop {number} expiresAt Expiration timestamp in milliseconds
+ * @prop {string} ip IP address of the client, which used the session last time
+ */
+
+/**
+ * Storage of the sessions.
+ * Custom stores (e.g. database backed) extend this class and implement `get()`, `set()`, `destroy()` and `list()`.
+ * @class SessionStore
+ */
+class SessionStore {
+	/**
+	 * @param {string} id
+	 * @returns {Promise<SessionRecord | null>} Stored session, `null` if the session does not exist or is expired
+	 * @memberof SessionStore
+	 */
+	async get(id) {
+		throw new Error(`${this.constructor.name}.get() is not implemented`);
+	}
+
+	/**
+	 * Creates or updates the session
+	 * @param {string} id
+	 * @param {SessionRecord} record
+	 * @returns {Promise<void>}
+	 * @memberof SessionStore
+	 */
+	async set(id, record) {
+		throw new Error(`${this.constructor.name}.set() is not implemented`);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise<boolean>} `true` if the session existed
+	 * @memberof SessionStore
+	 */
+	async destroy(id) {
+		throw new Error(`${this.constructor.name}.destroy() is not implemented`);
+	}
+
+	/**
+	 * @returns {Promise<(SessionRecord & {id: string})[]>} All unexpired sessions
+	 * @memberof SessionStore
+	 */
+	async list() {
+		throw new Error(`${this.constructor.name}.list() is not implemented`);
+	}
+
+	/**
+	 * Releases the resources of the store (called when the server stops)
+	 * @memberof SessionStore
+	 */
+	close() { }
+}
+
+/**
+ * Session store keeping the sessions in memory, expired sessions are removed periodically
+ * @class MemorySessionStore
+ * @extends {SessionStore}
+ */
+class MemorySessionStore extends SessionStore {
+	/**
+	 * Creates an instance of MemorySessionStore.
+	 * @param {Object} [options={}]
+	 * @param {number} [options.sweepInterval=60000] Interval in milliseconds of removing the expired sessions
+	 * @memberof MemorySessionStore
+	 */
+	constructor({sweepInterval = 60000} = {}) {
+		super();
+
+		/** @type {Map<string, SessionRecord>} */
+		this.sessions = new Map();
+
+		/** @private */
+		this._sweepInterval = setInterval(() => this.sweep(), sweepInterval);
+		this._sweepInterval.unref();
+	}
+
+	/**
+	 * Removes the expired sessions
+	 * @returns {number} Number of removed sessions
+	 * @memberof MemorySessionStore
+	 */
+	sweep() {
+		const now = Date.now();
+		let count = 0;
+
+		for(const [id, record] of this.sessions) {
+			if(record.expiresAt > now) continue;
+
+			this.sessions.delete(id);
+			count++;
+		}
+
+		return count;
+	}
+
+	async get(id) {
+		const record = this.sessions.get(id);
+		if(!record) return null;
+
+		if(record.expiresAt <= Date.now()) {
+			this.sessions.delete(id);
+			return null;
+		}
+
+		return record;
+	}
+
+	async set(id, record) {
+		this.sessions.set(id, record);
+	}
+
+	async destroy(id) {
+		return this.sessions.delete(id);
+	}
+
+	async list() {
+		const now = Date.now();
+		return [...this.sessions].filter(([, record]) => record.expiresAt > now).map(([id, record]) => ({id, ...record}));
+	}
+
+	close() {
+		clearInterval(this._sweepInterval);
+	}
+}
+
+/**
+ * Session store keeping the sessions in memory and persisting them in a JSON file.
+ * Changes are written with a delay, so multiple changes result in a single write.
+ * @class JSONSessionStore
+ * @extends {MemorySessionStore}
+ */
+class JSONSessionStore extends MemorySessionStore {
+	/**
+	 * Creates an instance of JSONSessionStore.
+	 * @param {string} filePath Path of the JSON file
+	 * @param {Object} [options={}]
+	 * @param {number} [options.sweepInterval=60000] Interval in milliseconds of removing the expired sessions
+	 * @param {number} [options.writeDelay=1000] Delay in milliseconds of writing the changes to the file
+	 * @memberof JSONSessionStore
+	 */
+	constructor(filePath, {sweepInterval = 60000, writeDelay = 1000} = {}) {
+		super({sweepInterval});
+
+		/** @type {string} */
+		this.path = filePath;
+
+		/** @type {number} */
+		this.writeDelay = writeDelay;
+
+		/**
+		 * @private
+		 * @type {NodeJS.Timeout | null}
+		 */
+		this._writeTimeout = null;
+
+		if(fs.existsSync(this.path)) {
+			this.sessions = new Map(Object.entries(JSON.parse(fs.readFileSync(this.path).toString())));
+			this.sweep();
+		}
+	}
+
+	sweep() {
+		const count = super.sweep();
+		if(count) this._scheduleWrite();
+
+		return count;
+	}
+
+	async set(id, record) {
+		await super.set(id, record);
+		this._scheduleWrite();
+	}
+
+	async destroy(id) {
+		const existed = await super.destroy(id);
+		if(existed) this._scheduleWrite();
+
+		return existed;
+	}
+
+	/**
+	 * Writes the pending changes to the file
+	 * @memberof JSONSessionStore
+	 */
+	flush() {
+		if(this._writeTimeout) clearTimeout(this._writeTimeout);
+		this._writeTimeout = null;
+
+		fs.writeFileSync(this.path, JSON.stringify(Object.fromEntries(this.sessions), null, "\t"));
+	}
+
+	close() {
+		super.close();
+		if(this._writeTimeout) this.flush();
+	}
+
+	/**
+	 * @private
+	 * @memberof JSONSessionStore
+	 */
+	_scheduleWrite() {
+		if(this._writeTimeout) return;
+
+		this._writeTimeout = setTimeout(() => this.flush(), this.writeDelay);
+	}
+}
+
+/**
+ * @typedef {Object} SessionOptions
+ * @prop {SessionStore} store Store of the session
+ * @prop {(session: Session) => void} [onChange] Called when the session gets regenerated or destroyed (e.g. to update the cookie)
+ */
+
+/**
+ * Server-side session. Session data are stored in `Session.data` rather than on the session itself,
+ * so the keys of the data never collide with the methods of the session (e.g. `regenerate` or `destroy`).
+ * @class Session
+ */
+class Session {
+	/**
+	 * Creates an instance of Session.
+	 * @param {string} id Session ID
+	 * @param {SessionRecord | null} record Stored session, `null` for a new session
+	 * @param {SessionOptions} options
+	 * @memberof Session
+	 */
+	constructor(id, record, {store, onChange = () => { }}) {
+		/**
+		 * Session data, saved to the store after the response is sent
+		 * @type {Record<string, any>}
+		 */
+		this.data = record ? {...record.data} : {};
+
+		/**
+		 * @private
+		 * @type {string}
+		 */
+		this._id = id;
+
+		/**
+		 * @private
+		 * @type {number}
+		 */
+		this._createdAt = record?.createdAt || Date.now();
+
+		/**
+		 * @private
+		 * @type {boolean}
+		 */
+		this._isNew = !record;
+
+		/**
+		 * @private
+		 * @type {boolean}
+		 */
+		this._isDestroyed = false;
+
+		/**
+		 * @private
+		 * @type {SessionStore}
+		 */
+		this._store = store;
+
+		/**
+		 * @private
+		 * @type {(session: Session) => void}
+		 */
+		this._onChange = onChange;
+	}
+
+	/**
+	 * Session ID
+	 * @readonly
+	 * @type {string}
+	 * @memberof Session
+	 */
+	get id() {
+		return this._id;
+	}
+
+	/**
+	 * Creation timestamp in milliseconds
+	 * @readonly
+	 * @type {number}
+	 * @memberof Session
+	 */
+	get createdAt() {
+		return this._createdAt;
+	}
+
+	/**
+	 * `true` if the session was not stored yet
+	 * @readonly
+	 * @type {boolean}
+	 * @memberof Session
+	 */
+	get isNew() {
+		return this._isNew;
+	}
+
+	/**
+	 * `true` if the session was destroyed
+	 * @readonly
+	 * @type {boolean}
+	 * @memberof Session
+	 */
+	get isDestroyed() {
+		return this._isDestroyed;
+	}
+
+	/**
+	 * Changes the session ID while keeping the session data.
+	 * Should be called on login (or any privilege change) to prevent session fixation.
+	 * @returns {Promise<void>}
+	 * @memberof Session
+	 */
+	async regenerate() {
+		if(this._isDestroyed) throw new Error("Cannot regenerate destroyed session");
+
+		const previousId = this._id;
+
+		this._id = Session.generateId();
+		this._createdAt = Date.now();
+		this._isNew = true;
+		this._onChange(this);
+
+		await this._store.destroy(previousId);
+	}
+
+	/**
+	 * Removes the session data from the store (e.g. on logout)
+	 * @returns {Promise<void>}
+	 * @memberof Session
+	 */
+	async destroy() {
+		if(this._isDestroyed) return;
+
+		this.data = {};
+		this._isDestroyed = true;
+		this._onChange(this);
+
+		await this._store.destroy(this._id);
+	}
+
+	/**
+	 * Stores the session data
+	 * @param {number} maxAge Lifetime of the session in milliseconds
+	 * @param {string} [ip=""] IP address of the client
+	 * @returns {Promise<void>}
+	 * @memberof Session
+	 */
+	async save(maxAge, ip = "") {
+		if(this._isDestroyed) throw new Error("Cannot save destroyed session");
+
+		const now = Date.now();
+
+		await this._store.set(this._id, {
+			data: {...this.data},
+			createdAt: this._createdAt,
+			updatedAt: now,
+			expiresAt: now + maxAge,
+			ip
+		});
+
+		this._isNew = false;
+	}
+
+	/**
+	 * @static
+	 * @returns {string} New random session ID
+	 * @memberof Session
+	 */
+	static generateId() {
+		return crypto.randomBytes(24).toString("base64url");
+	}
+
+	/**
+	 * Signs the session ID, so it can be verified when received back from the client
+	 * @static
+	 * @param {string} id
+	 * @param {string} secret
+	 * @returns {string} Signed session ID in format `id.signature`
+	 * @memberof Session
+	 */
+	static sign(id, secret) {
+		return `${id}.${crypto.createHmac("sha256", secret).update(id).digest("base64url")}`;
+	}
+
+	/**
+	 * @static
+	 * @param {string} value Signed session ID created by `Session.sign()`
+	 * @param {string} secret
+	 * @returns {string | null} Session ID if the signature is valid, otherwise `null`
+	 * @memberof Session
+	 */
+	static unsign(value, secret) {
+		const index = value.lastIndexOf(".");
+		if(index === -1) return null;
+
+		const id = value.slice(0, index);
+		const expected = Buffer.from(this.sign(id, secret));
+		const actual = Buffer.from(value);
+
+		return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? id : null;
+	}
+}
+
+module.exports = {
+	Session,
+	SessionStore,
+	MemorySessionStore,
+	JSONSessionStore
+};
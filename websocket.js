@@ -0,0 +1,584 @@
+//@ts-check
+
+const crypto = require("crypto");
+const {EventListener, JLEvent, JLListener} = require("./JustLib.js");
+
+/**
+ * @typedef {Object} WebSocketOptions
+ * @prop {number} [maxPayload=16777216] Maximum size of a single (possibly fragmented) message in bytes
+ * @prop {number} [fragmentSize=0] Outgoing messages larger than this size are split into fragments; `0` disables fragmentation
+ * @prop {number} [closeTimeout=5000] Time in milliseconds to wait for the closing handshake before the socket is destroyed
+ * @prop {string} [ip=""] IP address of the client
+ * @prop {boolean} [isTrusted=false] Tells if the connection comes from trusted origin
+ */
+
+/**
+ * Server-side WebSocket connection (RFC 6455)
+ * @class WebSocket
+ * @extends {EventListener}
+ */
+class WebSocket extends EventListener {
+	static GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+	static OPCODE = /**@type {const}*/({
+		CONTINUATION: 0x0,
+		TEXT: 0x1,
+		BINARY: 0x2,
+		CLOSE: 0x8,
+		PING: 0x9,
+		PONG: 0xA
+	});
+
+	static STATE = /**@type {const}*/({
+		CONNECTING: 0,
+		OPEN: 1,
+		CLOSING: 2,
+		CLOSED: 3
+	});
+
+	static CLOSE_CODE = /**@type {const}*/({
+		NORMAL: 1000,
+		GOING_AWAY: 1001,
+		PROTOCOL_ERROR: 1002,
+		UNSUPPORTED_DATA: 1003,
+		NO_STATUS: 1005,
+		ABNORMAL: 1006,
+		INVALID_PAYLOAD: 1007,
+		POLICY_VIOLATION: 1008,
+		MESSAGE_TOO_BIG: 1009,
+		INTERNAL_ERROR: 1011
+	});
+
+	/**
+	 * All open connections
+	 * @type {Set<WebSocket>}
+	 */
+	static clients = new Set();
+
+	/**
+	 * Connections grouped by the room name
+	 * @type {Map<string, Set<WebSocket>>}
+	 */
+	static rooms = new Map();
+
+	/**
+	 * Creates an instance of WebSocket.
+	 * @param {import("net").Socket} socket Underlying socket with already finished opening handshake
+	 * @param {WebSocketOptions} [options={}]
+	 * @memberof WebSocket
+	 */
+	constructor(socket, options = {}) {
+		super();
+
+		/**
+		 * @type {
+				EventListener["on"] &
+				((event: "message", listener: (event: JLEvent & {data: string | Buffer, isBinary: boolean}) => void) => JLListener) &
+				((event: "ping", listener: (event: JLEvent & {data: Buffer}) => void) => JLListener) &
+				((event: "pong", listener: (event: JLEvent & {data: Buffer}) => void) => JLListener) &
+				((event: "close", listener: (event: JLEvent & {code: number, reason: string, wasClean: boolean}) => void) => JLListener) &
+				((event: "error", listener: (event: JLEvent & {error: Error}) => void) => JLListener)
+			}
+		 */
+		// @ts-ignore
+		this.on;
+
+		const {
+			maxPayload = 16 * 1024 * 1024,
+			fragmentSize = 0,
+			closeTimeout = 5000,
+			ip = "",
+			isTrusted = false
+		} = options;
+
+		/** @type {import("net").Socket} */
+		this.socket = socket;
+
+		/** @type {number} */
+		this.maxPayload = maxPayload;
+
+		/** @type {number} */
+		this.fragmentSize = fragmentSize;
+
+		/** @type {number} */
+		this.closeTimeout = closeTimeout;
+
+		/** @type {string} */
+		this.ip = ip;
+
+		/** @type {boolean} */
+		this.isTrusted = isTrusted;
+
+		/** @type {number} */
+		this.readyState = WebSocket.STATE.OPEN;
+
+		/**
+		 * Names of the rooms the connection has joined
+		 * @type {Set<string>}
+		 */
+		this.rooms = new Set();
+
+		/** @type {Buffer} */
+		this._buffer = Buffer.alloc(0);
+
+		/** @type {Buffer[]} */
+		this._fragments = [];
+
+		/** @type {number} */
+		this._fragmentsLength = 0;
+
+		/** @type {number | null} */
+		this._fragmentsOpcode = null;
+
+		/** @type {{code: number, reason: string} | null} */
+		this._closeFrame = null;
+
+		/** @type {NodeJS.Timeout | null} */
+		this._closeTimer = null;
+
+		this.socket.setTimeout(0);
+		this.socket.setNoDelay(true);
+		this.socket.on("data", chunk => this._receive(chunk));
+		this.socket.on("error", error => {
+			this.dispatchEvent("error", {error});
+			this.socket.destroy();
+		});
+		this.socket.on("close", () => this._handleSocketClose());
+
+		WebSocket.clients.add(this);
+	}
+
+	/**
+	 * Sends a message to the client.
+	 * Strings are sent as text messages, Buffers as binary messages and other objects are serialized to JSON.
+	 * @param {string | Buffer | ObjectLiteral} data Message to send
+	 * @returns {boolean} `true` if the message was sent, otherwise `false`
+	 * @memberof WebSocket
+	 */
+	send(data) {
+		if(this.readyState !== WebSocket.STATE.OPEN) return false;
+
+		const isBinary = data instanceof Buffer;
+		const payload = isBinary ? data : Buffer.from(typeof data === "object" ? JSON.stringify(data) : data + "");
+		const opcode = isBinary ? WebSocket.OPCODE.BINARY : WebSocket.OPCODE.TEXT;
+
+		// Send the message in a single frame
+		if(!this.fragmentSize || payload.length <= this.fragmentSize) {
+			this.socket.write(WebSocket.createFrame(opcode, payload));
+			return true;
+		}
+
+		// Split the message into multiple fragments
+		for(let offset = 0; offset < payload.length; offset += this.fragmentSize) {
+			const isFirst = offset === 0;
+			const isLast = offset + this.fragmentSize >= payload.length;
+
+			this.socket.write(WebSocket.createFrame(
+				isFirst ? opcode : WebSocket.OPCODE.CONTINUATION,
+				payload.subarray(offset, offset + this.fragmentSize),
+				isLast
+			));
+		}
+
+		return true;
+	}
+
+	/**
+	 * Sends a ping frame to the client
+	 * @param {string | Buffer} [data=""] Application data (max 125 bytes)
+	 * @returns {boolean} `true` if the frame was sent, otherwise `false`
+	 * @memberof WebSocket
+	 */
+	ping(data = "") {
+		return this._sendControlFrame(WebSocket.OPCODE.PING, Buffer.from(data));
+	}
+
+	/**
+	 * Sends an unsolicited pong frame to the client
+	 * @param {string | Buffer} [data=""] Application data (max 125 bytes)
+	 * @returns {boolean} `true` if the frame was sent, otherwise `false`
+	 * @memberof WebSocket
+	 */
+	pong(data = "") {
+		return this._sendControlFrame(WebSocket.OPCODE.PONG, Buffer.from(data));
+	}
+
+	/**
+	 * Starts the closing handshake
+	 * @param {number} [code=1000] Close status code
+	 * @param {string} [reason=""] Human readable close reason
+	 * @memberof WebSocket
+	 */
+	close(code = WebSocket.CLOSE_CODE.NORMAL, reason = "") {
+		if(this.readyState !== WebSocket.STATE.OPEN) return;
+
+		const reasonBuffer = Buffer.from(reason).subarray(0, 123);
+		const payload = Buffer.alloc(2 + reasonBuffer.length);
+		payload.writeUInt16BE(code, 0);
+		reasonBuffer.copy(payload, 2);
+
+		this._sendControlFrame(WebSocket.OPCODE.CLOSE, payload);
+		this.readyState = WebSocket.STATE.CLOSING;
+		this._closeFrame = this._closeFrame || {code, reason};
+
+		// Do not wait forever for the client to respond
+		this._closeTimer = setTimeout(() => this.socket.destroy(), this.closeTimeout);
+	}
+
+	/**
+	 * Immediately destroys the underlying socket without the closing handshake
+	 * @memberof WebSocket
+	 */
+	terminate() {
+		this.socket.destroy();
+	}
+
+	/**
+	 * Adds the connection to the room
+	 * @param {string} room Name of the room
+	 * @returns {this}
+	 * @memberof WebSocket
+	 */
+	join(room) {
+		let clients = WebSocket.rooms.get(room);
+		if(!clients) WebSocket.rooms.set(room, clients = new Set());
+
+		clients.add(this);
+		this.rooms.add(room);
+
+		return this;
+	}
+
+	/**
+	 * Removes the connection from the room
+	 * @param {string} room Name of the room
+	 * @returns {this}
+	 * @memberof WebSocket
+	 */
+	leave(room) {
+		const clients = WebSocket.rooms.get(room);
+
+		if(clients) {
+			clients.delete(this);
+			if(!clients.size) WebSocket.rooms.delete(room);
+		}
+
+		this.rooms.delete(room);
+
+		return this;
+	}
+
+	/**
+	 * Sends a message to all the other connections in the room
+	 * @param {string} room Name of the room
+	 * @param {string | Buffer | ObjectLiteral} data Message to send
+	 * @returns {number} Number of connections the message was sent to
+	 * @memberof WebSocket
+	 */
+	broadcast(room, data) {
+		return WebSocket.broadcast(room, data, this);
+	}
+
+	/**
+	 * Sends a message to all connections in the room
+	 * @static
+	 * @param {string} room Name of the room
+	 * @param {string | Buffer | ObjectLiteral} data Message to send
+	 * @param {WebSocket | null} [except=null] Connection to exclude (usually the sender)
+	 * @returns {number} Number of connections the message was sent to
+	 * @memberof WebSocket
+	 */
+	static broadcast(room, data, except = null) {
+		const clients = this.rooms.get(room);
+		if(!clients) return 0;
+
+		let count = 0;
+		for(const client of clients) {
+			if(client === except) continue;
+			if(client.send(data)) count++;
+		}
+
+		return count;
+	}
+
+	/**
+	 * Starts the closing handshake on all open connections
+	 * @static
+	 * @param {number} [code=1001] Close status code
+	 * @param {string} [reason=""] Human readable close reason
+	 * @memberof WebSocket
+	 */
+	static closeAll(code = WebSocket.CLOSE_CODE.GOING_AWAY, reason = "") {
+		for(const client of this.clients) {
+			client.close(code, reason);
+		}
+	}
+
+	/**
+	 * Computes the value of `Sec-WebSocket-Accept` header
+	 * @static
+	 * @param {string} key Value of `Sec-WebSocket-Key` header sent by the client
+	 * @returns {string}
+	 * @memberof WebSocket
+	 */
+	static createAcceptKey(key) {
+		return crypto.createHash("sha1").update(key + this.GUID).digest("base64");
+	}
+
+	/**
+	 * Checks whether the code can be sent in a close frame (RFC 6455, section 7.4).
+	 * Codes 1005, 1006 and 1015 are reserved for reporting the closure locally.
+	 * @static
+	 * @param {number} code
+	 * @returns {boolean}
+	 * @memberof WebSocket
+	 */
+	static isValidCloseCode(code) {
+		return (code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006) || (code >= 3000 && code <= 4999);
+	}
+
+	/**
+	 * Creates an unmasked (server-to-client) frame
+	 * @static
+	 * @param {number} opcode Frame opcode
+	 * @param {Buffer} payload Frame payload
+	 * @param {boolean} [fin=true] Flag indicating if this is the final fragment of the message
+	 * @returns {Buffer}
+	 * @memberof WebSocket
+	 */
+	static createFrame(opcode, payload, fin = true) {
+		const length = payload.length;
+		let header;
+
+		if(length < 126) {
+			header = Buffer.alloc(2);
+			header[1] = length;
+		} else if(length < 65536) {
+			header = Buffer.alloc(4);
+			header[1] = 126;
+			header.writeUInt16BE(length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[1] = 127;
+			header.writeBigUInt64BE(BigInt(length), 2);
+		}
+
+		header[0] = (fin ? 0x80 : 0x00) | opcode;
+
+		return Buffer.concat([header, payload]);
+	}
+
+	/**
+	 * @private
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 * @returns {boolean}
+	 * @memberof WebSocket
+	 */
+	_sendControlFrame(opcode, payload) {
+		if(this.readyState !== WebSocket.STATE.OPEN) return false;
+		if(payload.length > 125) throw new RangeError("Control frame payload cannot be larger than 125 bytes");
+
+		this.socket.write(WebSocket.createFrame(opcode, payload));
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {Buffer} chunk
+	 * @memberof WebSocket
+	 */
+	_receive(chunk) {
+		this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+		// Process all complete frames in the buffer
+		while(this.readyState !== WebSocket.STATE.CLOSED && this._readFrame());
+	}
+
+	/**
+	 * Reads a single frame from the buffer
+	 * @private
+	 * @returns {boolean} `true` if the frame was read, `false` if more data is needed
+	 * @memberof WebSocket
+	 */
+	_readFrame() {
+		const buffer = this._buffer;
+		if(buffer.length < 2) return false;
+
+		const fin = (buffer[0] & 0x80) !== 0;
+		const rsv = buffer[0] & 0x70;
+		const opcode = buffer[0] & 0x0F;
+		const isMasked = (buffer[1] & 0x80) !== 0;
+		const isControl = opcode >= WebSocket.OPCODE.CLOSE;
+
+		let length = buffer[1] & 0x7F;
+		let offset = 2;
+
+		if(length === 126) {
+			if(buffer.length < 4) return false;
+			length = buffer.readUInt16BE(2);
+			offset = 4;
+		} else if(length === 127) {
+			if(buffer.length < 10) return false;
+			const bigLength = buffer.readBigUInt64BE(2);
+			if(bigLength > BigInt(this.maxPayload)) return this._fail(WebSocket.CLOSE_CODE.MESSAGE_TOO_BIG, "Message too big"), false;
+			length = Number(bigLength);
+			offset = 10;
+		}
+
+		// Validate the frame header before buffering the payload
+		if(rsv) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, "Reserved bits must be 0"), false;
+		if(!isMasked) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, "Client frames must be masked"), false;
+		if(isControl && (!fin || length > 125)) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, "Invalid control frame"), false;
+		if(!isControl && this._fragmentsLength + length > this.maxPayload) return this._fail(WebSocket.CLOSE_CODE.MESSAGE_TOO_BIG, "Message too big"), false;
+
+		// Wait for the whole payload
+		if(buffer.length < offset + 4 + length) return false;
+
+		// Unmask the payload
+		const mask = buffer.subarray(offset, offset + 4);
+		const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+		for(let i = 0; i < payload.length; i++) {
+			payload[i] ^= mask[i & 3];
+		}
+
+		this._buffer = buffer.subarray(offset + 4 + length);
+		this._handleFrame(fin, opcode, payload);
+
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {boolean} fin
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 * @memberof WebSocket
+	 */
+	_handleFrame(fin, opcode, payload) {
+		const {OPCODE} = WebSocket;
+
+		if(opcode === OPCODE.TEXT || opcode === OPCODE.BINARY) {
+			if(this._fragmentsOpcode !== null) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, "Expected continuation frame");
+
+			if(fin) return this._handleMessage(opcode, payload);
+
+			this._fragmentsOpcode = opcode;
+			this._fragments.push(payload);
+			this._fragmentsLength += payload.length;
+		} else if(opcode === OPCODE.CONTINUATION) {
+			if(this._fragmentsOpcode === null) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, "Unexpected continuation frame");
+
+			this._fragments.push(payload);
+			this._fragmentsLength += payload.length;
+
+			if(!fin) return;
+
+			const messageOpcode = this._fragmentsOpcode;
+			const message = Buffer.concat(this._fragments);
+
+			this._fragments = [];
+			this._fragmentsLength = 0;
+			this._fragmentsOpcode = null;
+
+			this._handleMessage(messageOpcode, message);
+		} else if(opcode === OPCODE.CLOSE) {
+			this._handleCloseFrame(payload);
+		} else if(opcode === OPCODE.PING) {
+			this._sendControlFrame(OPCODE.PONG, payload);
+			this.dispatchEvent("ping", {data: payload});
+		} else if(opcode === OPCODE.PONG) {
+			this.dispatchEvent("pong", {data: payload});
+		} else {
+			this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, `Unknown opcode ${opcode}`);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 * @memberof WebSocket
+	 */
+	_handleMessage(opcode, payload) {
+		if(opcode === WebSocket.OPCODE.BINARY) {
+			this.dispatchEvent("message", {data: payload, isBinary: true});
+			return;
+		}
+
+		try {
+			var text = new TextDecoder("utf-8", {fatal: true}).decode(payload);
+		} catch(err) {
+			return this._fail(WebSocket.CLOSE_CODE.INVALID_PAYLOAD, "Invalid UTF-8 sequence");
+		}
+
+		this.dispatchEvent("message", {data: text, isBinary: false});
+	}
+
+	/**
+	 * @private
+	 * @param {Buffer} payload
+	 * @memberof WebSocket
+	 */
+	_handleCloseFrame(payload) {
+		if(payload.length === 1) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, "Invalid close frame");
+
+		const code = payload.length ? payload.readUInt16BE(0) : WebSocket.CLOSE_CODE.NO_STATUS;
+		const reason = payload.subarray(2).toString();
+
+		if(payload.length && !WebSocket.isValidCloseCode(code)) return this._fail(WebSocket.CLOSE_CODE.PROTOCOL_ERROR, `Invalid close code ${code}`);
+
+		if(this.readyState === WebSocket.STATE.OPEN) {
+			// Client initiated the closing handshake, respond with the same code
+			this._closeFrame = {code, reason};
+			this.close(code === WebSocket.CLOSE_CODE.NO_STATUS ? WebSocket.CLOSE_CODE.NORMAL : code);
+		}
+
+		// Closing handshake has finished (regardless of the side that initiated it)
+		this.socket.end();
+	}
+
+	/**
+	 * Closes the connection due to the protocol violation
+	 * @private
+	 * @param {number} code
+	 * @param {string} reason
+	 * @memberof WebSocket
+	 */
+	_fail(code, reason) {
+		this._buffer = Buffer.alloc(0);
+		this.dispatchEvent("error", {error: new Error(`WebSocket protocol error: ${reason}`)});
+
+		if(this.readyState === WebSocket.STATE.OPEN) this.close(code, reason);
+		this.socket.end();
+	}
+
+	/**
+	 * @private
+	 * @memberof WebSocket
+	 */
+	_handleSocketClose() {
+		if(this.readyState === WebSocket.STATE.CLOSED) return;
+
+		const wasClean = this._closeFrame !== null && this.readyState === WebSocket.STATE.CLOSING;
+		const {code, reason} = this._closeFrame || {code: WebSocket.CLOSE_CODE.ABNORMAL, reason: ""};
+
+		this.readyState = WebSocket.STATE.CLOSED;
+		if(this._closeTimer) clearTimeout(this._closeTimer);
+
+		for(const room of [...this.rooms]) {
+			this.leave(room);
+		}
+		WebSocket.clients.delete(this);
+
+		this.dispatchEvent("close", {code, reason, wasClean});
+	}
+}
+
+/**
+ * @typedef {Record<string, any>} ObjectLiteral
+ */
+
+module.exports = {
+	WebSocket
+};